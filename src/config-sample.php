@@ -197,5 +197,22 @@ return [
          * This is useful if you have an application with a static IP address that needs to make frequent API requests to FOSSBilling.
          */
         'rate_limit_whitelist' => [],
+
+        /**
+         * How long, in seconds, the result of a request with an Idempotency-Key header is returned again for repeats of that request.
+         * Results are kept in the cache for this long, so keep it short.
+         */
+        'idempotency_window' => 60 * 10,
+
+        /**
+         * Maximum number of API calls that can be combined into a single /api/batch request.
+         */
+        'batch_limit' => 20,
+
+        /**
+         * How long, in seconds, a live admin event stream (/api/admin/events) stays open before the browser reconnects.
+         * Each open stream occupies a PHP worker.
+         */
+        'events_stream_duration' => 30,
     ],
 ];
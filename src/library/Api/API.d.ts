@@ -0,0 +1,258 @@
+/**
+ * Type definitions for the FOSSBilling API for JavaScript.
+ *
+ * @copyright FOSSBilling (https://www.fossbilling.org)
+ * @license   Apache-2.0
+ *
+ * This source file is subject to the Apache-2.0 License that is bundled
+ * with this source code in the file LICENSE
+ *
+ * The endpoint interfaces below are empty. Run `php console.php api:catalogue` to generate
+ * endpoints.d.ts next to this file, which fills them in with every endpoint of the installed
+ * modules, so editors can autocomplete endpoint names and parameters.
+ */
+
+declare namespace FOSSBillingApi {
+  interface AdminEndpoints {}
+  interface ClientEndpoints {}
+  interface GuestEndpoints {}
+
+  /** Endpoint names of a role, or any string until endpoints.d.ts has been generated. */
+  type EndpointName<E> = keyof E extends never ? string : keyof E & string;
+  type Params<E, K> = K extends keyof E ? (E[K] extends { params: infer P } ? P : never) : Record<string, any>;
+  type Result<E, K> = K extends keyof E ? (E[K] extends { result: infer R } ? R : never) : any;
+
+  class RequestError extends Error {
+    code: string | number;
+    constructor (message: string, code: string | number);
+  }
+  class ApiError extends RequestError {
+    response: object;
+  }
+  class TimeoutError extends RequestError {
+    timeout: number;
+  }
+  class NetworkError extends RequestError {
+    cause: Error;
+  }
+  class CancelledError extends RequestError {}
+  class HttpError extends RequestError {
+    status: number;
+    statusText: string;
+    response: Response;
+  }
+  class InvalidResponseError extends RequestError {}
+
+  interface Progress {
+    loaded: number;
+    total: number;
+    percent: number;
+  }
+
+  interface RequestOptions {
+    success?: (result: any) => void;
+    error?: (error: RequestError) => void;
+    loader?: boolean | string;
+    loaderTarget?: HTMLElement;
+    timeout?: number;
+    retry?: number | boolean | Partial<RetryPolicy>;
+    cache?: number | boolean;
+    dedupe?: boolean;
+    signal?: AbortSignal;
+    onUploadProgress?: (progress: Progress) => void;
+    offline?: boolean;
+    idempotencyKey?: string | false;
+  }
+
+  interface RetryPolicy {
+    retries: number;
+    methods: string[];
+    statuses: number[];
+    codes: Array<string | number>;
+    baseDelay: number;
+    maxDelay: number;
+    maxRetryAfter: number;
+  }
+
+  type AbortablePromise<T> = Promise<T> & { abort (): void };
+
+  type Request<E> = <K extends EndpointName<E>>(
+    endpoint: K,
+    params?: Params<E, K> | FormData | string,
+    successHandler?: ((result: Result<E, K>) => void) | RequestOptions | null,
+    errorHandler?: ((error: RequestError) => void) | null,
+    enableLoader?: boolean | string,
+    options?: RequestOptions
+  ) => AbortablePromise<Result<E, K>>;
+
+  interface PaginateOptions extends RequestOptions {
+    perPage?: number;
+    startPage?: number;
+    maxPages?: number;
+    concurrency?: number;
+    method?: string;
+  }
+
+  interface UploadOptions {
+    onProgress?: (progress: Progress) => void;
+    chunkSize?: number;
+    signal?: AbortSignal;
+  }
+
+  interface Role<E> {
+    readonly baseURL: string;
+    get: Request<E>;
+    post: Request<E>;
+    put: Request<E>;
+    delete: Request<E>;
+    patch: Request<E>;
+    paginate<K extends EndpointName<E>> (endpoint: K, params?: Params<E, K>, options?: PaginateOptions): AsyncIterable<any> & { pages (): AsyncIterable<any> };
+    uploadChunked<K extends EndpointName<E>> (endpoint: K, file: Blob & { name: string }, params?: Record<string, any>, options?: UploadOptions): AbortablePromise<any>;
+  }
+
+  interface InterceptorManager<T> {
+    use (fulfilled?: ((value: T) => T | Promise<T>) | null, rejected?: ((error: any) => any) | null): number;
+    eject (id: number): void;
+  }
+
+  type LiveEventName = 'support.ticket_created' | 'support.ticket_replied' | 'support.public_ticket_created' | 'invoice.paid' | 'order.created' | 'client.created' | (string & {});
+
+  interface LoaderStrategy<S = any> {
+    show (target: HTMLElement | null): S;
+    hide (state: S, target: HTMLElement | null): void;
+    usesTarget?: boolean;
+  }
+
+  type SwapMode = 'outerHTML' | 'innerHTML' | 'beforebegin' | 'afterbegin' | 'beforeend' | 'afterend' | 'delete' | 'none';
+
+  type ValidationRule = (value: string, ruleValue: any, field: HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement) => boolean | string;
+
+  interface Config {
+    baseURL: string | null;
+    apiKey: string | null;
+    username: string | null;
+    password: string | null;
+    endpoints: { admin?: object; client?: object; guest?: object } | null;
+  }
+
+  interface Client {
+    RequestError: typeof RequestError;
+    ApiError: typeof ApiError;
+    TimeoutError: typeof TimeoutError;
+    NetworkError: typeof NetworkError;
+    CancelledError: typeof CancelledError;
+    HttpError: typeof HttpError;
+    InvalidResponseError: typeof InvalidResponseError;
+
+    config: Config;
+    configure (options: Partial<Config>): Client;
+
+    admin: Role<AdminEndpoints> & {
+      subscribe (event: LiveEventName, handler: (data: { id?: number; client_id?: number }, message: MessageEvent) => void): () => void;
+    };
+    client: Role<ClientEndpoints>;
+    guest: Role<GuestEndpoints>;
+
+    interceptors: {
+      request: InterceptorManager<any>;
+      response: InterceptorManager<any>;
+      defaults: Record<string, number>;
+    };
+    retry: RetryPolicy;
+    upload: { chunkSize: number; chunkTimeout: number; retries: number };
+    telemetry: {
+      enabled: boolean;
+      endpoint: string;
+      role: 'admin' | 'client' | 'guest' | null;
+      batchSize: number;
+      delay: number;
+      maxReports: number;
+      ignoredCodes: number[];
+      report (report: { type: 'error' | 'rejection' | 'api'; message: string; stack?: string; endpoint?: string; code?: string | number; role?: string }): void;
+      captureError (error: unknown, type?: 'error' | 'rejection'): void;
+      captureRequest (error: RequestError): void;
+      flush (): Promise<number>;
+    };
+    events: {
+      endpoint: string;
+      retryDelay: number;
+      maxRetryDelay: number;
+      readonly connected: boolean;
+      subscribe (event: LiveEventName, handler: (data: any, message: MessageEvent) => void): () => void;
+      close (): void;
+    };
+    loaders: {
+      default: string;
+      register (name: string, strategy: LoaderStrategy): void;
+      show (name: string, target?: HTMLElement | null): () => void;
+    };
+    validation: {
+      messages: Record<string, string>;
+      rules: Record<string, ValidationRule>;
+      register (name: string, rule: ValidationRule, message?: string): void;
+      check (field: HTMLElement): string | null;
+      validate (form: HTMLFormElement, scope?: Element): boolean;
+      focusInvalid (form: HTMLFormElement): HTMLElement | null;
+      showErrors (form: HTMLFormElement, errors: Record<string, string>): string[];
+      clearErrors (form: HTMLFormElement): void;
+      clearField (field: HTMLElement): void;
+      fieldErrors (error: unknown): Record<string, string> | null;
+    };
+    partials: {
+      defaultSwap: SwapMode;
+      resolve (element: HTMLElement, target?: string): Element | null;
+      render (fragment: string, url?: string): Promise<string>;
+      swap (target: Element, content: string | Node | null, swap?: SwapMode): Element[];
+      update (element: HTMLElement, options: { target?: string; swap?: SwapMode; fragment?: string }, result?: unknown): Promise<Element[]>;
+    };
+
+    polling: {
+      defaultInterval: number;
+      maxInterval: number;
+      start (element: HTMLElement): void;
+      stop (element: HTMLElement): void;
+      isPolling (element: HTMLElement): boolean;
+      watch (root: Document | Element | ShadowRoot): () => void;
+      tick (element: HTMLElement): Promise<void>;
+    };
+
+    wizard: {
+      storagePrefix: string;
+      start (form: HTMLFormElement): void;
+      stop (form: HTMLFormElement): void;
+      watch (root: Document | Element | ShadowRoot): () => void;
+      isWizard (form: HTMLFormElement): boolean;
+      steps (form: HTMLFormElement): HTMLElement[];
+      current (form: HTMLFormElement): number;
+      results (form: HTMLFormElement): any[];
+      show (form: HTMLFormElement, index: number): void;
+      next (form: HTMLFormElement): Promise<boolean>;
+      back (form: HTMLFormElement): void;
+      validateStep (form: HTMLFormElement): boolean;
+      clearDraft (form: HTMLFormElement): void;
+    };
+
+    changes: {
+      enabled: boolean;
+      autosaveDelay: number;
+      storagePrefix: string;
+      texts: Record<'title' | 'message' | 'leave' | 'stay' | 'restoreTitle' | 'restoreMessage' | 'restore' | 'discard', string>;
+      start (form: HTMLFormElement): void;
+      stop (form: HTMLFormElement): void;
+      watch (root: Document | Element | ShadowRoot): () => void;
+      isDirty (form?: HTMLFormElement): boolean;
+      reset (form: HTMLFormElement): void;
+      confirmLeave (proceed: () => void): void;
+    };
+
+    bind (root?: Document | Element | ShadowRoot): void;
+    unbind (root?: Document | Element | ShadowRoot): void;
+
+    makeRequest (method: string, url: string, params?: object | FormData | string, successHandler?: ((result: any) => void) | null, errorHandler?: ((error: RequestError) => void) | null, enableLoader?: boolean | string, timeoutMs?: number, options?: RequestOptions): AbortablePromise<any>;
+    batch (requests: Array<{ role: string; endpoint: string; params?: object } | [string, string, object?]>, options?: RequestOptions): Array<Promise<any>>;
+
+    [member: string]: any;
+  }
+}
+
+declare const API: FOSSBillingApi.Client;
@@ -12,6 +12,32 @@
  * Tools for the API wrapper.
  */
 const Tools = {
+  /**
+   * @returns {boolean} True when running in a browser page, false in Node.js or another non-DOM environment.
+   */
+  isBrowser: function () {
+    return typeof window !== 'undefined' && typeof document !== 'undefined';
+  },
+
+  /**
+   * Returns the URL of the FOSSBilling installation, always ending with a slash.
+   * Uses the base URL passed to API.configure() if there is one, otherwise the current page's origin.
+   *
+   * @returns {string} The installation URL, e.g. "https://billing.example.com/".
+   */
+  getRootURL: function () {
+    const baseURL = API.config.baseURL;
+    if (baseURL) {
+      return baseURL.endsWith('/') ? baseURL : `${baseURL}/`;
+    }
+
+    if (typeof window === 'undefined' || !window.location) {
+      throw new Error('No base URL configured: call API.configure({ baseURL }) before making requests outside the browser');
+    }
+
+    return `${window.location.origin}/`;
+  },
+
   /**
    * Constructs the full URL for an API endpoint.
    * If the provided URL is relative, it's resolved against the application's base API URL.
@@ -21,7 +47,7 @@ const Tools = {
    */
   getBaseURL: function (url) {
     if (typeof url !== 'string' || !url.trim()) {
-      return `${window.location.origin}/api/`;
+      return `${this.getRootURL()}api/`;
     }
 
     if (url.startsWith('http://') || url.startsWith('https://')) {
@@ -29,10 +55,10 @@ const Tools = {
     }
 
     if (url.includes('index.php?_url=/api/') || url.includes('?_url=/api/')) {
-      return new URL(url, `${window.location.origin}/`).toString();
+      return new URL(url, this.getRootURL()).toString();
     }
 
-    const base = `${window.location.origin}/api/`;
+    const base = `${this.getRootURL()}api/`;
     let normalized = url;
     if (normalized.startsWith('/')) {
       normalized = normalized.slice(1);
@@ -45,13 +71,60 @@ const Tools = {
   },
 
   /**
-   * @returns {string|null} The CSRF token from cookie, or null if not found.
+   * Extracts the role and endpoint path from an API URL.
+   *
+   * @param {string} url The full API URL, e.g. "https://example.com/api/guest/cart/get".
+   * @returns {{role: string, path: string}|null} The role and path (e.g. "cart/get"), or null if the URL is not an API call.
+   */
+  parseApiEndpoint: function (url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return null;
+    }
+
+    const route = parsed.searchParams.get('_url') || parsed.pathname;
+    const match = route.match(/\/api\/(admin|client|guest)\/(.+?)\/?$/);
+
+    return match ? { role: match[1], path: match[2] } : null;
+  },
+
+  /**
+   * @returns {string|null} The CSRF token from cookie, or null if not found or outside the browser.
    */
   getCSRFToken: function () {
+    if (typeof document === 'undefined') {
+      return null;
+    }
     const match = document.cookie.match(/csrf_token=([^;]*)/);
     return match ? decodeURIComponent(match[1]) : null;
   },
 
+  /**
+   * Hashes a string with 32-bit FNV-1a. Fast and stable, but not suitable for anything security related.
+   *
+   * @param {string} value The string to hash.
+   * @returns {string} The hash as a hexadecimal string.
+   */
+  hash: function (value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+      hash = Math.imul(hash ^ value.charCodeAt(i), 0x01000193) >>> 0;
+    }
+    return hash.toString(16);
+  },
+
+  /**
+   * Escapes the characters of a text that have a meaning in HTML, so it can be put into markup.
+   *
+   * @param {*} text The text.
+   * @returns {string} The escaped text.
+   */
+  escapeHtml: function (text) {
+    return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+  },
+
   /**
    * Check if a string is valid JSON or not.
    *
@@ -126,11 +199,69 @@ const Tools = {
     if (Object.prototype.hasOwnProperty.call(data, 'reload')) {
       assertBoolean(data.reload, 'reload');
     }
+    if (Object.prototype.hasOwnProperty.call(data, 'loader') && !['string', 'boolean'].includes(typeof data.loader)) {
+      throw new Error('data-fb-api.loader must be a string or a boolean.');
+    }
     if (Object.prototype.hasOwnProperty.call(data, 'params')) {
       if (typeof data.params !== 'object' || data.params === null || Array.isArray(data.params)) {
         throw new Error('data-fb-api.params must be an object.');
       }
     }
+    if (Object.prototype.hasOwnProperty.call(data, 'target')) {
+      assertString(data.target, 'target');
+    }
+    if (Object.prototype.hasOwnProperty.call(data, 'swap')) {
+      const allowedSwaps = ['outerHTML', 'innerHTML', 'beforebegin', 'afterbegin', 'beforeend', 'afterend', 'delete', 'none'];
+      if (!allowedSwaps.includes(data.swap)) {
+        throw new Error(`data-fb-api.swap must be one of: ${allowedSwaps.join(', ')}.`);
+      }
+    }
+    if (Object.prototype.hasOwnProperty.call(data, 'fragment') && (typeof data.fragment !== 'string' || !/^\w+$/.test(data.fragment))) {
+      throw new Error('data-fb-api.fragment must be the name of a template block.');
+    }
+    if (Object.prototype.hasOwnProperty.call(data, 'method') && !['get', 'post'].includes(String(data.method).toLowerCase())) {
+      throw new Error('data-fb-api.method must be get or post.');
+    }
+    if (Object.prototype.hasOwnProperty.call(data, 'debounce') && (typeof data.debounce !== 'number' || data.debounce < 0)) {
+      throw new Error('data-fb-api.debounce must be a number of milliseconds.');
+    }
+    if (Object.prototype.hasOwnProperty.call(data, 'poll')) {
+      const poll = data.poll;
+      const isInterval = value => typeof value === 'number' && value > 0;
+      if (typeof poll === 'object' && poll !== null && !Array.isArray(poll)) {
+        ['interval', 'maxInterval'].forEach((key) => {
+          if (Object.prototype.hasOwnProperty.call(poll, key) && !isInterval(poll[key])) {
+            throw new Error(`data-fb-api.poll.${key} must be a number of milliseconds.`);
+          }
+        });
+        if (Object.prototype.hasOwnProperty.call(poll, 'field')) {
+          assertString(poll.field, 'poll.field');
+        }
+      } else if (!isInterval(poll)) {
+        throw new Error('data-fb-api.poll must be a number of milliseconds or an object.');
+      }
+    }
+    if (Object.prototype.hasOwnProperty.call(data, 'autosave') && !['string', 'boolean'].includes(typeof data.autosave)) {
+      throw new Error('data-fb-api.autosave must be a string or a boolean.');
+    }
+    if (Object.prototype.hasOwnProperty.call(data, 'guard')) {
+      assertBoolean(data.guard, 'guard');
+    }
+    if (Object.prototype.hasOwnProperty.call(data, 'wizard')) {
+      const wizard = data.wizard;
+      if (typeof wizard === 'object' && wizard !== null && !Array.isArray(wizard)) {
+        if (Object.prototype.hasOwnProperty.call(wizard, 'draft') && wizard.draft !== false && typeof wizard.draft !== 'string') {
+          throw new Error('data-fb-api.wizard.draft must be a string or false.');
+        }
+      } else {
+        assertBoolean(wizard, 'wizard');
+      }
+    }
+    ['on', 'off'].forEach((key) => {
+      if (Object.prototype.hasOwnProperty.call(data, key) && (data[key] === null || Array.isArray(data[key]) || !['string', 'number', 'boolean', 'object'].includes(typeof data[key]))) {
+        throw new Error(`data-fb-api.${key} must be a value or an object of parameters.`);
+      }
+    });
 
     if (Object.prototype.hasOwnProperty.call(data, 'modal')) {
       const modal = data.modal;
@@ -246,241 +377,3699 @@ const Tools = {
   }
 };
 
+/**
+ * Base class for every error the API wrapper rejects with or passes to an error handler.
+ * The `code` property matches the codes used by the callback-style API, so existing
+ * handlers reading `error.message` and `error.code` keep working.
+ */
+class RequestError extends Error {
+  /**
+   * @param {string} message The error message.
+   * @param {string|number} [code='unknown_error'] The error code.
+   */
+  constructor (message, code = 'unknown_error') {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+/**
+ * The API responded with an `error` object.
+ */
+class ApiError extends RequestError {
+  /**
+   * @param {string} message The error message returned by the API.
+   * @param {string|number} code The error code returned by the API.
+   * @param {object} [response] The full decoded response body.
+   */
+  constructor (message, code, response = null) {
+    super(message || 'Unknown API error', code ?? 'unknown_error');
+    this.response = response;
+  }
+}
+
+/**
+ * The request did not complete before the timeout expired.
+ */
+class TimeoutError extends RequestError {
+  /**
+   * @param {number} timeoutMs The timeout that was exceeded, in milliseconds.
+   */
+  constructor (timeoutMs) {
+    super('Request timed out after ' + (timeoutMs / 1000) + ' seconds', 'timeout_error');
+    this.timeout = timeoutMs;
+  }
+}
+
+/**
+ * The request could not reach the server.
+ */
+class NetworkError extends RequestError {
+  /**
+   * @param {Error} [cause] The underlying fetch error.
+   */
+  constructor (cause = null) {
+    super('Network connection error', 'network_error');
+    this.cause = cause;
+  }
+}
+
+/**
+ * The request was cancelled through its AbortSignal or abort() handle.
+ * Cancellations are not passed to error handlers and are not reported to the user.
+ */
+class CancelledError extends RequestError {
+  constructor () {
+    super('Request was cancelled', 'cancelled');
+  }
+}
+
+/**
+ * The server answered with a non-2xx HTTP status.
+ */
+class HttpError extends RequestError {
+  /**
+   * @param {number} status The HTTP status code.
+   * @param {string} [statusText] The HTTP status text.
+   * @param {Response} [response] The fetch response.
+   */
+  constructor (status, statusText = '', response = null) {
+    super(`HTTP error ${status}: ${statusText}`, 'http_error');
+    this.status = status;
+    this.statusText = statusText;
+    this.response = response;
+  }
+}
+
+/**
+ * The server answered with a body that is not valid JSON.
+ */
+class InvalidResponseError extends RequestError {
+  /**
+   * @param {string} [message] The error message.
+   */
+  constructor (message = 'Invalid or non-JSON response from server') {
+    super(message, 'invalid_response');
+  }
+}
+
 /**
  * Creates an API for a specific role (admin, client, guest).
  *
+ * Every method returns a promise that resolves with the API result. When no error handler
+ * is given the promise rejects with a {@link RequestError} subclass, otherwise the error is
+ * passed to the handler and the promise resolves with `undefined`.
+ *
+ * Request options (see API.makeRequest) can be passed either in place of the success handler,
+ * e.g. `API.admin.get('invoice/get_list', params, { retry: 3 })`, or after `enableLoader`.
+ *
  * @param {string} role The role for the API (admin, client, guest).
  * @returns {object} The API object for the specified role.
  **/
 function _createApiRole (role) {
-  const baseNamespaceUrlString = Tools.getBaseURL(role);
-
   const createMethod = (method) => {
-    return function(endpoint, params, successHandler, errorHandler, enableLoader = true) {
+    return function(endpoint, params, successHandler, errorHandler, enableLoader = true, options = {}) {
       if (typeof endpoint !== 'string' || !endpoint.trim()) {
         throw new Error('Invalid endpoint: must be a non-empty string');
       }
-      const requestUrl = new URL(endpoint, `${baseNamespaceUrlString}/`).toString();
-      API.makeRequest(method, requestUrl, params, successHandler, errorHandler, enableLoader);
+      if (API.config.endpoints) {
+        API._checkEndpoint(role, endpoint);
+      }
+      if (successHandler && typeof successHandler === 'object') {
+        options = successHandler;
+        successHandler = options.success;
+        errorHandler = options.error;
+        enableLoader = options.loader ?? true;
+      }
+      const requestUrl = new URL(endpoint, `${roleApi.baseURL}/`).toString();
+      return API.makeRequest(method, requestUrl, params, successHandler, errorHandler, enableLoader, options.timeout, options);
     };
   };
 
-  return {
-    baseURL: baseNamespaceUrlString,
+  const roleApi = {
+    // Resolved on every call, so API.configure() also applies to the role wrappers created at load time.
+    get baseURL () {
+      return Tools.getBaseURL(role);
+    },
+
     get: createMethod('GET'),
     post: createMethod('POST'),
     put: createMethod('PUT'),
     delete: createMethod('DELETE'),
-    patch: createMethod('PATCH')
+    patch: createMethod('PATCH'),
+
+    /**
+     * Walks a paginated list endpoint (one returning `{list, page, pages, total}`).
+     *
+     * @param {string} endpoint The list endpoint, e.g. "invoice/get_list".
+     * @param {object} [params] Filters to send with every page request.
+     * @param {object} [options] Pagination options, plus any request option accepted by makeRequest().
+     * @param {number} [options.perPage] Items per page.
+     * @param {number} [options.startPage=1] The first page to fetch.
+     * @param {number} [options.maxPages=Infinity] Stop after this many pages.
+     * @param {number} [options.concurrency=1] How many pages to fetch ahead in parallel. Pages are still yielded in order.
+     * @param {string} [options.method='GET'] The HTTP method. List endpoints read the page number from the query string, so GET is recommended.
+     * @returns {AsyncIterable<object>} Iterates over the list items. Call pages() on it to iterate over whole pages instead.
+     * @example
+     * for await (const invoice of API.admin.paginate('invoice/get_list', { status: 'unpaid' }, { concurrency: 2 })) {
+     *   console.log(invoice.id);
+     * }
+     */
+    paginate: function (endpoint, params = {}, options = {}) {
+      const request = roleApi[(options.method || 'GET').toLowerCase()];
+      return API._paginate(request, endpoint, params, options);
+    },
+
+    /**
+     * Uploads a large file in resumable chunks.
+     *
+     * @param {string} endpoint The upload endpoint, e.g. "servicedownloadable/upload". The `_status`, `_chunk` and `_complete` variants of it must exist.
+     * @param {File} file The file to upload.
+     * @param {object} [params] Extra parameters sent with every call, e.g. the product ID.
+     * @param {object} [options] Upload options.
+     * @param {function} [options.onProgress] Called with `{loaded, total, percent}` for the whole file.
+     * @param {number} [options.chunkSize] Chunk size in bytes. Defaults to API.upload.chunkSize.
+     * @param {AbortSignal} [options.signal] Cancels the upload when aborted. The returned promise also has an abort() method.
+     * @returns {Promise<*>} Resolves with the result of the `_complete` call.
+     */
+    uploadChunked: function (endpoint, file, params = {}, options = {}) {
+      return API._uploadChunked(roleApi, endpoint, file, params, options);
+    }
   };
+
+  if (role === 'admin') {
+    /**
+     * Subscribes to live admin events, such as `support.ticket_created`, `support.ticket_replied`,
+     * `support.public_ticket_created`, `invoice.paid`, `order.created` and `client.created`.
+     *
+     * @param {string} event The event name.
+     * @param {function(object, MessageEvent)} handler Called with the event data, e.g. `{id: 12}`.
+     * @returns {function} Unsubscribes the handler again.
+     * @example
+     * API.admin.subscribe('support.ticket_created', (ticket) => FOSSBilling.message(`New ticket #${ticket.id}`));
+     */
+    roleApi.subscribe = function (event, handler) {
+      return API.events.subscribe(event, handler);
+    };
+  }
+
+  return roleApi;
 }
 
 /**
- * FOSSBilling API wrapper for JavaScript.
- * @documentation https://fossbilling.org/docs/api/javascript
- */
-const API = {
-  /**
-   * Wrapper for the admin API.
-   * @documentation https://fossbilling.org/docs/api/javascript
-   */
-  admin: _createApiRole('admin'),
+ * Creates an ordered list of interceptors that can be added and removed at runtime.
+ *
+ * @returns {object} The interceptor manager.
+ **/
+function _createInterceptorManager () {
+  const handlers = [];
 
-  /**
-   * Wrapper for the client API.
-   * @documentation https://fossbilling.org/docs/api/javascript
-   */
-  client: _createApiRole('client'),
+  return {
+    /**
+     * Registers an interceptor.
+     *
+     * @param {function} [fulfilled] Called with the request config or response object. Must return it (or a promise for it).
+     * @param {function} [rejected] Called with the error. Rethrow it, or return a value to recover.
+     * @returns {number} The interceptor ID, to be passed to eject().
+     */
+    use: function (fulfilled, rejected) {
+      handlers.push({ fulfilled, rejected });
+      return handlers.length - 1;
+    },
 
-  /**
-   * Wrapper for the guest API.
-   * @documentation https://fossbilling.org/docs/api/javascript
-   */
-  guest: _createApiRole('guest'),
+    /**
+     * Removes a previously registered interceptor.
+     *
+     * @param {number} id The ID returned by use().
+     */
+    eject: function (id) {
+      if (handlers[id]) {
+        handlers[id] = null;
+      }
+    },
 
-  /**
-   * Make a request to the API.
-   *
-   * @param {string} method The HTTP method to use.
-   * @param {string} url The URL to call.
-   * @param {object|string} [params] The parameters to send.
-   * @param {function} [successHandler] The function to call if the request is successful.
-   * @param {function} [errorHandler] The function to call if the request is unsuccessful.
-   * @param {boolean} [enableLoader=true] Enable or disable the usage of a loader. Custom themes simply need to provide one with the spinner-border class.
-   * @param {number} [timeoutMs=30000] Timeout duration in milliseconds.
-   * @documentation https://fossbilling.org/docs/api/javascript
-   */
-  makeRequest: function (method, url, params, successHandler, errorHandler, enableLoader = true, timeoutMs = 30000) {
-    let loader = enableLoader ? this._createLoader() : null;
+    /**
+     * Removes every registered interceptor, including the built-in ones.
+     */
+    clear: function () {
+      handlers.length = 0;
+    },
 
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    /**
+     * Runs a promise through every registered interceptor in order.
+     *
+     * @param {Promise} promise The promise to chain the interceptors onto.
+     * @returns {Promise} The resulting promise.
+     */
+    run: function (promise) {
+      return handlers.reduce((chain, handler) => {
+        if (!handler) {
+          return chain;
+        }
 
-    url = new URL(url);
-    const isFormData = params instanceof FormData;
+        const fulfilled = typeof handler.fulfilled === 'function'
+          ? (value) => Promise.resolve(handler.fulfilled(value)).then((returned) => returned === undefined ? value : returned)
+          : undefined;
+        const rejected = typeof handler.rejected === 'function' ? handler.rejected : undefined;
 
-    if (isFormData) {
-      if (!params.has('CSRFToken')) {
-        params.append('CSRFToken', Tools.getCSRFToken());
-      }
-    } else if (params && typeof params === 'object') {
-      if (!params.CSRFToken) {
-        params.CSRFToken = Tools.getCSRFToken();
-      }
+        return chain.then(fulfilled, rejected);
+      }, promise);
     }
+  };
+}
 
-    let body = null;
-    const methodLower = method.toLowerCase();
-    if (methodLower === 'get') {
-      if (isFormData) {
-        for (const [key, value] of params.entries()) {
-          url.searchParams.append(key, value);
-        }
-      } else if (params && typeof params === 'object') {
-        Object.keys(params).forEach(key => url.searchParams.append(key, params[key]));
-      } else if (params) {
-        url.search = params;
-      }
-    } else if (['post', 'put', 'patch', 'delete'].includes(methodLower)) {
-      if (isFormData) {
-        body = params;
-      } else {
-        if (!Tools.isJSON(params)) {
-          params = JSON.stringify(params);
-        }
-        body = params;
-      }
-    }
+/**
+ * Creates the store used to share in-flight requests and cache responses.
+ * Entries are keyed by method, role, endpoint and parameters. Cached results are shared
+ * between callers, so they should be treated as read-only.
+ *
+ * @returns {object} The response cache.
+ **/
+function _createResponseCache () {
+  const entries = new Map();
+  const inflight = new Map();
+  const rules = [];
 
-    const headers = {
-      'Accept': 'application/json',
-      'X-CSRF-Token': Tools.getCSRFToken() || '',
-    };
-    if (body && !isFormData) {
-      headers['Content-Type'] = 'application/json';
+  const stableStringify = (value) => {
+    if (Array.isArray(value)) {
+      return `[${value.map(stableStringify).join(',')}]`;
     }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+  };
 
-    return fetch(url.toString(), {
-      method: method,
-      headers: headers,
-      body: body,
-      signal: controller.signal
-    })
-      .then((response) => {
-        clearTimeout(timeoutId);
+  const matches = (pattern, endpoint) => {
+    const regex = new RegExp('^' + pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+    return regex.test(endpoint.path) || regex.test(`${endpoint.role}/${endpoint.path}`);
+  };
 
-        if (response.redirected) {
-          window.location.replace(response.url);
-          return;
-        }
+  return {
+    defaultTtl: 60000, // Lifetime of entries cached with `cache: true`, in milliseconds.
 
-        if (!response.ok) {
-          throw new Error(`HTTP error ${response.status}: ${response.statusText}`);
-        }
+    /**
+     * Builds the cache key of a request.
+     *
+     * @param {string} method The HTTP method.
+     * @param {object} endpoint The role and path returned by Tools.parseApiEndpoint().
+     * @param {object|string} [params] The request parameters.
+     * @returns {string|null} The key, or null if the parameters cannot be keyed (e.g. FormData).
+     */
+    key: function (method, endpoint, params) {
+      if (params instanceof FormData) {
+        return null;
+      }
 
-        const contentType = response.headers.get('content-type');
-        if (contentType && contentType.includes('application/json')) {
-          return response.json().catch(() => {
-            throw new Error('Invalid JSON response from server');
-          });
-        } else {
-          return response.text().then(text => {
-            try {
-              return JSON.parse(text);
-            } catch (e) {
-              throw new Error('Invalid or non-JSON response from server');
-            }
-          });
-        }
-      })
-      .then((response) => {
-        if (enableLoader && loader) {
-          if (loader._fadeInTimeout) {
-            clearTimeout(loader._fadeInTimeout);
-          }
-          document.body.removeChild(loader);
-          loader = null;
-        }
+      let normalized = params ?? {};
+      if (typeof normalized === 'string') {
+        normalized = Tools.isJSON(normalized) ? JSON.parse(normalized) : Object.fromEntries(new URLSearchParams(normalized));
+      }
+      if (normalized && typeof normalized === 'object' && !Array.isArray(normalized)) {
+        normalized = Object.assign({}, normalized);
+        delete normalized.CSRFToken;
+      }
 
-        if (response.error) {
-          const error = new Error(response.error.message || 'Unknown API error');
-          error.code = response.error.code;
-          throw error;
-        }
+      return `${method.toUpperCase()} ${endpoint.role}/${endpoint.path} ${stableStringify(normalized)}`;
+    },
 
-        if (typeof successHandler === 'function') {
-          successHandler(response.result);
-        }
+    /**
+     * Returns the cached or in-flight response for a key.
+     *
+     * @param {string} key The cache key.
+     * @returns {Promise<object>|null} The response promise, or null on a miss.
+     */
+    get: function (key) {
+      const entry = entries.get(key);
+      if (entry && entry.expires > Date.now()) {
+        return Promise.resolve(entry.response);
+      }
+      entries.delete(key);
 
-        return response.result;
-      })
-      .catch((error) => {
-        clearTimeout(timeoutId);
+      return inflight.get(key) || null;
+    },
 
-        if (enableLoader && loader) {
-          if (loader._fadeInTimeout) {
-            clearTimeout(loader._fadeInTimeout);
-          }
-          document.body.removeChild(loader);
-          loader = null;
+    /**
+     * Shares a request while it is in flight and caches its response once it succeeds.
+     *
+     * @param {string} key The cache key.
+     * @param {object} endpoint The role and path of the request.
+     * @param {Promise<object>} request The response promise.
+     * @param {number} [ttl=0] How long to cache the response, in milliseconds. 0 only deduplicates.
+     */
+    track: function (key, endpoint, request, ttl = 0) {
+      inflight.set(key, request);
+      request.then((response) => {
+        inflight.delete(key);
+        if (ttl > 0) {
+          entries.set(key, { endpoint, response, expires: Date.now() + ttl });
         }
+      }, () => inflight.delete(key));
+    },
 
-        let errorObj;
-        if (error.name === 'AbortError') {
-          errorObj = {
-            message: 'Request timed out after ' + (timeoutMs / 1000) + ' seconds',
-            code: 'timeout_error'
-          };
-        } else if (error.name === 'TypeError' && error.message.includes('NetworkError')) {
-          errorObj = {
-            message: 'Network connection error',
-            code: 'network_error'
-          };
-        } else {
-          errorObj = {
-            message: error.message || 'Unknown error occurred',
-            code: error.code || 'unknown_error'
-          };
+    /**
+     * Drops cached responses whose endpoint matches a pattern.
+     *
+     * @param {string} pattern The endpoint, optionally prefixed with the role, with `*` as a wildcard, e.g. "cart/*".
+     */
+    invalidate: function (pattern) {
+      entries.forEach((entry, key) => {
+        if (matches(pattern, entry.endpoint)) {
+          entries.delete(key);
         }
+      });
+    },
 
-        console.error(`API Error: ${errorObj.message}`);
+    /**
+     * Registers a rule to drop cached responses after a successful mutating call.
+     *
+     * @param {string} trigger The endpoint pattern of the mutating call, e.g. "cart/remove_item".
+     * @param {string|string[]} patterns The endpoint patterns to invalidate.
+     */
+    invalidateOn: function (trigger, patterns) {
+      rules.push({ trigger, patterns: [].concat(patterns) });
+    },
 
-        if (typeof errorHandler === 'function') {
-          errorHandler(errorObj);
-        } else {
-          console.warn('No error handler was specified for API error.');
-          const normalizedError = new Error(errorObj.message);
-          normalizedError.code = errorObj.code;
-          throw normalizedError;
+    /**
+     * Applies the invalidation rules matching a completed mutating call.
+     *
+     * @param {object} endpoint The role and path of the call.
+     */
+    invalidateAfter: function (endpoint) {
+      rules.forEach((rule) => {
+        if (matches(rule.trigger, endpoint)) {
+          rule.patterns.forEach((pattern) => this.invalidate(pattern));
         }
       });
-  },
+    },
 
-  /**
-   * After the API request is complete, this function will be called.
-   *
-   * @param {object} object The HTML element that triggered the API call.
-   * @param {*} result The result of the API call.
-   * @returns
-   */
-  _afterComplete: function (object, result) {
-    let apiData;
-    try {
-      apiData = Tools.parseDataAttr(object.dataset.fbApi || '{}');
-    } catch (error) {
-      console.warn('Invalid JSON in data-fb-api attribute:', error);
-      return;
+    /**
+     * Drops every cached response.
+     */
+    clear: function () {
+      entries.clear();
     }
+  };
+}
 
-    if (apiData.hasOwnProperty('callback') && typeof window[apiData.callback] === 'function') {
-      return window[apiData.callback](result);
-    } else if (apiData.hasOwnProperty('callback')) {
-      console.warn('Invalid callback function:', apiData.callback);
-    }
+/**
+ * Creates the guard that recovers from expired sessions and stale CSRF tokens. It asks the user
+ * to log in again, holds back admin and client calls in the meantime and then replays the calls
+ * that failed, so nothing typed into the page is lost.
+ *
+ * @returns {object} The session guard.
+ **/
+function _createSessionGuard () {
+  let pending = null;
 
-    if (apiData.hasOwnProperty('redirect')) {
-      window.location = apiData.redirect;
-      return;
+  return {
+    enabled: true, // Set to false to let session errors through, e.g. to redirect to the login page instead.
+    loginEndpoints: { admin: 'staff/login', client: 'client/login' }, // Guest endpoints used to log in again.
+    texts: {
+      title: 'Your session has expired',
+      message: 'Please log in again to continue. Your unsaved changes are kept.',
+      email: 'Email',
+      password: 'Password',
+      login: 'Log in',
+      cancel: 'Cancel'
+    },
+
+    /**
+     * Asks the user to log in again. Themes can replace it with their own dialog.
+     * When left empty, a login modal is shown if the theme provides Modals.
+     *
+     * @type {function(string, function(string, string): Promise): Promise|null}
+     *   Called with the role (admin or client) and a login(email, password) function. Must return a
+     *   promise that resolves once logged in and rejects if the user gives up.
+     */
+    prompt: null,
+
+    /**
+     * @returns {Promise|null} The re-authentication in progress, if any.
+     */
+    get pending () {
+      return pending;
+    },
+
+    /**
+     * Checks whether a failed call can be recovered by logging in again.
+     *
+     * @param {object} config The request config of the call.
+     * @returns {boolean} True for admin and client calls that have not been replayed yet, when a login prompt is available.
+     */
+    canRecover: function (config) {
+      const endpoint = config ? Tools.parseApiEndpoint(config.url) : null;
+      if (!this.enabled || !endpoint || endpoint.role === 'guest' || config.sessionReplayed) {
+        return false;
+      }
+
+      return typeof this.prompt === 'function' || (Tools.isBrowser() && typeof Modals !== 'undefined');
+    },
+
+    /**
+     * @param {Error} error The error of a failed call.
+     * @returns {boolean} True if the error means the session expired (207) or the CSRF token was rejected (403).
+     */
+    isSessionError: function (error) {
+      return error instanceof ApiError && [207, 403].includes(Number(error.code));
+    },
+
+    /**
+     * Asks the user to log in again and replays the call once they have.
+     *
+     * @param {object} config The request config of the failed call.
+     * @param {RequestError} error The error to fail the call with if the user does not log in.
+     * @returns {Promise<object>} The response object of the replayed call.
+     */
+    recover: function (config, error) {
+      return this.reauthenticate(Tools.parseApiEndpoint(config.url).role).then(() => {
+        config.sessionReplayed = true;
+
+        // The token sent with the failed call may be stale, so let the CSRF interceptor add the current one.
+        if (config.params instanceof FormData) {
+          config.params.delete('CSRFToken');
+        } else if (config.params && typeof config.params === 'object') {
+          delete config.params.CSRFToken;
+        } else if (Tools.isJSON(config.params)) {
+          // Forms send their fields as a JSON string, which the interceptor cannot add a token to.
+          const params = JSON.parse(config.params);
+          if (params && typeof params === 'object' && !Array.isArray(params)) {
+            delete params.CSRFToken;
+            config.params = params;
+          }
+        }
+
+        return API._dispatch(config);
+      }, () => {
+        throw error;
+      });
+    },
+
+    /**
+     * Starts a re-authentication, or joins the one in progress.
+     *
+     * @param {string} role The role to log in as (admin or client).
+     * @returns {Promise} Resolves once logged in, rejects if the user gives up.
+     */
+    reauthenticate: function (role) {
+      if (!pending) {
+        const login = (email, password) => API.guest.post(this.loginEndpoints[role], { email, password }, { loader: false });
+        const prompt = typeof this.prompt === 'function' ? this.prompt : this._modalPrompt.bind(this);
+
+        pending = Promise.resolve()
+          .then(() => prompt(role, login))
+          .finally(() => {
+            pending = null;
+          });
+      }
+
+      return pending;
+    },
+
+    /**
+     * The default prompt: a login modal built with Modals. It is shown again with the error
+     * message until the login succeeds or the user cancels.
+     *
+     * @param {string} role The role to log in as.
+     * @param {function} login Logs in with an email and password.
+     * @returns {Promise} Resolves once logged in, rejects if the user cancels.
+     */
+    _modalPrompt: function (role, login) {
+      const texts = this.texts;
+
+      return new Promise((resolve, reject) => {
+        const show = (errorMessage) => {
+          let confirmed = false;
+
+          Modals.create({
+            type: 'small-confirm',
+            title: Tools.escapeHtml(texts.title),
+            content: `<p class="text-secondary">${Tools.escapeHtml(texts.message)}</p>
+              ${errorMessage ? `<div class="alert alert-danger" role="alert">${Tools.escapeHtml(errorMessage)}</div>` : ''}
+              <div class="mb-2">
+                <label class="form-label" for="fb-session-email">${Tools.escapeHtml(texts.email)}</label>
+                <input type="email" class="form-control" id="fb-session-email" autocomplete="username">
+              </div>
+              <div>
+                <label class="form-label" for="fb-session-password">${Tools.escapeHtml(texts.password)}</label>
+                <input type="password" class="form-control" id="fb-session-password" autocomplete="current-password">
+              </div>`,
+            confirmButton: Tools.escapeHtml(texts.login),
+            cancelButton: Tools.escapeHtml(texts.cancel),
+            confirmCallback: () => {
+              confirmed = true;
+              const email = document.getElementById('fb-session-email').value;
+              const password = document.getElementById('fb-session-password').value;
+              login(email, password).then(resolve, (error) => show(error.message));
+            },
+            closeCallback: () => {
+              if (!confirmed) {
+                reject(new CancelledError());
+              }
+            }
+          });
+
+          const password = document.getElementById('fb-session-password');
+          password.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+              event.preventDefault();
+              password.closest('.modal').querySelector('#confirm-button').click();
+            }
+          });
+          document.getElementById('fb-session-email').focus();
+        };
+
+        show(null);
+      });
+    }
+  };
+}
+
+/**
+ * Creates the durable queue for mutating calls made while offline. Calls that opt in with the
+ * `offline` option and fail with a network error are stored in IndexedDB and replayed in order
+ * once the browser is back online, also after a reload. Entries are keyed by method, URL and
+ * parameters, so the same call queued twice, e.g. a reply submitted again, is only sent once.
+ * The replay sends the Idempotency-Key of the call that was queued.
+ *
+ * @returns {object} The offline queue.
+ **/
+function _createOfflineQueue () {
+  const storeName = 'requests';
+  const counterKey = 'fb-api-offline-queue';
+  const waiting = new Map();
+  let database = null;
+  let flushing = null;
+  let sequence = 0;
+
+  const open = () => {
+    if (!database) {
+      database = new Promise((resolve, reject) => {
+        const request = indexedDB.open('fossbilling-api', 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(storeName, { keyPath: 'key' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return database;
+  };
+
+  const transaction = (mode, operation) => open().then((db) => new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = operation(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+  }));
+
+  // FormData cannot be stored in IndexedDB, so it is kept as a list of entries. The CSRF token is
+  // dropped, the CSRF interceptor adds the current one when the call is replayed.
+  const toStorable = (params) => {
+    if (params instanceof FormData) {
+      return { formData: Array.from(params.entries()).filter(([name]) => name !== 'CSRFToken') };
+    }
+    if (Tools.isJSON(params)) {
+      params = JSON.parse(params);
+    }
+    if (params && typeof params === 'object') {
+      const copy = Object.assign({}, params);
+      delete copy.CSRFToken;
+      return { json: copy };
+    }
+    return { raw: params ?? null };
+  };
+
+  const fromStorable = (stored) => {
+    if (stored.formData) {
+      const formData = new FormData();
+      stored.formData.forEach(([name, value]) => formData.append(name, value));
+      return formData;
+    }
+    return stored.json ?? stored.raw;
+  };
+
+  return {
+    texts: {
+      queued: 'You are offline. Your request will be sent as soon as your connection is back.',
+      sent: 'Your pending requests have been sent.'
+    },
+
+    /**
+     * @returns {boolean} True if the browser supports the queue.
+     */
+    isAvailable: function () {
+      return Tools.isBrowser() && typeof indexedDB !== 'undefined';
+    },
+
+    /**
+     * Builds the queue key of a call from its method, URL and parameters.
+     *
+     * @param {string} method The HTTP method.
+     * @param {string} url The URL of the call.
+     * @param {*} params The storable parameters.
+     * @returns {string} The key.
+     */
+    key: function (method, url, params) {
+      const serialized = JSON.stringify(params, (name, value) => value instanceof Blob ? `${value.name}:${value.size}:${value.lastModified}` : value);
+      return `fb-${Tools.hash(`${method} ${url} ${serialized}`)}`;
+    },
+
+    /**
+     * Stores a call that failed because the browser is offline.
+     *
+     * @param {object} config The request config of the call.
+     * @param {RequestError} error The network error, to fail the call with if it cannot be stored.
+     * @returns {Promise<object>} Resolves with the response once the call has been replayed in this page.
+     */
+    enqueue: function (config, error) {
+      const params = toStorable(config.params);
+      // Every call has an Idempotency-Key of its own, so the queue is keyed on what is sent instead.
+      const key = this.key(config.method, config.url, params);
+
+      if (!waiting.has(key)) {
+        let resolve, reject;
+        const promise = new Promise((res, rej) => {
+          resolve = res;
+          reject = rej;
+        });
+        waiting.set(key, { promise, resolve, reject });
+
+        const entry = {
+          key,
+          idempotencyKey: config.headers['Idempotency-Key'] || key,
+          method: config.method,
+          url: config.url,
+          params,
+          timeout: config.timeout,
+          createdAt: Date.now(),
+          sequence: sequence++
+        };
+        transaction('readwrite', (store) => store.put(entry))
+          .then(() => this._updateStatus())
+          .then(() => {
+            if (typeof FOSSBilling !== 'undefined') {
+              FOSSBilling.message(this.texts.queued, 'warning');
+            }
+          })
+          .catch(() => {
+            waiting.delete(key);
+            reject(error);
+          });
+      }
+
+      return waiting.get(key).promise;
+    },
+
+    /**
+     * @returns {Promise<object[]>} The queued calls, oldest first.
+     */
+    list: function () {
+      return transaction('readonly', (store) => store.getAll())
+        .then((entries) => entries.sort((a, b) => a.createdAt - b.createdAt || a.sequence - b.sequence));
+    },
+
+    /**
+     * Replays the queued calls in order. Stops at the first call that fails because the browser
+     * is still offline or the session expired, and drops calls the server rejected.
+     *
+     * @returns {Promise<number>} Resolves with the number of calls still queued.
+     */
+    flush: function () {
+      if (!flushing) {
+        flushing = this.list()
+          .then(async (entries) => {
+            let sent = 0;
+            for (const entry of entries) {
+              const waiter = waiting.get(entry.key);
+              try {
+                const response = await API._dispatch({
+                  method: entry.method,
+                  url: entry.url,
+                  params: fromStorable(entry.params),
+                  headers: { 'Accept': 'application/json', 'Idempotency-Key': entry.idempotencyKey || entry.key },
+                  timeout: entry.timeout ?? 30000,
+                  retry: API._resolveRetryPolicy(entry.method, false)
+                });
+                if (waiter) {
+                  waiter.resolve(response);
+                }
+                sent++;
+              } catch (error) {
+                if (error instanceof NetworkError || error instanceof TimeoutError || API.session.isSessionError(error)) {
+                  break;
+                }
+                if (waiter) {
+                  waiter.reject(error);
+                } else if (typeof FOSSBilling !== 'undefined') {
+                  FOSSBilling.message(`${error.message} (${error.code})`, 'error');
+                }
+              }
+
+              waiting.delete(entry.key);
+              await transaction('readwrite', (store) => store.delete(entry.key));
+            }
+
+            if (sent > 0 && typeof FOSSBilling !== 'undefined') {
+              FOSSBilling.message(this.texts.sent, 'success');
+            }
+
+            return this._updateStatus();
+          })
+          .finally(() => {
+            flushing = null;
+          });
+      }
+
+      return flushing;
+    },
+
+    /**
+     * Removes every queued call without sending it.
+     *
+     * @returns {Promise<number>} Resolves with 0.
+     */
+    clear: function () {
+      waiting.forEach((waiter) => waiter.reject(new CancelledError()));
+      waiting.clear();
+      return transaction('readwrite', (store) => store.clear()).then(() => this._updateStatus());
+    },
+
+    /**
+     * Publishes the number of queued calls: as the `data-fb-pending-requests` attribute of the
+     * html element, so themes can style the pending state, and as an `fb:offline-queue` event.
+     *
+     * @returns {Promise<number>} The number of queued calls.
+     */
+    _updateStatus: function () {
+      return transaction('readonly', (store) => store.count()).then((count) => {
+        // Remembered outside IndexedDB, so pages only open the database when something is queued.
+        if (count > 0) {
+          localStorage.setItem(counterKey, count);
+          document.documentElement.dataset.fbPendingRequests = count;
+        } else {
+          localStorage.removeItem(counterKey);
+          delete document.documentElement.dataset.fbPendingRequests;
+        }
+        document.dispatchEvent(new CustomEvent('fb:offline-queue', { detail: { pending: count } }));
+
+        return count;
+      });
+    },
+
+    /**
+     * Replays the queue whenever the browser comes back online, and right away if calls were
+     * left over from an earlier page.
+     */
+    _listen: function () {
+      if (!this.isAvailable()) {
+        return;
+      }
+
+      window.addEventListener('online', () => this.flush());
+      if (localStorage.getItem(counterKey) && navigator.onLine) {
+        this.flush();
+      }
+    }
+  };
+}
+
+/**
+ * Creates the generator of Idempotency-Key headers for mutating calls. Every call gets a key of its own, which
+ * its retries, its replay after a new login and its replay from the offline queue reuse, so the server runs
+ * it only once however often it is sent. An identical call made within a short window, e.g. by a double-click
+ * or a form submitted twice, also gets the key of the first one, so it only runs once as well.
+ *
+ * @returns {object} The idempotency key generator.
+ **/
+function _createIdempotencyKeys () {
+  const recent = new Map();
+
+  const randomKey = () => {
+    // randomUUID() is only available in secure contexts.
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+      return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+  };
+
+  return {
+    methods: ['POST', 'PUT', 'PATCH', 'DELETE'], // Methods that get an Idempotency-Key header.
+    window: 2000, // Identical calls made within this many milliseconds of each other share a key.
+
+    /**
+     * Returns the key for a call made without the `idempotencyKey` option: the key of an identical call made
+     * within the window, or a new one.
+     *
+     * @param {object} config The request config.
+     * @returns {string} The key.
+     */
+    key: function (config) {
+      let params = config.params;
+      if (params instanceof FormData) {
+        params = Array.from(params.entries());
+      } else if (Tools.isJSON(params)) {
+        params = JSON.parse(params);
+      }
+      // The CSRF token changes between page loads but does not make a call different.
+      const fingerprint = `${config.method} ${config.url} ${JSON.stringify(params, (name, value) => {
+        if (name === 'CSRFToken' || (Array.isArray(value) && value[0] === 'CSRFToken')) {
+          return undefined;
+        }
+        return value instanceof Blob ? `${value.name}:${value.size}:${value.lastModified}` : value;
+      })}`;
+
+      const now = Date.now();
+      recent.forEach((entry, key) => {
+        if (now - entry.time > this.window) {
+          recent.delete(key);
+        }
+      });
+
+      const entry = recent.get(fingerprint) || { key: randomKey() };
+      entry.time = now;
+      recent.set(fingerprint, entry);
+
+      return entry.key;
+    }
+  };
+}
+
+/**
+ * Creates the reporter that sends JavaScript errors and failed API calls to the front-end error
+ * log under Activity. Reports are collected for a moment and sent in batches, and identical
+ * errors are only reported once per page load.
+ *
+ * @returns {object} The error reporter.
+ **/
+function _createErrorReporter () {
+  const queue = [];
+  const seen = new Set();
+  let timer = null;
+
+  return {
+    enabled: true,
+    endpoint: 'activity/error_report', // Guest endpoint the reports are sent to.
+    role: null, // The area of the page (admin, client or guest), set by the theme.
+    batchSize: 10, // Send as soon as this many reports are waiting.
+    delay: 2000, // Otherwise send this many milliseconds after the first report.
+    maxReports: 50, // Stop reporting after this many distinct errors, e.g. when an error repeats in a loop.
+    ignoredCodes: [201, 202, 203, 204, 205, 206, 207, 401, 403, 1002, 1004], // API errors the user causes, e.g. an expired session or wrong login details.
+
+    /**
+     * Queues a report.
+     *
+     * @param {object} report The report.
+     * @param {string} report.type One of error, rejection and api.
+     * @param {string} report.message The error message.
+     * @param {string} [report.stack] The stack trace.
+     * @param {string} [report.endpoint] The API endpoint of a failed call, e.g. `client/order/get_list`.
+     * @param {string|number} [report.code] The error code.
+     * @param {string} [report.role] The API role, defaults to the area of the page.
+     */
+    report: function (report) {
+      if (!this.enabled || !Tools.isBrowser() || seen.size >= this.maxReports) {
+        return;
+      }
+
+      const fingerprint = `${report.type} ${report.endpoint || ''} ${report.message}`;
+      if (seen.has(fingerprint)) {
+        return;
+      }
+      seen.add(fingerprint);
+
+      queue.push({
+        type: report.type,
+        message: String(report.message),
+        stack: report.stack || null,
+        url: window.location.href,
+        endpoint: report.endpoint || null,
+        code: report.code ?? null,
+        role: report.role || this.role
+      });
+
+      if (queue.length >= this.batchSize) {
+        this.flush();
+      } else if (!timer) {
+        timer = setTimeout(() => this.flush(), this.delay);
+      }
+    },
+
+    /**
+     * Reports an uncaught error or unhandled rejection. Failed API calls are reported by the
+     * telemetry response interceptor, so they are skipped here.
+     *
+     * @param {*} error The error, usually an Error, but anything can be thrown.
+     * @param {string} [type='error'] Either error or rejection.
+     */
+    captureError: function (error, type = 'error') {
+      if (error instanceof RequestError) {
+        return;
+      }
+
+      // Errors thrown in other frames are not instances of this frame's Error.
+      const isError = error !== null && typeof error === 'object' && typeof error.message === 'string';
+      const message = isError ? error.message : (typeof error === 'string' ? error : JSON.stringify(error));
+      this.report({
+        type: type,
+        message: message || 'Unknown error',
+        stack: isError ? error.stack : null
+      });
+    },
+
+    /**
+     * Reports a failed API call. Only network and HTTP errors, invalid responses and unexpected API errors are
+     * reported: cancelled calls, failed reports, errors about form fields and the `ignoredCodes` are left out.
+     *
+     * @param {RequestError} error The error the call failed with.
+     */
+    captureRequest: function (error) {
+      if (error instanceof CancelledError) {
+        return;
+      }
+      if (error instanceof ApiError && (API.validation.fieldErrors(error) || this.ignoredCodes.includes(Number(error.code)))) {
+        return;
+      }
+
+      const endpoint = error.config ? Tools.parseApiEndpoint(error.config.url) : null;
+      if (endpoint && endpoint.role === 'guest' && endpoint.path === this.endpoint) {
+        return;
+      }
+
+      this.report({
+        type: 'api',
+        message: error.message,
+        endpoint: endpoint ? `${endpoint.role}/${endpoint.path}` : error.config?.url,
+        code: error.code,
+        role: endpoint ? endpoint.role : null
+      });
+    },
+
+    /**
+     * Sends the waiting reports.
+     *
+     * @returns {Promise<number>} The number of stored reports. Failures are ignored.
+     */
+    flush: function () {
+      clearTimeout(timer);
+      timer = null;
+
+      if (queue.length === 0) {
+        return Promise.resolve(0);
+      }
+
+      const reports = queue.splice(0);
+      return API.guest.post(this.endpoint, { reports }, { loader: false, retry: false, idempotencyKey: false })
+        .catch(() => 0);
+    },
+
+    /**
+     * Sends the waiting reports when the page is hidden, as the user may be leaving it.
+     */
+    _listen: function () {
+      if (!Tools.isBrowser()) {
+        return;
+      }
+
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+          this.flush();
+        }
+      });
+    }
+  };
+}
+
+/**
+ * Creates the live event stream of the admin area. All subscriptions share a single EventSource,
+ * which is opened with the first subscription and closed when the last one is removed.
+ *
+ * The server ends the stream every now and then and the browser reconnects, resuming after the
+ * last received event. When the connection fails for good, e.g. because the session expired, the
+ * stream is reopened with an increasing delay.
+ *
+ * @returns {object} The event stream.
+ **/
+function _createEventStream () {
+  const handlers = new Map();
+  let source = null;
+  let lastEventId = null;
+  let reconnectTimer = null;
+  let failures = 0;
+
+  const dispatch = (message) => {
+    lastEventId = message.lastEventId || lastEventId;
+
+    let data = message.data;
+    try {
+      data = JSON.parse(message.data);
+    } catch (error) {
+      // Not JSON, pass the raw data.
+    }
+
+    (handlers.get(message.type) || new Set()).forEach((handler) => {
+      try {
+        handler(data, message);
+      } catch (error) {
+        console.error(`Error in the handler for ${message.type}:`, error);
+      }
+    });
+  };
+
+  return {
+    endpoint: 'events', // Relative to the admin API URL.
+    retryDelay: 3000, // Delay before reopening a failed stream, in milliseconds. Doubled for every further failure.
+    maxRetryDelay: 60000,
+
+    /**
+     * @returns {boolean} Whether the stream is open.
+     */
+    get connected () {
+      return source !== null && source.readyState === EventSource.OPEN;
+    },
+
+    /**
+     * Subscribes to an event. See API.admin.subscribe().
+     *
+     * @param {string} event The event name.
+     * @param {function(object, MessageEvent)} handler Called with the event data.
+     * @returns {function} Unsubscribes the handler again.
+     */
+    subscribe: function (event, handler) {
+      if (typeof EventSource === 'undefined') {
+        console.warn('Live events are not available: EventSource is not supported.');
+        return () => {};
+      }
+
+      if (!handlers.has(event)) {
+        handlers.set(event, new Set());
+        if (source) {
+          source.addEventListener(event, dispatch);
+        }
+      }
+      handlers.get(event).add(handler);
+
+      if (!source && !reconnectTimer) {
+        this._connect();
+      }
+
+      return () => {
+        const set = handlers.get(event);
+        if (!set || !set.delete(handler) || set.size > 0) {
+          return;
+        }
+
+        handlers.delete(event);
+        if (source) {
+          source.removeEventListener(event, dispatch);
+        }
+        if (handlers.size === 0) {
+          this.close();
+        }
+      };
+    },
+
+    /**
+     * Closes the stream. It is reopened by the next subscription.
+     */
+    close: function () {
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+      if (source) {
+        source.close();
+        source = null;
+      }
+    },
+
+    _connect: function () {
+      reconnectTimer = null;
+
+      const url = new URL(this.endpoint, `${API.admin.baseURL}/`);
+      // A new EventSource does not send the Last-Event-ID header, so the position is passed along.
+      if (lastEventId) {
+        url.searchParams.set('lastEventId', lastEventId);
+      }
+
+      source = new EventSource(url.toString(), { withCredentials: true });
+      handlers.forEach((set, event) => source.addEventListener(event, dispatch));
+
+      source.onopen = () => {
+        failures = 0;
+      };
+      source.onerror = () => {
+        // While connecting, the browser retries by itself. A closed stream has to be reopened.
+        if (source.readyState !== EventSource.CLOSED) {
+          return;
+        }
+
+        source = null;
+        const delay = Math.min(this.retryDelay * 2 ** failures, this.maxRetryDelay);
+        failures++;
+        reconnectTimer = setTimeout(() => this._connect(), delay);
+      };
+    }
+  };
+}
+
+/**
+ * Creates the registry of loading indicators. Each strategy shows an indicator for a target
+ * element (or the whole page) and hides it again. Overlapping calls that use the same strategy
+ * and target share one indicator, which is hidden when the last of them completes.
+ *
+ * @returns {object} The loader registry.
+ **/
+function _createLoaderRegistry () {
+  const strategies = {};
+  const active = new Map();
+
+  const spinnerHtml = '<span class="spinner-border spinner-border-sm me-2" aria-hidden="true"></span>';
+
+  const registry = {
+    default: 'spinner', // Strategy used when a call enables the loader without naming one.
+
+    /**
+     * Registers a loader strategy, replacing any existing one with the same name.
+     *
+     * @param {string} name The strategy name, used in the `loader` option and in data-fb-api.
+     * @param {object} strategy The strategy.
+     * @param {function(HTMLElement|null): *} strategy.show Shows the indicator. Its return value is passed to hide().
+     * @param {function(*, HTMLElement|null)} strategy.hide Hides the indicator.
+     * @param {boolean} [strategy.usesTarget=false] Whether the indicator belongs to the target element. Calls without
+     *   a target then fall back to the default strategy.
+     * @example
+     * API.loaders.register('overlay', {
+     *   show: () => document.body.classList.add('is-loading'),
+     *   hide: () => document.body.classList.remove('is-loading')
+     * });
+     * API.loaders.default = 'overlay';
+     */
+    register: function (name, strategy) {
+      strategies[name] = strategy;
+    },
+
+    /**
+     * Shows the indicator of a strategy.
+     *
+     * @param {string} name The strategy name.
+     * @param {HTMLElement} [target] The element that triggered the call.
+     * @returns {function} Hides the indicator again. Calling it more than once has no effect.
+     */
+    show: function (name, target = null) {
+      let strategy = strategies[name];
+      if (!strategy) {
+        console.warn(`Unknown loader strategy "${name}", using "${this.default}" instead.`);
+        name = this.default;
+        strategy = strategies[name];
+      }
+      if (strategy.usesTarget && !target) {
+        name = this.default;
+        strategy = strategies[name];
+      }
+
+      const targets = active.get(name) || new Map();
+      active.set(name, targets);
+      const key = strategy.usesTarget ? target : null;
+
+      let entry = targets.get(key);
+      if (!entry) {
+        entry = { count: 0, state: strategy.show(key) };
+        targets.set(key, entry);
+      }
+      entry.count++;
+
+      let hidden = false;
+      return () => {
+        if (hidden) {
+          return;
+        }
+        hidden = true;
+
+        if (--entry.count === 0) {
+          targets.delete(key);
+          strategy.hide(entry.state, key);
+        }
+      };
+    }
+  };
+
+  // The classic centered spinner. Custom themes simply need to style the spinner-border class.
+  registry.register('spinner', {
+    show: () => {
+      const loader = document.createElement('div');
+      loader.classList.add('spinner-border');
+      loader.setAttribute('role', 'status');
+      Object.assign(loader.style, {
+        width: '4rem',
+        height: '4rem',
+        left: '50%',
+        top: '50%',
+        position: 'fixed',
+        opacity: '0',
+        transition: 'opacity 250ms'
+      });
+      document.body.appendChild(loader);
+      loader._fadeInTimeout = setTimeout(() => { loader.style.opacity = '1'; }, 250);
+      return loader;
+    },
+    hide: (loader) => {
+      clearTimeout(loader._fadeInTimeout);
+      loader.remove();
+    }
+  });
+
+  // A thin bar along the top of the page that creeps towards the end while calls are running.
+  registry.register('progress', {
+    show: () => {
+      const bar = document.createElement('div');
+      bar.setAttribute('role', 'progressbar');
+      bar.setAttribute('aria-label', 'Loading');
+      Object.assign(bar.style, {
+        position: 'fixed',
+        top: '0',
+        left: '0',
+        height: '3px',
+        width: '0',
+        zIndex: '2000',
+        background: 'var(--tblr-primary, var(--bs-primary, #0d6efd))',
+        transition: 'width 8s cubic-bezier(0.1, 0.6, 0.3, 1), opacity 300ms'
+      });
+      document.body.appendChild(bar);
+      // Force a layout first, so the width change is animated.
+      void bar.offsetWidth;
+      bar.style.width = '90%';
+      return bar;
+    },
+    hide: (bar) => {
+      bar.style.transition = 'width 200ms, opacity 300ms 200ms';
+      bar.style.width = '100%';
+      bar.style.opacity = '0';
+      setTimeout(() => bar.remove(), 500);
+    }
+  });
+
+  // Marks the triggering element as busy, and disables its button with a small spinner in it.
+  registry.register('element', {
+    usesTarget: true,
+    show: (element) => {
+      element.setAttribute('aria-busy', 'true');
+
+      const button = element.matches('button, input[type="submit"], a')
+        ? element
+        : element.querySelector('button[type="submit"], button:not([type]), input[type="submit"]');
+      if (!button) {
+        return null;
+      }
+
+      const state = { button, disabled: button.disabled, spinner: null };
+      if (button.tagName === 'A') {
+        button.classList.add('disabled');
+        button.setAttribute('aria-disabled', 'true');
+      } else {
+        button.disabled = true;
+      }
+      if (button.tagName !== 'INPUT') {
+        button.insertAdjacentHTML('afterbegin', spinnerHtml);
+        state.spinner = button.firstElementChild;
+      }
+      return state;
+    },
+    hide: (state, element) => {
+      element.removeAttribute('aria-busy');
+      if (!state) {
+        return;
+      }
+
+      if (state.button.tagName === 'A') {
+        state.button.classList.remove('disabled');
+        state.button.removeAttribute('aria-disabled');
+      } else {
+        state.button.disabled = state.disabled;
+      }
+      if (state.spinner) {
+        state.spinner.remove();
+      }
+    }
+  });
+
+  registry.register('none', {
+    show: () => null,
+    hide: () => {}
+  });
+
+  return registry;
+}
+
+/**
+ * Creates the validator of data-fb-api forms. Fields declare their rules as a JSON object in a
+ * data-fb-validate attribute, and errors are shown with Bootstrap's is-invalid and invalid-feedback
+ * classes, whether they were found in the browser or returned by the API.
+ *
+ * @returns {object} The form validator.
+ **/
+function _createFormValidator () {
+  const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+  // Fields whose value is a number, so min and max compare the value instead of its length.
+  const isNumeric = field => ['number', 'range'].includes(field.type);
+
+  const fieldValue = (field) => {
+    if (field.type === 'checkbox' || field.type === 'radio') {
+      const group = field.form ? field.form.querySelectorAll(`[name="${field.name}"]`) : [field];
+      return Array.from(group).filter(input => input.checked).map(input => input.value).join(',');
+    }
+    if (field.type === 'file') {
+      return field.files && field.files.length ? field.files[0].name : '';
+    }
+    if (field.multiple && field.selectedOptions) {
+      return Array.from(field.selectedOptions).map(option => option.value).join(',');
+    }
+
+    return typeof field.value === 'string' ? field.value : '';
+  };
+
+  const fieldsNamed = (form, name) => Array.from(form.elements).filter(field => field.name === name || field.name === `${name}[]`);
+
+  const unmark = (field) => {
+    field.classList.remove('is-invalid');
+    field.removeAttribute('aria-invalid');
+    if (field.dataset.fbValidateDescribedby) {
+      field.setAttribute('aria-describedby', field.dataset.fbValidateDescribedby);
+      delete field.dataset.fbValidateDescribedby;
+    } else {
+      field.removeAttribute('aria-describedby');
+    }
+  };
+
+  const validator = {
+    /**
+     * Error messages of the rules. `:min`, `:max` and `:pattern` are replaced with the rule value.
+     * Themes can replace them with translations.
+     */
+    messages: {
+      required: 'This field is required.',
+      pattern: 'This value does not have the expected format.',
+      min: 'This value must be at least :min.',
+      max: 'This value must be at most :max.',
+      minLength: 'This value must be at least :min characters long.',
+      maxLength: 'This value must be at most :max characters long.',
+      match: 'This value does not match.',
+      email: 'Please enter a valid email address.',
+      custom: 'This value is invalid.'
+    },
+
+    /**
+     * The rules, by the key used in data-fb-validate. Each receives the field value (never empty, as
+     * only the required rule checks empty fields), the value of the rule and the field, and returns
+     * whether the value is valid. Returning a string instead fails with that string as the message.
+     */
+    rules: {
+      pattern: (value, pattern) => {
+        let regex;
+        try {
+          regex = new RegExp(`^(?:${pattern})$`);
+        } catch (error) {
+          console.warn('Invalid validation pattern:', pattern);
+          return true;
+        }
+        return regex.test(value);
+      },
+      min: (value, min, field) => isNumeric(field) ? Number(value) >= min : value.length >= min,
+      max: (value, max, field) => isNumeric(field) ? Number(value) <= max : value.length <= max,
+      match: (value, name, field) => {
+        const other = field.form ? fieldsNamed(field.form, name)[0] : null;
+        return !other || value === fieldValue(other);
+      },
+      email: (value, enabled) => !enabled || emailPattern.test(value),
+      custom: (value, callback, field) => {
+        if (typeof window[callback] !== 'function') {
+          console.warn('Invalid validation function:', callback);
+          return true;
+        }
+        return window[callback](value, field, field.form);
+      }
+    },
+
+    /**
+     * Adds a rule, or replaces an existing one.
+     *
+     * @param {string} name The key of the rule in data-fb-validate.
+     * @param {function(string, *, HTMLElement): (boolean|string)} rule Checks a value, see `rules`.
+     * @param {string} [message] The error message when the rule fails.
+     * @example
+     * API.validation.register('domain', (value) => /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(value), 'Please enter a domain name.');
+     * // <input name="sld" data-fb-validate='{"required": true, "domain": true}'>
+     */
+    register: function (name, rule, message) {
+      this.rules[name] = rule;
+      if (message) {
+        this.messages[name] = message;
+      }
+    },
+
+    /**
+     * Checks a field against its data-fb-validate rules.
+     *
+     * @param {HTMLElement} field The form field.
+     * @returns {string|null} The error message, or null if the value is valid.
+     */
+    check: function (field) {
+      let rules;
+      try {
+        rules = JSON.parse(field.dataset.fbValidate || '{}');
+      } catch (error) {
+        console.warn('Invalid JSON in data-fb-validate attribute:', field.name);
+        return null;
+      }
+
+      const messages = Object.assign({}, rules.messages);
+      const message = (rule, values = {}) => {
+        const text = messages[rule] || rules.message || this.messages[rule] || this.messages.custom;
+        return text.replace(/:(min|max|pattern)\b/g, (match, key) => values[key] ?? match);
+      };
+
+      const value = fieldValue(field);
+      if (value.trim() === '') {
+        return rules.required ? message('required') : null;
+      }
+
+      for (const [name, ruleValue] of Object.entries(rules)) {
+        if (['required', 'message', 'messages'].includes(name)) {
+          continue;
+        }
+
+        const rule = this.rules[name];
+        if (typeof rule !== 'function') {
+          console.warn('Unknown validation rule:', name);
+          continue;
+        }
+
+        const result = rule(value, ruleValue, field);
+        if (typeof result === 'string') {
+          return result;
+        }
+        if (!result) {
+          const lengthRule = { min: 'minLength', max: 'maxLength' }[name];
+          const key = lengthRule && !isNumeric(field) && !messages[name] ? lengthRule : name;
+          return message(key, { [name]: ruleValue });
+        }
+      }
+
+      return null;
+    },
+
+    /**
+     * Checks every field of a form, or of a part of it, shows the errors and focuses the first invalid field.
+     *
+     * @param {HTMLFormElement} form The form.
+     * @param {Element} [scope] The part of the form to check, such as a wizard step, the whole form by default.
+     * @returns {boolean} True if the fields are valid.
+     */
+    validate: function (form, scope = form) {
+      const errors = {};
+      scope.querySelectorAll('[data-fb-validate]').forEach((field) => {
+        if (field.disabled || !field.name || errors[field.name]) {
+          return;
+        }
+        const error = this.check(field);
+        if (error) {
+          errors[field.name] = error;
+        }
+      });
+
+      this.showErrors(form, errors);
+      this.focusInvalid(form);
+
+      return Object.keys(errors).length === 0;
+    },
+
+    /**
+     * Scrolls to the first invalid field of a form and focuses it, showing its step first in wizards.
+     *
+     * @param {HTMLFormElement} form The form.
+     * @returns {HTMLElement|null} The field, or null if no field is invalid.
+     */
+    focusInvalid: function (form) {
+      const first = form.querySelector('[aria-invalid="true"]');
+      if (!first) {
+        return null;
+      }
+
+      const step = first.closest('[data-fb-wizard-step]');
+      if (step && step.hidden && API.wizard.isWizard(form)) {
+        API.wizard.show(form, API.wizard.steps(form).indexOf(step));
+      }
+
+      if (typeof first.scrollIntoView === 'function') {
+        first.scrollIntoView({ block: 'center', behavior: 'smooth' });
+      }
+      if (typeof first.focus === 'function') {
+        first.focus({ preventScroll: true });
+      }
+
+      return first;
+    },
+
+    /**
+     * Marks fields as invalid, replacing the errors shown before.
+     *
+     * @param {HTMLFormElement} form The form.
+     * @param {object} errors Error messages by field name. Names may leave out the [] of array fields.
+     * @returns {string[]} The names that match no field of the form.
+     */
+    showErrors: function (form, errors) {
+      this.clearErrors(form);
+
+      return Object.keys(errors).filter((name) => {
+        const fields = fieldsNamed(form, name);
+        if (fields.length === 0) {
+          return true;
+        }
+
+        fields.forEach(field => {
+          field.classList.add('is-invalid');
+          field.setAttribute('aria-invalid', 'true');
+        });
+
+        // The feedback has to follow the field in the same parent, or Bootstrap will not show it.
+        const field = fields[fields.length - 1];
+        const feedback = document.createElement('div');
+        feedback.className = 'invalid-feedback';
+        feedback.id = `${field.id || field.name.replace(/\W/g, '_')}-feedback`;
+        feedback.dataset.fbValidateFeedback = field.name;
+        feedback.textContent = errors[name];
+        const parent = field.parentElement;
+        if (parent && parent.matches('.input-group, .form-floating, .form-check')) {
+          parent.appendChild(feedback);
+        } else {
+          field.after(feedback);
+        }
+        fields.forEach((input) => {
+          const describedBy = input.getAttribute('aria-describedby');
+          if (describedBy) {
+            input.dataset.fbValidateDescribedby = describedBy;
+          }
+          input.setAttribute('aria-describedby', describedBy ? `${describedBy} ${feedback.id}` : feedback.id);
+        });
+
+        return false;
+      });
+    },
+
+    /**
+     * Removes the errors shown on a form.
+     *
+     * @param {HTMLFormElement} form The form.
+     */
+    clearErrors: function (form) {
+      form.querySelectorAll('[data-fb-validate-feedback]').forEach(feedback => feedback.remove());
+      form.querySelectorAll('[aria-invalid="true"]').forEach(unmark);
+    },
+
+    /**
+     * Removes the error shown for a field, e.g. once it has been edited.
+     *
+     * @param {HTMLElement} field The form field. The error of all fields with the same name is removed.
+     */
+    clearField: function (field) {
+      if (!field.form || !field.name || field.getAttribute('aria-invalid') !== 'true') {
+        return;
+      }
+
+      fieldsNamed(field.form, field.name).forEach(unmark);
+      field.form.querySelectorAll('[data-fb-validate-feedback]').forEach((feedback) => {
+        if (feedback.dataset.fbValidateFeedback === field.name) {
+          feedback.remove();
+        }
+      });
+    },
+
+    /**
+     * @param {Error} error The error of a failed API call.
+     * @returns {object|null} The error messages by field name the API returned, or null if there are none.
+     */
+    fieldErrors: function (error) {
+      const fields = error && error.response && error.response.error ? error.response.error.fields : null;
+      if (!fields || typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0) {
+        return null;
+      }
+
+      return fields;
+    }
+  };
+
+  return validator;
+}
+
+/**
+ * Creates the partial page updates of data-fb-api elements. After a successful call, the element named by
+ * `target` is updated with the API result, or with a template block of the page rendered again by the server.
+ *
+ * @returns {object} The partial page updates.
+ **/
+function _createPartialUpdates () {
+  const partials = {
+    /**
+     * How the target is updated when data-fb-api has no `swap` option.
+     */
+    defaultSwap: 'outerHTML',
+
+    /**
+     * Finds the element to update.
+     *
+     * @param {HTMLElement} element The element the API call was made from.
+     * @param {string} [target] `this` (the default), `closest <selector>` for an ancestor, or a CSS selector.
+     * @returns {Element|null} The target, or null if there is none.
+     */
+    resolve: function (element, target) {
+      if (!target || target === 'this') {
+        return element;
+      }
+      if (target.startsWith('closest ')) {
+        return element.closest(target.slice(8));
+      }
+      return document.querySelector(target);
+    },
+
+    /**
+     * Renders a template block of a page again. The server only renders the block when the request has an
+     * X-FB-Fragment header, and sends the header back, so a page without the block is told apart by its absence.
+     *
+     * @param {string} fragment The name of the block.
+     * @param {string} [url] The page, the current one by default.
+     * @returns {Promise<string>} The HTML of the block.
+     * @throws {RequestError} If the page cannot be loaded or has no such block.
+     */
+    render: async function (fragment, url = window.location.href) {
+      const response = await fetch(url, {
+        credentials: 'same-origin',
+        headers: { 'X-FB-Fragment': fragment, 'X-Requested-With': 'XMLHttpRequest' }
+      });
+
+      if (!response.ok) {
+        throw new HttpError(response.status, response.statusText, response);
+      }
+      if (response.headers.get('X-FB-Fragment') !== fragment) {
+        throw new RequestError(`The page has no "${fragment}" block`, 'fragment_not_found');
+      }
+
+      return response.text();
+    },
+
+    /**
+     * Updates an element. An `fb:swap` event is dispatched on the target, or on the document if the target
+     * was removed, so themes can set up the new content.
+     *
+     * @param {Element} target The element to update.
+     * @param {string|Node|null} content HTML, or a node, to put in place.
+     * @param {string} [swap] `outerHTML`, `innerHTML`, `beforebegin`, `afterbegin`, `beforeend`, `afterend`, `delete` or `none`.
+     * @returns {Element[]} The elements that were added.
+     */
+    swap: function (target, content, swap = this.defaultSwap) {
+      let fragment;
+      if (typeof content === 'string') {
+        const template = document.createElement('template');
+        template.innerHTML = content;
+        fragment = template.content;
+      } else {
+        fragment = document.createDocumentFragment();
+        if (content) {
+          fragment.append(content);
+        }
+      }
+      const elements = Array.from(fragment.children);
+
+      switch (swap) {
+        case 'outerHTML':
+          target.replaceWith(fragment);
+          break;
+        case 'innerHTML':
+          target.replaceChildren(fragment);
+          break;
+        case 'beforebegin':
+          target.before(fragment);
+          break;
+        case 'afterbegin':
+          target.prepend(fragment);
+          break;
+        case 'beforeend':
+          target.append(fragment);
+          break;
+        case 'afterend':
+          target.after(fragment);
+          break;
+        case 'delete':
+          target.remove();
+          break;
+        case 'none':
+          break;
+        default:
+          throw new Error(`Unknown swap: ${swap}`);
+      }
+
+      const detail = { target, swap, elements };
+      (target.isConnected ? target : document).dispatchEvent(new CustomEvent('fb:swap', { bubbles: true, detail }));
+
+      return elements;
+    },
+
+    /**
+     * Updates the page after a successful call of a data-fb-api element.
+     *
+     * @param {HTMLElement} element The element the API call was made from.
+     * @param {object} options The data-fb-api options: `target`, `swap` and `fragment`.
+     * @param {*} result The API result, put in place as text when there is no `fragment`.
+     * @returns {Promise<Element[]>} The elements that were added.
+     * @throws {Error} If the target does not exist, or the fragment cannot be rendered.
+     */
+    update: async function (element, options, result) {
+      const target = this.resolve(element, options.target);
+      if (!target) {
+        throw new Error(`The target ${options.target} does not exist`);
+      }
+
+      const swap = options.swap || this.defaultSwap;
+      if (options.fragment) {
+        return this.swap(target, await this.render(options.fragment), swap);
+      }
+      if (['delete', 'none'].includes(swap)) {
+        return this.swap(target, null, swap);
+      }
+
+      return this.swap(target, document.createTextNode(result === null || result === undefined ? '' : String(result)), swap);
+    }
+  };
+
+  return partials;
+}
+
+/**
+ * Calls a function for the elements matching a selector in a part of the page, and for those added to it later.
+ *
+ * @param {Document|Element|ShadowRoot} root The part of the page.
+ * @param {string} selector The CSS selector.
+ * @param {function(Element): void} callback Called once for each element.
+ * @returns {function(): void} Stops watching for added elements.
+ **/
+function _watchElements (root, selector, callback) {
+  const scan = (node) => {
+    if (node.nodeType !== 1 && node.nodeType !== 9 && node.nodeType !== 11) {
+      return;
+    }
+    if (node.nodeType === 1 && node.matches(selector)) {
+      callback(node);
+    }
+    node.querySelectorAll(selector).forEach(callback);
+  };
+  scan(root);
+
+  if (typeof MutationObserver !== 'function') {
+    return () => {};
+  }
+
+  const observer = new MutationObserver(mutations => mutations.forEach(mutation => mutation.addedNodes.forEach(scan)));
+  observer.observe(root, { childList: true, subtree: true });
+
+  return () => observer.disconnect();
+}
+
+/**
+ * @param {Element} field A form control.
+ * @returns {boolean} True if the user can type or pick the value of the control, unlike hidden fields, files and buttons.
+ **/
+function _isEditableField (field) {
+  return Boolean(field.name) && field.matches('input, select, textarea') && !['hidden', 'file', 'submit', 'button', 'reset', 'image'].includes(field.type);
+}
+
+/**
+ * @param {Element} field A form control.
+ * @returns {boolean} True if the value of the control goes into drafts: the user can edit it and it is no password.
+ **/
+function _isDraftableField (field) {
+  return _isEditableField(field) && field.type !== 'password';
+}
+
+/**
+ * Reads the values of the fields of a form, as stored in drafts.
+ *
+ * @param {HTMLFormElement} form The form.
+ * @param {function(Element): boolean} [filter] Picks the fields, those the user can edit by default.
+ * @returns {Object<string, string[]>} The values by field name, an empty list for unchecked boxes.
+ **/
+function _formValues (form, filter = _isEditableField) {
+  const values = {};
+  Array.from(form.elements).filter(filter).forEach((field) => {
+    const list = values[field.name] = values[field.name] || [];
+    if (field.type === 'checkbox' || field.type === 'radio') {
+      if (field.checked) {
+        list.push(field.value);
+      }
+    } else if (field.multiple && field.selectedOptions) {
+      list.push(...Array.from(field.selectedOptions).map(option => option.value));
+    } else {
+      list.push(field.value);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Puts values read with _formValues() back into the fields of a form, including their rich text editors.
+ *
+ * @param {HTMLFormElement} form The form.
+ * @param {Object<string, string[]>} values The values by field name. Fields missing from it are left alone.
+ * @param {function(Element): boolean} [filter] Picks the fields, those the user can edit by default.
+ **/
+function _restoreFormValues (form, values, filter = _isEditableField) {
+  const remaining = {};
+  Array.from(form.elements).filter(filter).forEach((field) => {
+    if (!Array.isArray(values[field.name])) {
+      return;
+    }
+    const saved = values[field.name];
+    if (field.type === 'checkbox' || field.type === 'radio') {
+      field.checked = saved.includes(field.value);
+    } else if (field.multiple && field.options) {
+      Array.from(field.options).forEach((option) => { option.selected = saved.includes(option.value); });
+    } else {
+      // Fields sharing a name, such as name[] lists, get the saved values in order.
+      remaining[field.name] = remaining[field.name] || saved.slice();
+      field.value = remaining[field.name].length ? remaining[field.name].shift() : '';
+      // Editors registered with registerEditor() keep their own copy of the content.
+      if (field.editor && typeof field.editor.setData === 'function') {
+        field.editor.setData(field.value);
+      }
+    }
+  });
+}
+
+/**
+ * Creates the polling of data-fb-api elements with a `poll` option. They call the API, or render their `fragment`
+ * again, every few seconds and put the result in place, until a field of the result reaches an `until` value.
+ * While the tab is hidden the interval doubles with every call, so background tabs do not keep the server busy.
+ *
+ * @returns {object} The poller.
+ **/
+function _createPoller () {
+  // The state of each polling element.
+  const pollers = new Map();
+  let listening = false;
+
+  const valueAt = (result, path) => path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), result);
+
+  const reached = (value, until) => (Array.isArray(until) ? until : [until]).some(stop => String(stop) === String(value));
+
+  const poller = {
+    /**
+     * The interval when the `poll` option does not give one, in milliseconds.
+     */
+    defaultInterval: 5000,
+
+    /**
+     * The longest interval the backoff of hidden tabs and failed calls goes up to, in milliseconds.
+     */
+    maxInterval: 300000,
+
+    /**
+     * Starts polling for an element, unless it polls already or has no `poll` option.
+     *
+     * @param {HTMLElement} element The data-fb-api element.
+     */
+    start: function (element) {
+      if (pollers.has(element)) {
+        return;
+      }
+
+      let apiData;
+      try {
+        apiData = Tools.parseDataAttr(element.dataset.fbApi || '{}');
+      } catch (error) {
+        console.warn('Invalid JSON in data-fb-api attribute:', error);
+        return;
+      }
+      if (!apiData.poll) {
+        return;
+      }
+
+      const options = typeof apiData.poll === 'number' ? { interval: apiData.poll } : apiData.poll;
+      const interval = options.interval || this.defaultInterval;
+      pollers.set(element, { apiData, options, interval, delay: interval, timer: null });
+
+      if (!listening) {
+        listening = true;
+        // Catch up as soon as the tab is visible again, rather than waiting out the backoff.
+        document.addEventListener('visibilitychange', () => {
+          if (!document.hidden) {
+            pollers.forEach((state, pollingElement) => {
+              state.delay = state.interval;
+              if (state.timer !== null) {
+                this.tick(pollingElement);
+              }
+            });
+          }
+        });
+      }
+
+      this._schedule(element);
+    },
+
+    /**
+     * Stops polling for an element.
+     *
+     * @param {HTMLElement} element The data-fb-api element.
+     */
+    stop: function (element) {
+      const state = pollers.get(element);
+      if (state) {
+        clearTimeout(state.timer);
+        pollers.delete(element);
+      }
+    },
+
+    /**
+     * @param {HTMLElement} element The data-fb-api element.
+     * @returns {boolean} True if the element is polling.
+     */
+    isPolling: function (element) {
+      return pollers.has(element);
+    },
+
+    /**
+     * Starts polling for the elements in a part of the page, and for those added to it later.
+     *
+     * @param {Document|Element|ShadowRoot} root The part of the page.
+     * @returns {function(): void} Stops watching for added elements, and stops the polling of the part of the page.
+     */
+    watch: function (root) {
+      // start() skips the elements without a `poll` option, whatever else their data-fb-api holds.
+      const disconnect = _watchElements(root, '[data-fb-api]', element => this.start(element));
+
+      return () => {
+        disconnect();
+        pollers.forEach((state, element) => {
+          if (root === element || root.contains(element)) {
+            this.stop(element);
+          }
+        });
+      };
+    },
+
+    /**
+     * Polls for an element right away.
+     *
+     * @param {HTMLElement} element The polling element.
+     * @returns {Promise<void>}
+     */
+    tick: async function (element) {
+      const state = pollers.get(element);
+      if (!state) {
+        return;
+      }
+      clearTimeout(state.timer);
+      state.timer = null;
+
+      // Elements replaced by a swap are polled by their replacement, if it polls at all.
+      if (!element.isConnected) {
+        this.stop(element);
+        return;
+      }
+
+      const { apiData, options } = state;
+      const url = apiData.endpoint || apiData.href;
+      let result = null;
+      let failed = false;
+      try {
+        if (url) {
+          result = await API.makeRequest((apiData.method || 'get').toUpperCase(), Tools.getBaseURL(url), Object.assign({}, apiData.params), null, null, false, undefined, { retry: false });
+        }
+
+        const value = options.field ? valueAt(result, options.field) : result;
+        if (apiData.fragment || apiData.target) {
+          await API.partials.update(element, Object.assign({ swap: 'innerHTML' }, apiData), value);
+        } else {
+          API.partials.swap(element, document.createTextNode(value === null || value === undefined ? '' : String(value)), 'innerHTML');
+        }
+
+        if (options.until !== undefined && reached(value, options.until)) {
+          this.stop(element);
+          element.dispatchEvent(new CustomEvent('fb:poll-stop', { bubbles: true, detail: { result } }));
+          return;
+        }
+        // Hidden tabs keep backing off until they are visible again.
+        if (!document.hidden) {
+          state.delay = state.interval;
+        }
+      } catch (error) {
+        console.warn('Polling failed:', error);
+        failed = true;
+      }
+
+      if (pollers.get(element) === state) {
+        this._schedule(element, failed);
+      }
+    },
+
+    // Failed calls and hidden tabs double the delay, once per call even when both apply.
+    _schedule: function (element, failed = false) {
+      const state = pollers.get(element);
+      if (failed || document.hidden) {
+        state.delay = Math.min(state.delay * 2, state.options.maxInterval || this.maxInterval);
+      }
+      state.timer = setTimeout(() => this.tick(element), state.delay);
+    }
+  };
+
+  return poller;
+}
+
+/**
+ * Creates the wizards of data-fb-api forms with a `wizard` option. Their steps, the elements with a
+ * data-fb-wizard-step attribute, are shown one at a time. A step is validated, and calls the API if it has an
+ * `endpoint`, before the next one is shown, and the last one submits the form. The fields are kept as a draft in
+ * sessionStorage, so a reload or a visit to another page does not lose them.
+ *
+ * @returns {object} The wizards.
+ **/
+function _createWizards () {
+  // The state of each wizard form.
+  const wizards = new Map();
+
+  const stepOptions = (step) => {
+    try {
+      return JSON.parse(step.dataset.fbWizardStep || '{}') || {};
+    } catch (error) {
+      console.warn('Invalid JSON in data-fb-wizard-step attribute:', error);
+      return {};
+    }
+  };
+
+  const stepTitle = (step, index) => {
+    const legend = step.querySelector('legend');
+    return stepOptions(step).title || (legend ? legend.textContent.trim() : `${index + 1}`);
+  };
+
+  // Puts the values of an object result into the fields of the given steps with the same name.
+  const fill = (steps, result) => {
+    if (typeof result !== 'object' || result === null || Array.isArray(result)) {
+      return;
+    }
+    steps.forEach(step => step.querySelectorAll('[name]').forEach((field) => {
+      const value = result[field.name];
+      if (value === undefined || value === null || typeof value === 'object') {
+        return;
+      }
+      if (field.type === 'checkbox' || field.type === 'radio') {
+        field.checked = String(value) === field.value;
+      } else {
+        field.value = String(value);
+      }
+    }));
+  };
+
+  const focusStep = (step) => {
+    const field = step.querySelector('input:not([type=hidden]):not([disabled]), select:not([disabled]), textarea:not([disabled])');
+    if (field) {
+      field.focus({ preventScroll: true });
+    }
+  };
+
+  const wizard = {
+    /**
+     * The prefix of the sessionStorage keys of the drafts.
+     */
+    storagePrefix: 'fb-wizard:',
+
+    /**
+     * Turns a data-fb-api form into a wizard, unless it is one already or has no `wizard` option, and shows the
+     * step of its draft, or else the first step.
+     *
+     * @param {HTMLFormElement} form The form.
+     */
+    start: function (form) {
+      if (wizards.has(form)) {
+        return;
+      }
+
+      let apiData;
+      try {
+        apiData = Tools.parseDataAttr(form.dataset.fbApi || '{}');
+      } catch (error) {
+        console.warn('Invalid JSON in data-fb-api attribute:', error);
+        return;
+      }
+      if (!apiData.wizard || this.steps(form).length === 0) {
+        return;
+      }
+
+      const options = apiData.wizard === true ? {} : apiData.wizard;
+      let key = null;
+      if (options.draft !== false) {
+        key = this.storagePrefix + (typeof options.draft === 'string' ? options.draft : `${location.pathname}${location.search}#${form.getAttribute('action') || ''}`);
+      }
+
+      const listeners = {
+        click: (event) => {
+          const control = event.target instanceof Element ? event.target.closest('[data-fb-wizard-nav], [data-fb-wizard-goto]') : null;
+          if (!control || !form.contains(control)) {
+            return;
+          }
+          event.preventDefault();
+          if (control.dataset.fbWizardNav === 'back') {
+            this.back(form);
+          } else if (control.dataset.fbWizardNav === 'next') {
+            this.next(form);
+          } else if (control.hasAttribute('data-fb-wizard-goto')) {
+            // The progress only leads back, as the steps in between have not been checked again.
+            const index = Number(control.dataset.fbWizardGoto);
+            if (index < this.current(form)) {
+              this.show(form, index);
+            }
+          }
+        },
+        keydown: (event) => {
+          // Enter in a field goes to the next step, only the last step submits the form.
+          const field = event.target;
+          if (event.key !== 'Enter' || !(field instanceof HTMLInputElement) || ['submit', 'button', 'reset', 'checkbox', 'radio'].includes(field.type) || this.current(form) === this.steps(form).length - 1) {
+            return;
+          }
+          event.preventDefault();
+          this.next(form);
+        },
+        input: () => this._save(form)
+      };
+      listeners.change = listeners.input;
+      Object.entries(listeners).forEach(([type, listener]) => form.addEventListener(type, listener));
+
+      const state = { index: 0, results: [], busy: false, controller: null, key, listeners };
+      wizards.set(form, state);
+
+      let draft = null;
+      if (key) {
+        try {
+          draft = JSON.parse(sessionStorage.getItem(key) || 'null');
+        } catch (error) {
+          draft = null;
+        }
+      }
+
+      const steps = this.steps(form);
+      if (draft && typeof draft === 'object') {
+        state.results = Array.isArray(draft.results) ? draft.results : [];
+        state.results.forEach((result, index) => fill(steps.slice(index + 1), result));
+        _restoreFormValues(form, draft.values || {}, _isDraftableField);
+      }
+
+      this.show(form, draft ? Math.min(Math.max(Number(draft.index) || 0, 0), steps.length - 1) : 0);
+    },
+
+    /**
+     * Stops handling the steps of a wizard and cancels the API call of the step shown. Its draft is kept.
+     *
+     * @param {HTMLFormElement} form The form.
+     */
+    stop: function (form) {
+      const state = wizards.get(form);
+      if (state) {
+        if (state.controller) {
+          state.controller.abort();
+        }
+        Object.entries(state.listeners).forEach(([type, listener]) => form.removeEventListener(type, listener));
+        wizards.delete(form);
+      }
+    },
+
+    /**
+     * Turns the data-fb-api forms with a `wizard` option in a part of the page into wizards, and those added later.
+     *
+     * @param {Document|Element|ShadowRoot} root The part of the page.
+     * @returns {function(): void} Stops watching for added forms, and stops the wizards of the part of the page.
+     */
+    watch: function (root) {
+      const disconnect = _watchElements(root, 'form[data-fb-api*="wizard"]', form => this.start(form));
+
+      return () => {
+        disconnect();
+        wizards.forEach((state, form) => {
+          if (root === form || root.contains(form)) {
+            this.stop(form);
+          }
+        });
+      };
+    },
+
+    /**
+     * @param {HTMLFormElement} form The form.
+     * @returns {boolean} True if the form is a wizard.
+     */
+    isWizard: function (form) {
+      return wizards.has(form);
+    },
+
+    /**
+     * @param {HTMLFormElement} form The form.
+     * @returns {HTMLElement[]} The steps of the form, in order.
+     */
+    steps: function (form) {
+      return Array.from(form.querySelectorAll('[data-fb-wizard-step]'));
+    },
+
+    /**
+     * @param {HTMLFormElement} form The form.
+     * @returns {number} The index of the step shown, or -1 if the form is no wizard.
+     */
+    current: function (form) {
+      const state = wizards.get(form);
+      return state ? state.index : -1;
+    },
+
+    /**
+     * @param {HTMLFormElement} form The form.
+     * @returns {Array<*>} The results of the API calls of the steps, by step index.
+     */
+    results: function (form) {
+      const state = wizards.get(form);
+      return state ? state.results.slice() : [];
+    },
+
+    /**
+     * Shows a step without checking the one shown before, and dispatches an `fb:wizard-step` event on the form with
+     * the `index` and the `step`, and the `result` of the API call of the step before it.
+     *
+     * @param {HTMLFormElement} form The form.
+     * @param {number} index The index of the step.
+     */
+    show: function (form, index) {
+      const state = wizards.get(form);
+      const steps = this.steps(form);
+      if (!state || index < 0 || index >= steps.length) {
+        return;
+      }
+
+      state.index = index;
+      const last = index === steps.length - 1;
+      steps.forEach((step, i) => { step.hidden = i !== index; });
+      form.querySelectorAll('[data-fb-wizard-nav="back"]').forEach((button) => { button.hidden = index === 0; });
+      form.querySelectorAll('[data-fb-wizard-nav="next"]').forEach((button) => { button.hidden = last; });
+      Array.from(form.elements).forEach((button) => {
+        if (button.type === 'submit' && !button.closest('[data-fb-wizard-step]')) {
+          button.hidden = !last;
+        }
+      });
+
+      form.querySelectorAll('[data-fb-wizard-progress]').forEach((progress) => {
+        progress.replaceChildren(...steps.map((step, i) => {
+          const item = document.createElement('li');
+          item.className = i === index ? 'step-item active' : 'step-item';
+          if (i === index) {
+            item.setAttribute('aria-current', 'step');
+          }
+          if (i < index) {
+            const link = document.createElement('a');
+            link.href = '#';
+            link.dataset.fbWizardGoto = i;
+            link.textContent = stepTitle(step, i);
+            item.appendChild(link);
+          } else {
+            item.textContent = stepTitle(step, i);
+          }
+          return item;
+        }));
+      });
+
+      this._save(form);
+      form.dispatchEvent(new CustomEvent('fb:wizard-step', {
+        bubbles: true,
+        detail: { index, step: steps[index], result: index > 0 ? (state.results[index - 1] ?? null) : null }
+      }));
+    },
+
+    /**
+     * Checks the step shown, calls the API if the step has an `endpoint`, and shows the next step. The values of
+     * an object result go into the fields of the later steps with the same name. On the last step, the form is
+     * submitted instead.
+     *
+     * @param {HTMLFormElement} form The form.
+     * @returns {Promise<boolean>} True if the next step is shown or the form submitted.
+     */
+    next: async function (form) {
+      const state = wizards.get(form);
+      if (!state || state.busy) {
+        return false;
+      }
+
+      const steps = this.steps(form);
+      const step = steps[state.index];
+      if (state.index === steps.length - 1) {
+        form.requestSubmit();
+        return true;
+      }
+      if (!this.validateStep(form)) {
+        return false;
+      }
+
+      const options = stepOptions(step);
+      if (options.endpoint) {
+        const formData = new FormData(form);
+        const stepData = new FormData();
+        const names = new Set(Array.from(step.querySelectorAll('[name]')).map(field => field.name));
+        for (const [name, value] of formData.entries()) {
+          if (names.has(name)) {
+            stepData.append(name, value);
+          }
+        }
+
+        state.busy = true;
+        state.controller = new AbortController();
+        try {
+          const params = Object.assign({}, Tools.serializeFormDataToObject(stepData), options.params);
+          const result = await API.makeRequest((options.method || 'post').toUpperCase(), Tools.getBaseURL(options.endpoint), params, null, null, options.loader ?? true, undefined, { loaderTarget: step, signal: state.controller.signal });
+          state.results[state.index] = result;
+          fill(steps.slice(state.index + 1), result);
+        } catch (error) {
+          if (error instanceof CancelledError) {
+            return false;
+          }
+          const fieldErrors = API.validation.fieldErrors(error);
+          const unmatched = fieldErrors ? API.validation.showErrors(form, fieldErrors) : null;
+          if (fieldErrors) {
+            API.validation.focusInvalid(form);
+          }
+          if (!unmatched || unmatched.length > 0) {
+            FOSSBilling.message(`${error.message} (${error.code})`, 'error');
+          }
+          return false;
+        } finally {
+          state.busy = false;
+          state.controller = null;
+        }
+      }
+
+      this.show(form, state.index + 1);
+      focusStep(steps[state.index]);
+      return true;
+    },
+
+    /**
+     * Shows the step before the one shown.
+     *
+     * @param {HTMLFormElement} form The form.
+     */
+    back: function (form) {
+      const index = this.current(form);
+      if (index > 0) {
+        this.show(form, index - 1);
+        focusStep(this.steps(form)[index - 1]);
+      }
+    },
+
+    /**
+     * Checks the fields of the step shown against their data-fb-validate rules and the rules of the browser,
+     * and shows the errors.
+     *
+     * @param {HTMLFormElement} form The form.
+     * @returns {boolean} True if the step is valid.
+     */
+    validateStep: function (form) {
+      const step = this.steps(form)[this.current(form)];
+      if (!step) {
+        return true;
+      }
+      if (!API.validation.validate(form, step)) {
+        return false;
+      }
+
+      const invalid = Array.from(step.querySelectorAll('input, select, textarea')).find(field => !field.disabled && !field.checkValidity());
+      if (invalid) {
+        invalid.reportValidity();
+        return false;
+      }
+
+      return true;
+    },
+
+    /**
+     * Forgets the draft of a wizard, e.g. once it has been submitted.
+     *
+     * @param {HTMLFormElement} form The form.
+     */
+    clearDraft: function (form) {
+      const state = wizards.get(form);
+      if (state && state.key) {
+        sessionStorage.removeItem(state.key);
+      }
+    },
+
+    _save: function (form) {
+      const state = wizards.get(form);
+      if (!state || !state.key) {
+        return;
+      }
+      try {
+        sessionStorage.setItem(state.key, JSON.stringify({ index: state.index, results: state.results, values: _formValues(form, _isDraftableField) }));
+      } catch (error) {
+        // Storage may be full or disabled, the wizard works without a draft.
+      }
+    }
+  };
+
+  return wizard;
+}
+
+/**
+ * Creates the guard against losing unsaved changes of data-fb-api forms. Leaving a page with edited forms asks
+ * for confirmation: with a modal for links to other pages of the application, and with the browser's own warning
+ * otherwise. Forms with an `autosave` option also keep their changes in localStorage, and offer to restore them
+ * when the page is opened again.
+ *
+ * @returns {object} The change tracker.
+ **/
+function _createChangeTracker () {
+  // The state of each tracked form.
+  const forms = new Map();
+  let listening = false;
+  let leaving = false;
+
+  const sameValues = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  const tracker = {
+    enabled: false, // Whether leaving pages with changes asks first. The admin area turns it on.
+    autosaveDelay: 1000, // How long typing has to pause before changes are saved, in milliseconds.
+    storagePrefix: 'fb-autosave:',
+    texts: {
+      title: 'Leave this page?',
+      message: 'The changes you made have not been saved.',
+      leave: 'Leave',
+      stay: 'Stay',
+      restoreTitle: 'Restore unsaved changes?',
+      restoreMessage: 'Changes to this form from :date were not saved.',
+      restore: 'Restore',
+      discard: 'Discard'
+    },
+
+    /**
+     * Starts tracking the changes of a data-fb-api form, unless it is tracked already, is submitted with GET, such
+     * as search forms, or has `guard: false`. Offers to restore the changes autosaved on an earlier visit.
+     *
+     * @param {HTMLFormElement} form The form.
+     */
+    start: function (form) {
+      if (forms.has(form) || (form.getAttribute('method') || 'post').toLowerCase() === 'get') {
+        return;
+      }
+
+      let apiData;
+      try {
+        apiData = Tools.parseDataAttr(form.dataset.fbApi || '{}');
+      } catch (error) {
+        console.warn('Invalid JSON in data-fb-api attribute:', error);
+        return;
+      }
+      if (apiData.guard === false) {
+        return;
+      }
+
+      let key = null;
+      if (apiData.autosave) {
+        key = this.storagePrefix + (typeof apiData.autosave === 'string' ? apiData.autosave : `${location.pathname}${location.search}#${form.getAttribute('action') || ''}`);
+      }
+
+      const listeners = {
+        input: () => this._changed(form),
+        // Editors format the initial content their own way, which is no change of the user.
+        'fb:editor-ready': (event) => {
+          const field = event.target;
+          const state = forms.get(form);
+          const before = state.baseline[field.name];
+          if (before && before.length === 1 && event.detail && before[0] === event.detail.previous) {
+            state.baseline[field.name] = [field.value];
+          }
+        }
+      };
+      listeners.change = listeners.input;
+      Object.entries(listeners).forEach(([type, listener]) => form.addEventListener(type, listener));
+
+      forms.set(form, { baseline: _formValues(form), key, timer: null, listeners });
+      this._listen();
+
+      if (key) {
+        let draft = null;
+        try {
+          draft = JSON.parse(localStorage.getItem(key) || 'null');
+        } catch (error) {
+          draft = null;
+        }
+        if (draft && typeof draft.values === 'object' && draft.values !== null) {
+          if (sameValues(draft.values, _formValues(form, _isDraftableField))) {
+            localStorage.removeItem(key);
+          } else {
+            this._offerRestore(form, draft);
+          }
+        }
+      }
+    },
+
+    /**
+     * Stops tracking the changes of a form. Its autosaved changes are kept.
+     *
+     * @param {HTMLFormElement} form The form.
+     */
+    stop: function (form) {
+      const state = forms.get(form);
+      if (state) {
+        clearTimeout(state.timer);
+        Object.entries(state.listeners).forEach(([type, listener]) => form.removeEventListener(type, listener));
+        forms.delete(form);
+      }
+    },
+
+    /**
+     * Tracks the data-fb-api forms in a part of the page, and those added to it later.
+     *
+     * @param {Document|Element|ShadowRoot} root The part of the page.
+     * @returns {function(): void} Stops watching for added forms, and stops tracking the forms of the part of the page.
+     */
+    watch: function (root) {
+      const disconnect = _watchElements(root, 'form[data-fb-api]', form => this.start(form));
+
+      return () => {
+        disconnect();
+        forms.forEach((state, form) => {
+          if (root === form || root.contains(form)) {
+            this.stop(form);
+          }
+        });
+      };
+    },
+
+    /**
+     * @param {HTMLFormElement} [form] The form, or else every tracked form of the page.
+     * @returns {boolean} True if the form has changes that have not been submitted.
+     */
+    isDirty: function (form) {
+      if (form) {
+        const state = forms.get(form);
+        return Boolean(state) && !sameValues(_formValues(form), state.baseline);
+      }
+
+      return Array.from(forms.keys()).some(trackedForm => trackedForm.isConnected && this.isDirty(trackedForm));
+    },
+
+    /**
+     * Takes the current values of a form as unchanged and forgets its autosaved changes, e.g. once it has been submitted.
+     *
+     * @param {HTMLFormElement} form The form.
+     */
+    reset: function (form) {
+      const state = forms.get(form);
+      if (!state) {
+        return;
+      }
+
+      clearTimeout(state.timer);
+      state.baseline = _formValues(form);
+      delete form.dataset.fbDirty;
+      if (state.key) {
+        localStorage.removeItem(state.key);
+      }
+    },
+
+    /**
+     * Asks whether to leave the page if a form has unsaved changes, with a modal if the theme provides Modals.
+     *
+     * @param {function(): void} proceed Called right away without changes, or once the user chooses to leave.
+     */
+    confirmLeave: function (proceed) {
+      if (!this.enabled || !this.isDirty() || typeof Modals === 'undefined') {
+        proceed();
+        return;
+      }
+
+      Modals.create({
+        type: 'small-confirm',
+        title: Tools.escapeHtml(this.texts.title),
+        content: `<p class="text-secondary">${Tools.escapeHtml(this.texts.message)}</p>`,
+        confirmButton: Tools.escapeHtml(this.texts.leave),
+        cancelButton: Tools.escapeHtml(this.texts.stay),
+        confirmButtonColor: 'danger',
+        confirmCallback: () => {
+          // The browser would ask a second time otherwise.
+          leaving = true;
+          proceed();
+        }
+      });
+    },
+
+    _changed: function (form) {
+      const state = forms.get(form);
+      if (!state) {
+        return;
+      }
+
+      const dirty = this.isDirty(form);
+      if (dirty) {
+        form.dataset.fbDirty = '';
+      } else {
+        delete form.dataset.fbDirty;
+      }
+
+      if (state.key) {
+        clearTimeout(state.timer);
+        state.timer = setTimeout(() => {
+          try {
+            if (this.isDirty(form)) {
+              localStorage.setItem(state.key, JSON.stringify({ savedAt: Date.now(), values: _formValues(form, _isDraftableField) }));
+            } else {
+              localStorage.removeItem(state.key);
+            }
+          } catch (error) {
+            // Storage may be full or disabled, the changes are still guarded.
+          }
+        }, this.autosaveDelay);
+      }
+    },
+
+    _offerRestore: function (form, draft) {
+      const state = forms.get(form);
+      if (typeof Modals === 'undefined') {
+        return;
+      }
+
+      let restored = false;
+      const savedAt = new Date(draft.savedAt || Date.now()).toLocaleString();
+      Modals.create({
+        type: 'small-confirm',
+        title: Tools.escapeHtml(this.texts.restoreTitle),
+        content: `<p class="text-secondary">${Tools.escapeHtml(this.texts.restoreMessage.replace(':date', savedAt))}</p>`,
+        confirmButton: Tools.escapeHtml(this.texts.restore),
+        cancelButton: Tools.escapeHtml(this.texts.discard),
+        confirmCallback: () => {
+          restored = true;
+          _restoreFormValues(form, draft.values, _isDraftableField);
+          this._changed(form);
+        },
+        closeCallback: () => {
+          if (!restored && state.key) {
+            localStorage.removeItem(state.key);
+          }
+        }
+      });
+    },
+
+    _listen: function () {
+      if (listening) {
+        return;
+      }
+      listening = true;
+
+      window.addEventListener('beforeunload', (event) => {
+        if (this.enabled && !leaving && this.isDirty()) {
+          event.preventDefault();
+          event.returnValue = '';
+        }
+      });
+
+      // Links to other pages of the application ask with a modal, which the browser's warning cannot.
+      document.addEventListener('click', (event) => {
+        const link = event.target instanceof Element ? event.target.closest('a[href]') : null;
+        if (!link || event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+          return;
+        }
+        if ((link.target && link.target !== '_self') || link.hasAttribute('download') || link.matches('[data-fb-api], [data-bs-toggle]')) {
+          return;
+        }
+
+        const url = new URL(link.href, location.href);
+        const samePage = url.pathname === location.pathname && url.search === location.search;
+        if (url.origin !== location.origin || (samePage && url.hash) || !this.enabled || !this.isDirty()) {
+          return;
+        }
+
+        event.preventDefault();
+        this.confirmLeave(() => {
+          window.location.href = url.href;
+        });
+      });
+    }
+  };
+
+  return tracker;
+}
+
+/**
+ * FOSSBilling API wrapper for JavaScript.
+ * @documentation https://fossbilling.org/docs/api/javascript
+ */
+const API = {
+  RequestError,
+  ApiError,
+  TimeoutError,
+  NetworkError,
+  CancelledError,
+  HttpError,
+  InvalidResponseError,
+
+  /**
+   * Connection settings, set with configure(). In the browser they can stay empty: requests go to
+   * the current origin and authenticate with the session cookie and CSRF token.
+   */
+  config: {
+    baseURL: null, // URL of the FOSSBilling installation, e.g. "https://billing.example.com/".
+    apiKey: null, // API key sent with HTTP basic auth, using the role of the call (admin or client) as the username.
+    username: null, // Basic auth username, when not using apiKey.
+    password: null, // Basic auth password, when not using apiKey.
+    endpoints: null // Endpoint catalogue generated by `php console.php api:catalogue`, or its URL. When set, calls to unknown endpoints log a warning.
+  },
+
+  /**
+   * Configures the client, typically when it is used from Node.js scripts.
+   *
+   * @param {object} options Settings to merge into API.config.
+   * @returns {object} The API object, for chaining.
+   * @example
+   * const API = require('./src/library/Api/API.js');
+   * API.configure({ baseURL: 'https://billing.example.com', apiKey: process.env.FOSSBILLING_API_KEY });
+   * const clients = await API.admin.get('client/get_list', { per_page: 10 });
+   * @example
+   * // During theme development, warn about misspelled endpoints.
+   * API.configure({ endpoints: '/library/Api/endpoints.json' });
+   * @documentation https://fossbilling.org/docs/api/javascript
+   */
+  configure: function (options = {}) {
+    Object.assign(this.config, options);
+    return this;
+  },
+
+  /**
+   * Wrapper for the admin API.
+   * @documentation https://fossbilling.org/docs/api/javascript
+   */
+  admin: _createApiRole('admin'),
+
+  /**
+   * Wrapper for the client API.
+   * @documentation https://fossbilling.org/docs/api/javascript
+   */
+  client: _createApiRole('client'),
+
+  /**
+   * Wrapper for the guest API.
+   * @documentation https://fossbilling.org/docs/api/javascript
+   */
+  guest: _createApiRole('guest'),
+
+  /**
+   * Request and response interceptors.
+   *
+   * Request interceptors receive the request config (`method`, `url`, `params`, `headers`, `timeout`, `retry`, `signal`, `onUploadProgress`, `idempotencyKey`)
+   * and return it, optionally modified. Response interceptors receive a response object
+   * (`config`, `status`, `headers`, `redirected`, `url`, `data`, `result`) and return it, or
+   * receive the RequestError on failure and either rethrow it or return a response to recover.
+   *
+   * @example
+   * API.interceptors.request.use((config) => {
+   *   config.headers['X-Trace-Id'] = crypto.randomUUID();
+   *   return config;
+   * });
+   * @documentation https://fossbilling.org/docs/api/javascript
+   */
+  interceptors: {
+    request: _createInterceptorManager(),
+    response: _createInterceptorManager()
+  },
+
+  /**
+   * Default retry policy. Failed requests are retried with exponential backoff and jitter
+   * when they time out, hit a network error or receive one of the listed HTTP statuses.
+   * Only the listed methods are retried unless a call opts in with the `retry` option.
+   *
+   * @documentation https://fossbilling.org/docs/api/javascript
+   */
+  retry: {
+    retries: 2, // Number of retries after the first attempt.
+    methods: ['GET'], // Methods that are retried without an explicit opt-in.
+    statuses: [502, 503, 504], // HTTP statuses that are retried.
+    codes: ['timeout_error', 'network_error'], // Error codes that are retried.
+    baseDelay: 300, // Delay before the first retry, in milliseconds. Doubled for every further retry.
+    maxDelay: 5000, // Upper bound for the computed backoff delay, in milliseconds.
+    maxRetryAfter: 30000 // A longer Retry-After header than this stops retrying instead of waiting.
+  },
+
+  /**
+   * In-flight request deduplication and the opt-in response cache.
+   *
+   * @example
+   * API.guest.post('servicedomain/pricing', { tld: '.com' }, { cache: 60000 });
+   * API.cache.invalidateOn('servicedomain/update_tld', 'servicedomain/pricing');
+   * @documentation https://fossbilling.org/docs/api/javascript
+   */
+  cache: _createResponseCache(),
+
+  /**
+   * Recovery from expired sessions and stale CSRF tokens. Failed admin and client calls wait
+   * for the user to log in again in a modal and are then replayed.
+   *
+   * @example
+   * API.session.texts.title = 'Sitzung abgelaufen';
+   * @documentation https://fossbilling.org/docs/api/javascript
+   */
+  session: _createSessionGuard(),
+
+  /**
+   * The durable queue for mutating calls made while offline. Calls opt in with the `offline` option.
+   *
+   * @example
+   * API.client.post('support/ticket_reply', { id: 1, content: 'Hello' }, { offline: true });
+   * document.addEventListener('fb:offline-queue', (event) => console.log(event.detail.pending));
+   * @documentation https://fossbilling.org/docs/api/javascript
+   */
+  offline: _createOfflineQueue(),
+
+  /**
+   * Idempotency-Key headers for mutating calls, which the server uses to run a call sent more than once, such as
+   * a retry after a lost response or a double-click, only once. Pass the same `idempotencyKey` to calls that must
+   * only run once however far apart they are, such as the checkout of a cart.
+   *
+   * @example
+   * API.client.post('cart/checkout', params, { idempotencyKey: `checkout-${cartId}` });
+   * @documentation https://fossbilling.org/docs/api/javascript
+   */
+  idempotency: _createIdempotencyKeys(),
+
+  /**
+   * Loading indicators. Built-in strategies are `spinner` (the default), `progress` (a bar along the
+   * top of the page), `element` (marks the triggering element as busy) and `none`. Themes can register their own.
+   *
+   * @example
+   * API.loaders.default = 'progress';
+   * API.admin.post('invoice/pay', { id: 1 }, { loader: 'element', loaderTarget: button });
+   * @documentation https://fossbilling.org/docs/api/javascript
+   */
+  loaders: _createLoaderRegistry(),
+
+  /**
+   * Validation of data-fb-api forms. Fields declare their rules in a data-fb-validate attribute: `required`,
+   * `pattern` (a regular expression the whole value must match), `min` and `max` (the value of number fields,
+   * the length of others), `match` (the name of a field with the same value), `email` and `custom` (the name of
+   * a global function returning true, false or an error message). `message` or `messages` override the errors.
+   * Errors the API returns for specific fields, in `error.fields`, are shown next to those fields the same way.
+   *
+   * @example
+   * <input type="password" name="password_confirm" data-fb-validate='{"required": true, "match": "password"}'>
+   * API.validation.messages.required = 'Please fill in this field.';
+   * @documentation https://fossbilling.org/docs/api/javascript
+   */
+  validation: _createFormValidator(),
+
+  /**
+   * Partial page updates. After a successful call, data-fb-api elements with a `target` or `fragment` option update
+   * a region of the page instead of reloading it. `target` is `this` (the default), `closest <selector>` or a CSS
+   * selector, `swap` is how the target is updated (`outerHTML` by default, or `innerHTML`, `beforebegin`,
+   * `afterbegin`, `beforeend`, `afterend`, `delete` and `none`), and `fragment` names a template block of the page,
+   * which the server renders again for the new content. Without a fragment, the API result is put in place as text.
+   *
+   * @example
+   * <a href="{{ 'api/admin/support/ticket_close'|link({ id: ticket.id }) }}" {{ fb_api_link({ target: '#ticket-details', fragment: 'ticket_details' }) }}>Close</a>
+   * <a href="{{ 'api/admin/client/delete'|link({ id: client.id }) }}" {{ fb_api_link({ target: 'closest tr', swap: 'delete' }) }}>Delete</a>
+   * @documentation https://fossbilling.org/docs/api/javascript
+   */
+  partials: _createPartialUpdates(),
+
+  /**
+   * Polling of data-fb-api elements. `poll` is the interval in milliseconds, or an object with the `interval`,
+   * the `field` of the result to show and check (a dot separated path), the value or values of that field
+   * which stop the polling (`until`) and the `maxInterval` of the backoff. Each result is shown as the text of the
+   * element, or put in place with the `target`, `swap` (`innerHTML` by default) and `fragment` options.
+   * Polling stops with an `fb:poll-stop` event, and while the tab is hidden, the interval grows.
+   *
+   * @example
+   * <span {{ fb_api({ endpoint: 'admin/order/get', params: { id: order.id }, poll: { interval: 5000, field: 'status', until: ['active', 'failed'] } }) }}>{{ order.status }}</span>
+   * <td id="cron-last-run" {{ fb_api({ poll: 60000, fragment: 'cron_last_run', swap: 'outerHTML' }) }}>...</td>
+   * @documentation https://fossbilling.org/docs/api/javascript
+   */
+  polling: _createPoller(),
+
+  /**
+   * Wizards of data-fb-api forms with a `wizard` option. The steps are the elements of the form with a
+   * data-fb-wizard-step attribute, holding the `title` of the step and optionally the `endpoint`, `params` and
+   * `method` of an API call made with the fields of the step before going on. Buttons with
+   * `data-fb-wizard-nav="back"` or `"next"` move between the steps, a `data-fb-wizard-progress` list shows them,
+   * and the submit buttons outside the steps only show on the last one, which submits the form as usual.
+   * The fields are kept in sessionStorage until the form is submitted. `wizard` is true, or an object with the
+   * `draft` key to store them under, or `draft: false` to not store them.
+   *
+   * @example
+   * <form method="post" action="{{ 'api/admin/order/create'|link }}" {{ fb_api_form({ wizard: true, callback: 'onAfterOrderPlaced' }) }}>
+   *     <ul class="steps steps-counter" data-fb-wizard-progress></ul>
+   *     <fieldset {{ fb_wizard_step({ title: 'Domain'|trans, endpoint: 'guest/servicedomain/can_be_transferred' }) }}>...</fieldset>
+   *     <fieldset {{ fb_wizard_step({ title: 'Billing'|trans }) }}>...</fieldset>
+   *     <button type="button" data-fb-wizard-nav="back">Back</button>
+   *     <button type="button" data-fb-wizard-nav="next">Next</button>
+   *     <button type="submit">Place order</button>
+   * </form>
+   * form.addEventListener('fb:wizard-step', (event) => console.log(event.detail.index, event.detail.result));
+   * @documentation https://fossbilling.org/docs/api/javascript
+   */
+  wizard: _createWizards(),
+
+  /**
+   * The guard against losing unsaved changes of data-fb-api forms. Once `enabled`, leaving a page with changed forms
+   * asks for confirmation, with a modal for links within the application. Forms with an `autosave` option keep their changes
+   * in localStorage, under the given key or one derived from the page and the form action, and offer to restore them
+   * on the next visit. `guard: false` leaves a form out. Changed forms get a `data-fb-dirty` attribute.
+   *
+   * @example
+   * <form method="post" action="admin/email/template_update" {{ fb_api_form({ autosave: 'email-template-' ~ template.id }) }}>...</form>
+   * API.changes.isDirty(); // true if a form of the page has unsaved changes
+   * @documentation https://fossbilling.org/docs/api/javascript
+   */
+  changes: _createChangeTracker(),
+
+  /**
+   * Reporting of JavaScript errors and failed API calls to the front-end error log under Activity.
+   *
+   * @example
+   * API.telemetry.role = 'client';
+   * window.addEventListener('error', (event) => API.telemetry.captureError(event.error ?? event.message));
+   * @documentation https://fossbilling.org/docs/api/javascript
+   */
+  telemetry: _createErrorReporter(),
+
+  /**
+   * The live event stream behind API.admin.subscribe().
+   *
+   * @documentation https://fossbilling.org/docs/api/javascript
+   */
+  events: _createEventStream(),
+
+  /**
+   * Defaults for chunked uploads made with the role uploadChunked() methods.
+   *
+   * @documentation https://fossbilling.org/docs/api/javascript
+   */
+  upload: {
+    chunkSize: 1024 * 1024, // Size of each chunk in bytes. Keep it below PHP's upload_max_filesize and the 2 MB the server accepts per chunk.
+    chunkTimeout: 120000, // Timeout for a single chunk request, in milliseconds.
+    retries: 3 // Retries per chunk. Re-sending a chunk is safe, so this survives brief connection drops.
+  },
+
+  /**
+   * Make a request to the API.
+   *
+   * @param {string} method The HTTP method to use.
+   * @param {string} url The URL to call.
+   * @param {object|string} [params] The parameters to send.
+   * @param {function} [successHandler] The function to call if the request is successful.
+   * @param {function} [errorHandler] The function to call if the request is unsuccessful.
+   * @param {boolean|string} [enableLoader=true] Enable or disable the loader, or the name of the loader strategy to use (see API.loaders).
+   * @param {number} [timeoutMs=30000] Timeout duration in milliseconds.
+   * @param {object} [options] Additional request options.
+   * @param {number|boolean|object} [options.retry] Number of retries, true/false to force retrying on or off, or an object overriding API.retry.
+   * @param {number|boolean} [options.cache] Cache the response for this many milliseconds, or for API.cache.defaultTtl when true.
+   * @param {boolean} [options.dedupe] Share the response of an identical request that is still in flight. Defaults to true for cached requests and for GET requests without a signal.
+   * @param {AbortSignal} [options.signal] Cancels the request when aborted.
+   * @param {function} [options.onUploadProgress] Called with `{loaded, total, percent}` while the request body is uploaded.
+   * @param {string|boolean} [options.idempotencyKey] The Idempotency-Key header for a mutating call. Generated by API.idempotency
+   *   when omitted, pass false to send none.
+   * @param {HTMLElement} [options.loaderTarget] The element that triggered the call, for loader strategies that mark it as busy.
+   * @param {boolean} [options.offline] Queue the call in API.offline when it fails because the browser is offline. The promise then
+   *   settles once the queued call has been sent. Ignored for GET requests.
+   * @returns {Promise<*>} Resolves with the API result. Rejects with a RequestError subclass when no error handler is given.
+   *   The promise has an abort() method that cancels the request. Cancelling a request shared with identical
+   *   in-flight calls only detaches this caller. A cancelled request rejects with a CancelledError and never
+   *   calls the error handler.
+   * @documentation https://fossbilling.org/docs/api/javascript
+   */
+  makeRequest: function (method, url, params, successHandler, errorHandler, enableLoader = true, timeoutMs = 30000, options = {}) {
+    let hideLoader = null;
+
+    const removeLoader = () => {
+      if (hideLoader) {
+        hideLoader();
+        hideLoader = null;
+      }
+    };
+
+    const config = {
+      method: method.toUpperCase(),
+      url: new URL(url).toString(),
+      params: params,
+      headers: {
+        'Accept': 'application/json'
+      },
+      timeout: timeoutMs ?? 30000,
+      retry: this._resolveRetryPolicy(method, options.retry),
+      onUploadProgress: options.onUploadProgress,
+      idempotencyKey: options.idempotencyKey
+    };
+
+    const controller = new AbortController();
+    if (options.signal) {
+      if (options.signal.aborted) {
+        controller.abort();
+      } else {
+        options.signal.addEventListener('abort', () => controller.abort(), { once: true });
+      }
+    }
+    const cancelled = new Promise((resolve, reject) => {
+      const onAbort = () => reject(new CancelledError());
+      if (controller.signal.aborted) {
+        onAbort();
+      } else {
+        controller.signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+    cancelled.catch(() => {});
+
+    const endpoint = Tools.parseApiEndpoint(config.url);
+    const ttl = options.cache === true ? this.cache.defaultTtl : (options.cache || 0);
+    // Requests with their own signal are expected to be cancelled, so they are not shared by default.
+    const dedupe = options.dedupe ?? (ttl > 0 || (config.method === 'GET' && !options.signal));
+    const cacheKey = endpoint && dedupe ? this.cache.key(config.method, endpoint, params) : null;
+
+    let request = cacheKey ? this.cache.get(cacheKey) : null;
+    if (!request) {
+      if (enableLoader && Tools.isBrowser()) {
+        hideLoader = this.loaders.show(enableLoader === true ? this.loaders.default : enableLoader, options.loaderTarget);
+      }
+
+      // Shared requests keep running for the other callers, so only private ones get the signal.
+      if (!cacheKey) {
+        config.signal = controller.signal;
+      }
+
+      request = this._dispatch(config);
+
+      if (options.offline && config.method !== 'GET' && this.offline.isAvailable()) {
+        request = request.catch((error) => {
+          if (!(error instanceof NetworkError)) {
+            throw error;
+          }
+          // The call may wait for hours, so do not leave the loader spinning.
+          removeLoader();
+          return this.offline.enqueue(config, error);
+        });
+      }
+
+      if (cacheKey) {
+        this.cache.track(cacheKey, endpoint, request, ttl);
+      } else if (endpoint && config.method !== 'GET') {
+        request.then(() => this.cache.invalidateAfter(endpoint), () => {});
+      }
+    }
+
+    const promise = Promise.race([request, cancelled])
+      .then((response) => {
+        removeLoader();
+
+        if (typeof successHandler === 'function') {
+          successHandler(response.result);
+        }
+
+        return response.result;
+      })
+      .catch((error) => {
+        removeLoader();
+
+        if (!(error instanceof RequestError)) {
+          error = new RequestError(error.message || 'Unknown error occurred', error.code || 'unknown_error');
+        }
+
+        if (typeof errorHandler === 'function' && !(error instanceof CancelledError)) {
+          errorHandler(error);
+        } else if (typeof errorHandler !== 'function') {
+          throw error;
+        }
+      });
+
+    promise.abort = () => controller.abort();
+
+    return promise;
+  },
+
+  /**
+   * Logs a warning when an endpoint is missing from the catalogue in API.config.endpoints.
+   * A catalogue given as a URL is fetched on first use, so calls made before it arrives are not checked.
+   *
+   * @param {string} role The role of the call (admin, client, guest).
+   * @param {string} endpoint The endpoint, e.g. "invoice/get_list".
+   */
+  _checkEndpoint: function (role, endpoint) {
+    const catalogue = this.config.endpoints;
+    if (typeof catalogue === 'string') {
+      if (!this._endpointCatalogue || this._endpointCatalogue.url !== catalogue) {
+        this._endpointCatalogue = { url: catalogue, warned: new Set() };
+        fetch(new URL(catalogue, Tools.getRootURL()).toString())
+          .then((response) => response.json())
+          .then((endpoints) => {
+            if (this.config.endpoints === catalogue) {
+              this.config.endpoints = endpoints;
+            }
+          })
+          .catch((error) => console.warn(`Could not load the API endpoint catalogue: ${error.message}`));
+      }
+      return;
+    }
+
+    if (!this._endpointCatalogue || this._endpointCatalogue.catalogue !== catalogue) {
+      this._endpointCatalogue = { catalogue: catalogue, warned: new Set() };
+    }
+
+    const name = endpoint.split('?')[0].replace(/^\/+|\/+$/g, '');
+    const key = `${role}/${name}`;
+    const known = catalogue[role] && Object.prototype.hasOwnProperty.call(catalogue[role], name);
+    if (!known && !this._endpointCatalogue.warned.has(key)) {
+      this._endpointCatalogue.warned.add(key);
+      console.warn(`Unknown ${role} API endpoint "${name}". Check for typos or regenerate the catalogue with \`php console.php api:catalogue\`.`);
+    }
+  },
+
+  /**
+   * Sends several API calls in a single HTTP round trip through the /api/batch endpoint.
+   *
+   * @param {Array<object|Array>} requests The calls to make, either as `{ role, endpoint, params }` objects or `[role, endpoint, params]` tuples.
+   * @param {object} [options] Request options for the batch request, see makeRequest().
+   * @returns {Promise<*>[]} One promise per call, in order. Each resolves with its own result or rejects with its own error.
+   * @example
+   * const [income, orders] = API.batch([
+   *   ['admin', 'stats/get_income', { date_from: from }],
+   *   ['admin', 'stats/get_orders', { date_from: from }]
+   * ]);
+   * @documentation https://fossbilling.org/docs/api/javascript
+   */
+  batch: function (requests, options = {}) {
+    if (!Array.isArray(requests) || requests.length === 0) {
+      throw new Error('Invalid batch: must be a non-empty array of requests');
+    }
+
+    const entries = requests.map((request) => {
+      const [role, endpoint, params] = Array.isArray(request)
+        ? request
+        : [request.role, request.endpoint, request.params];
+
+      if (!['admin', 'client', 'guest'].includes(role) || typeof endpoint !== 'string' || !endpoint.trim()) {
+        throw new Error('Invalid batch request: each entry needs a role (admin, client or guest) and an endpoint');
+      }
+
+      return { role, endpoint: endpoint.replace(/^\/+|\/+$/g, ''), params: params || {} };
+    });
+
+    const batch = this.makeRequest('POST', Tools.getBaseURL('batch'), { requests: entries }, null, null, options.loader ?? true, options.timeout, options);
+
+    return entries.map((entry, index) => batch.then((results) => {
+      const item = Array.isArray(results) ? results[index] : null;
+      if (!item || typeof item !== 'object') {
+        throw new InvalidResponseError();
+      }
+
+      if (item.error) {
+        throw new ApiError(item.error.message, item.error.code, item);
+      }
+
+      this.cache.invalidateAfter({ role: entry.role, path: entry.endpoint });
+
+      return item.result;
+    }));
+  },
+
+  /**
+   * Creates the async iterable returned by the role paginate() methods.
+   *
+   * @param {function} request The role method used to fetch a page.
+   * @param {string} endpoint The list endpoint.
+   * @param {object} params The filters to send with every page request.
+   * @param {object} options The pagination and request options.
+   * @returns {AsyncIterable<object>} The item iterable, with a pages() method for page iteration.
+   */
+  _paginate: function (request, endpoint, params, options) {
+    const startPage = options.startPage || 1;
+    const maxPages = options.maxPages || Infinity;
+    const concurrency = Math.max(1, options.concurrency || 1);
+
+    const iteratePages = async function* () {
+      // An abort event that already fired won't fire again for the listener below.
+      if (options.signal && options.signal.aborted) {
+        throw new CancelledError();
+      }
+
+      const controller = new AbortController();
+      if (options.signal) {
+        options.signal.addEventListener('abort', () => controller.abort(), { once: true });
+      }
+
+      const requestOptions = Object.assign({ loader: false }, options, { signal: controller.signal });
+      const fetchPage = (page) => {
+        const pageParams = Object.assign({}, params, { page });
+        if (options.perPage) {
+          pageParams.per_page = options.perPage;
+        }
+
+        const pending = request(endpoint, pageParams, requestOptions);
+        // Pages fetched ahead may be abandoned when iteration stops early.
+        pending.catch(() => {});
+        return pending;
+      };
+
+      try {
+        const first = await fetchPage(startPage);
+        yield first;
+
+        const lastPage = Math.min(first.pages || 0, startPage + maxPages - 1);
+        const queue = [];
+        let next = startPage + 1;
+
+        while (next <= lastPage || queue.length > 0) {
+          while (queue.length < concurrency && next <= lastPage) {
+            queue.push(fetchPage(next++));
+          }
+          yield await queue.shift();
+        }
+      } finally {
+        controller.abort();
+      }
+    };
+
+    return {
+      pages: iteratePages,
+      [Symbol.asyncIterator]: async function* () {
+        for await (const page of iteratePages()) {
+          yield* (page.list || []);
+        }
+      }
+    };
+  },
+
+  /**
+   * Runs a request config through the interceptors and sends it.
+   *
+   * @param {object} config The request config.
+   * @returns {Promise<object>} The response object returned by the last response interceptor.
+   */
+  _dispatch: function (config) {
+    const request = this.interceptors.request.run(Promise.resolve(config))
+      .then((requestConfig) => this._sendWithRetry(requestConfig))
+      .catch((error) => {
+        if (!(error instanceof RequestError)) {
+          error = new RequestError(error.message || 'Unknown error occurred', error.code || 'unknown_error');
+        }
+        error.config = error.config || config;
+        throw error;
+      });
+
+    return this.interceptors.response.run(request)
+      .then((response) => {
+        if (!response || response.data === null || typeof response.data !== 'object') {
+          throw new InvalidResponseError();
+        }
+
+        return response;
+      });
+  },
+
+  /**
+   * Merges the per-call retry option with the default policy.
+   *
+   * @param {string} method The HTTP method.
+   * @param {number|boolean|object} [retry] The per-call retry option.
+   * @returns {object} The retry policy, with `retries` set to 0 when retrying is disabled.
+   */
+  _resolveRetryPolicy: function (method, retry) {
+    const policy = Object.assign({}, this.retry);
+    const optedIn = retry !== undefined && retry !== null && retry !== false;
+
+    if (typeof retry === 'number') {
+      policy.retries = retry;
+    } else if (typeof retry === 'object' && retry !== null) {
+      Object.assign(policy, retry);
+    }
+
+    if (retry === false || (!optedIn && !policy.methods.includes(method.toUpperCase()))) {
+      policy.retries = 0;
+    }
+
+    return policy;
+  },
+
+  /**
+   * Works out how long to wait before retrying a failed request.
+   *
+   * @param {object} policy The retry policy.
+   * @param {RequestError} error The error of the failed attempt.
+   * @param {number} attempt The number of retries made so far.
+   * @returns {number|null} The delay in milliseconds, or null if the request should not be retried.
+   */
+  _getRetryDelay: function (policy, error, attempt) {
+    if (attempt >= policy.retries) {
+      return null;
+    }
+
+    const retryableStatus = error instanceof HttpError && policy.statuses.includes(error.status);
+    if (!retryableStatus && !policy.codes.includes(error.code)) {
+      return null;
+    }
+
+    const retryAfter = error instanceof HttpError && error.response ? error.response.headers.get('Retry-After') : null;
+    if (retryAfter) {
+      const delay = /^\d+$/.test(retryAfter.trim())
+        ? parseInt(retryAfter, 10) * 1000
+        : Date.parse(retryAfter) - Date.now();
+
+      if (!Number.isNaN(delay)) {
+        return delay > policy.maxRetryAfter ? null : Math.max(0, delay);
+      }
+    }
+
+    const backoff = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt));
+    return backoff / 2 + Math.random() * backoff / 2;
+  },
+
+  /**
+   * Sends a request and retries it according to its retry policy.
+   *
+   * @param {object} config The request config.
+   * @returns {Promise<object>} The response object of the first successful attempt.
+   */
+  _sendWithRetry: function (config) {
+    const attempt = (retries) => this._sendRequest(config).catch((error) => {
+      const delay = config.retry ? this._getRetryDelay(config.retry, error, retries) : null;
+      if (delay === null) {
+        throw error;
+      }
+
+      return new Promise((resolve) => setTimeout(resolve, delay)).then(() => {
+        if (config.signal && config.signal.aborted) {
+          throw new CancelledError();
+        }
+        return attempt(retries + 1);
+      });
+    });
+
+    return attempt(0);
+  },
+
+  /**
+   * Sends a request described by an interceptor config and decodes the response.
+   *
+   * @param {object} config The request config.
+   * @returns {Promise<object>} The response object handed to the response interceptors.
+   */
+  _sendRequest: function (config) {
+    const url = new URL(config.url);
+    let params = config.params;
+    const isFormData = params instanceof FormData;
+
+    let body = null;
+    const methodLower = config.method.toLowerCase();
+    if (methodLower === 'get') {
+      if (isFormData) {
+        for (const [key, value] of params.entries()) {
+          url.searchParams.append(key, value);
+        }
+      } else if (params && typeof params === 'object') {
+        Object.keys(params).forEach(key => url.searchParams.append(key, params[key]));
+      } else if (params) {
+        url.search = params;
+      }
+    } else if (['post', 'put', 'patch', 'delete'].includes(methodLower)) {
+      if (isFormData) {
+        body = params;
+      } else {
+        if (!Tools.isJSON(params)) {
+          params = JSON.stringify(params);
+        }
+        body = params;
+      }
+    }
+
+    const headers = Object.assign({}, config.headers);
+    if (body && !isFormData) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    const controller = new AbortController();
+    let timedOut = false;
+    const timeoutId = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, config.timeout);
+
+    if (config.signal) {
+      if (config.signal.aborted) {
+        controller.abort();
+      } else {
+        config.signal.addEventListener('abort', () => controller.abort(), { once: true });
+      }
+    }
+
+    const init = {
+      method: config.method,
+      headers: headers,
+      body: body,
+      signal: controller.signal
+    };
+
+    // fetch() cannot report upload progress, so uploads that want it go through XMLHttpRequest where it exists.
+    const transport = typeof config.onUploadProgress === 'function' && typeof XMLHttpRequest !== 'undefined'
+      ? this._xhrTransport(url.toString(), Object.assign(init, { onUploadProgress: config.onUploadProgress }))
+      : fetch(url.toString(), init);
+
+    return transport
+      .catch((error) => {
+        if (error.name === 'AbortError') {
+          throw timedOut ? new TimeoutError(config.timeout) : new CancelledError();
+        }
+        throw new NetworkError(error);
+      })
+      .then((response) => {
+        // The API answers failed logins, expired sessions and invalid requests with 401 or 400, but still sends
+        // its usual {result, error} body, so those are decoded like any other API error.
+        const apiErrorStatus = [400, 401].includes(response.status);
+        if (!response.ok && !response.redirected && !apiErrorStatus) {
+          throw new HttpError(response.status, response.statusText, response);
+        }
+
+        const result = {
+          config: config,
+          status: response.status,
+          headers: response.headers,
+          redirected: response.redirected,
+          url: response.url,
+          data: null,
+          result: undefined
+        };
+
+        // A redirected API call lands on an HTML page, so there is nothing to decode.
+        if (response.redirected) {
+          return result;
+        }
+
+        const contentType = response.headers.get('content-type');
+        let decoded;
+        if (contentType && contentType.includes('application/json')) {
+          decoded = response.json().catch(() => {
+            throw new InvalidResponseError('Invalid JSON response from server');
+          });
+        } else {
+          decoded = response.text().then(text => {
+            try {
+              return JSON.parse(text);
+            } catch (e) {
+              throw new InvalidResponseError();
+            }
+          });
+        }
+        if (!response.ok) {
+          decoded = decoded.catch(() => {
+            throw new HttpError(response.status, response.statusText, response);
+          });
+        }
+
+        return decoded.then((data) => {
+          if (data === null || typeof data !== 'object') {
+            throw new InvalidResponseError();
+          }
+
+          if (data.error) {
+            throw new ApiError(data.error.message, data.error.code, data);
+          }
+          if (!response.ok) {
+            throw new HttpError(response.status, response.statusText, response);
+          }
+
+          result.data = data;
+          result.result = data.result;
+          return result;
+        });
+      })
+      .finally(() => clearTimeout(timeoutId));
+  },
+
+  /**
+   * A minimal fetch() replacement built on XMLHttpRequest that reports upload progress.
+   *
+   * @param {string} url The URL to call.
+   * @param {object} init The fetch options, plus an `onUploadProgress` callback.
+   * @returns {Promise<object>} Resolves with an object implementing the parts of Response used by _sendRequest().
+   */
+  _xhrTransport: function (url, init) {
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open(init.method, url);
+      Object.keys(init.headers).forEach((name) => xhr.setRequestHeader(name, init.headers[name]));
+
+      xhr.upload.addEventListener('progress', (event) => {
+        if (event.lengthComputable) {
+          init.onUploadProgress({
+            loaded: event.loaded,
+            total: event.total,
+            percent: Math.round(event.loaded / event.total * 100)
+          });
+        }
+      });
+
+      xhr.addEventListener('load', () => {
+        resolve({
+          ok: xhr.status >= 200 && xhr.status < 300,
+          status: xhr.status,
+          statusText: xhr.statusText,
+          url: xhr.responseURL,
+          redirected: Boolean(xhr.responseURL) && xhr.responseURL !== url,
+          headers: { get: (name) => xhr.getResponseHeader(name) },
+          json: () => Promise.resolve().then(() => JSON.parse(xhr.responseText)),
+          text: () => Promise.resolve(xhr.responseText)
+        });
+      });
+      xhr.addEventListener('error', () => reject(new TypeError('NetworkError when attempting to upload')));
+
+      const abort = () => {
+        xhr.abort();
+        reject(new DOMException('The upload was aborted', 'AbortError'));
+      };
+      if (init.signal.aborted) {
+        abort();
+        return;
+      }
+      init.signal.addEventListener('abort', abort, { once: true });
+
+      xhr.send(init.body);
+    });
+  },
+
+  /**
+   * Uploads a file in chunks through the `<endpoint>_status`, `<endpoint>_chunk` and `<endpoint>_complete` API methods.
+   * Chunks the server already has are skipped, so an interrupted upload of the same file resumes where it stopped.
+   *
+   * @param {object} roleApi The role API to send the chunks through.
+   * @param {string} endpoint The base upload endpoint.
+   * @param {File} file The file to upload.
+   * @param {object} params Extra parameters sent with every call.
+   * @param {object} options The upload options.
+   * @returns {Promise<*>} Resolves with the result of the completion call.
+   */
+  _uploadChunked: function (roleApi, endpoint, file, params, options) {
+    const chunkSize = options.chunkSize || this.upload.chunkSize;
+    const total = Math.max(1, Math.ceil(file.size / chunkSize));
+    const controller = new AbortController();
+    if (options.signal) {
+      if (options.signal.aborted) {
+        controller.abort();
+      } else {
+        options.signal.addEventListener('abort', () => controller.abort(), { once: true });
+      }
+    }
+
+    // Derive the upload ID from the file and target, so retrying the same upload later resumes it.
+    const key = [roleApi.baseURL, endpoint, JSON.stringify(params), file.name, file.size, file.lastModified].join('|');
+    const uploadId = options.uploadId || `fb-${file.size.toString(36)}-${Tools.hash(key)}`;
+
+    const requestOptions = {
+      loader: false,
+      timeout: options.timeout ?? this.upload.chunkTimeout,
+      retry: options.retry ?? this.upload.retries,
+      signal: controller.signal
+    };
+    const progress = (loaded) => {
+      if (typeof options.onProgress === 'function') {
+        options.onProgress({ loaded, total: file.size, percent: Math.round(loaded / file.size * 100) || 0 });
+      }
+    };
+
+    const upload = (async () => {
+      const status = await roleApi.post(`${endpoint}_status`, Object.assign({}, params, { upload_id: uploadId }), requestOptions);
+      const received = new Set((status && status.chunks) || []);
+
+      let uploaded = 0;
+      for (let index = 0; index < total; index++) {
+        const chunk = file.slice(index * chunkSize, Math.min(file.size, (index + 1) * chunkSize));
+        if (received.has(index)) {
+          uploaded += chunk.size;
+          progress(uploaded);
+          continue;
+        }
+
+        const formData = new FormData();
+        Object.keys(params).forEach((name) => formData.append(name, params[name]));
+        formData.append('upload_id', uploadId);
+        formData.append('index', index);
+        formData.append('total', total);
+        formData.append('file_data', chunk, file.name);
+
+        const offset = uploaded;
+        await roleApi.post(`${endpoint}_chunk`, formData, Object.assign({}, requestOptions, {
+          onUploadProgress: (event) => progress(offset + Math.min(event.loaded, chunk.size))
+        }));
+        uploaded += chunk.size;
+        progress(uploaded);
+      }
+
+      return roleApi.post(`${endpoint}_complete`, Object.assign({}, params, {
+        upload_id: uploadId,
+        filename: file.name,
+        total: total
+      }), requestOptions);
+    })();
+
+    upload.abort = () => controller.abort();
+
+    return upload;
+  },
+
+  /**
+   * After the API request is complete, this function will be called.
+   *
+   * @param {object} object The HTML element that triggered the API call.
+   * @param {*} result The result of the API call.
+   * @returns
+   */
+  _afterComplete: function (object, result) {
+    let apiData;
+    try {
+      apiData = Tools.parseDataAttr(object.dataset.fbApi || '{}');
+    } catch (error) {
+      console.warn('Invalid JSON in data-fb-api attribute:', error);
+      return;
+    }
+
+    if (apiData.hasOwnProperty('callback') && typeof window[apiData.callback] === 'function') {
+      return window[apiData.callback](result);
+    } else if (apiData.hasOwnProperty('callback')) {
+      console.warn('Invalid callback function:', apiData.callback);
+    }
+
+    if (apiData.hasOwnProperty('target') || apiData.hasOwnProperty('fragment')) {
+      API.partials.update(object, apiData, result).then(() => {
+        if (apiData.hasOwnProperty('message')) {
+          FOSSBilling.message(apiData.message, "success");
+        }
+      }, (error) => {
+        // The call succeeded, so the page is out of date. Reloading it is the next best thing.
+        console.warn('Partial page update failed, reloading the page:', error);
+        window.location.reload();
+      });
+      return;
+    }
+
+    if (apiData.hasOwnProperty('redirect')) {
+      window.location = apiData.redirect;
+      return;
     }
 
     if (apiData.hasOwnProperty('reload')) {
@@ -501,163 +4090,542 @@ const API = {
     console.warn('Unhandled API response in _afterComplete:', apiData);
   },
 
+
   /**
-   * Creates a loader element and appends it to the document body.
+   * Handles data-fb-api elements in a part of the page: forms are submitted to the API, links and buttons call it
+   * when clicked, selects and checkboxes when changed and text fields once typing pauses (see API._callControl()),
+   * elements with a `poll` option poll (see API.polling), forms with a `wizard` option are shown step by step
+   * (see API.wizard), unsaved changes of forms are guarded (see API.changes), and errors shown next to form fields
+   * go away once the fields are edited. The listeners are delegated to the root, so elements added to it later, such
+   * as modal content or swapped-in HTML, need no extra step.
+   * Binding a root twice, or a root inside a bound one, has no further effect.
    *
-   * @returns {HTMLElement} The created loader element.
-   */
-  _createLoader: function() {
-    const loader = document.createElement('div');
-    loader.classList.add('spinner-border');
-    loader.setAttribute('role', 'status');
-    Object.assign(loader.style, {
-      width: '4rem',
-      height: '4rem',
-      left: '50%',
-      top: '50%',
-      position: 'fixed',
-      opacity: '0',
-      transition: 'opacity 250ms'
-    });
-    document.body.appendChild(loader);
-    loader._fadeInTimeout = setTimeout(() => { loader.style.opacity = '1'; }, 250);
-    return loader;
+   * @param {Document|Element|ShadowRoot} [root] The part of the page, the whole document by default.
+   * @example
+   * API.bind(document.querySelector('#checkout'));
+   * @documentation https://fossbilling.org/docs/api/javascript
+   **/
+  bind: function (root = document) {
+    if (this._bindings.has(root)) {
+      return;
+    }
+
+    const listeners = {
+      submit: (event) => {
+        const form = event.target;
+        if (!(form instanceof HTMLFormElement) || !form.matches('form[data-fb-api]') || !API._claimEvent(event)) {
+          return;
+        }
+        event.preventDefault();
+        API._submitForm(form);
+      },
+      click: (event) => {
+        const element = event.target instanceof Element ? event.target.closest('a[data-fb-api], button[data-fb-api]') : null;
+        if (!element || !root.contains(element) || element.disabled || !API._claimEvent(event)) {
+          return;
+        }
+        event.preventDefault();
+        if (element.tagName === 'A') {
+          API._followLink(element);
+        } else {
+          API._callControl(element);
+        }
+      },
+      input: (event) => {
+        const field = event.target;
+        if (!(field instanceof Element) || !API._claimEvent(event)) {
+          return;
+        }
+        if (field.form && field.form.matches('form[data-fb-api]')) {
+          API.validation.clearField(field);
+        }
+        // Text fields call the API once typing pauses, the others once their value changes.
+        if (field.matches('input[data-fb-api]:not([type=checkbox]):not([type=radio])')) {
+          if (event.type === 'input') {
+            API._debounceControl(field);
+          }
+        } else if (event.type === 'change' && field.matches('select[data-fb-api], input[type=checkbox][data-fb-api]')) {
+          API._callControl(field);
+        }
+      }
+    };
+    listeners.change = listeners.input;
+
+    Object.entries(listeners).forEach(([type, listener]) => root.addEventListener(type, listener));
+    this._bindings.set(root, { listeners, unwatchers: [API.polling.watch(root), API.changes.watch(root), API.wizard.watch(root)] });
   },
 
   /**
-   * Attach event listeners to forms with data attribute 'data-fb-api'.
+   * Stops handling the data-fb-api elements of a part of the page bound with API.bind(), and stops their polling,
+   * wizards and change tracking.
+   *
+   * @param {Document|Element|ShadowRoot} [root] The root passed to API.bind().
+   * @documentation https://fossbilling.org/docs/api/javascript
    **/
-  _apiForm: function () {
-    const formElements = document.querySelectorAll('form[data-fb-api]');
+  unbind: function (root = document) {
+    const binding = this._bindings.get(root);
+    if (!binding) {
+      return;
+    }
 
-    if (formElements.length > 0) {
-      formElements.forEach(formElement => {
-        formElement.addEventListener('submit', function (event) {
-          event.preventDefault();
+    Object.entries(binding.listeners).forEach(([type, listener]) => root.removeEventListener(type, listener));
+    binding.unwatchers.forEach(unwatch => unwatch());
+    this._bindings.delete(root);
+  },
 
-          const formData = new FormData(formElement);
+  // The delegated listeners of each bound root, and the functions that stop its polling, wizards and change tracking.
+  _bindings: new WeakMap(),
 
-          if (typeof editors === 'object' && editors !== null && !Array.isArray(editors)) {
-            let editorContentOnRequiredAttr = true;
-            for (const name in editors) {
-              if (Object.prototype.hasOwnProperty.call(editors, name)) {
-                const editorConfig = editors[name];
-                if (editorConfig.required && editorConfig.editor.getData() === "") {
-                  editorContentOnRequiredAttr = false;
-                  break;
-                }
-                formData.set(name, editorConfig.editor.getData());
-              }
-            }
-            if (!editorContentOnRequiredAttr) {
-              return FOSSBilling.message('At least one of the required fields are empty.', 'error');
-            }
-          }
+  // The events handled by a bound root already, so nested roots do not handle them again.
+  _claimedEvents: new WeakSet(),
 
-          const formMethod = (formElement.getAttribute('method') || 'post').toLowerCase();
-          const data = formMethod !== 'get'
-            ? Tools.serializeFormDataToJSON(formData)
-            : Tools.serializeFormData(formData);
-
-          const buttons = formElement.querySelectorAll('button:not([disabled])');
-          const toggleButtons = (disable) => {
-            buttons.forEach(button => button.disabled = disable);
-          };
-          toggleButtons(true);
-
-          const action = formElement.getAttribute('action');
-          if (!action) {
-            toggleButtons(false);
-            console.warn('Missing form action attribute. Skipping API call.');
-            return;
-          }
+  // The pending calls of text fields, which wait until typing pauses.
+  _controlTimers: new WeakMap(),
 
-          API.makeRequest(
-            formMethod,
-            Tools.getBaseURL(action),
-            data,
-            (result) => {
-              toggleButtons(false);
-              API._afterComplete(formElement, result);
-              return result;
-            },
-            (error) => {
-              toggleButtons(false);
-              FOSSBilling.message(`${error.message} (${error.code})`, 'error');
-            }
-          );
-        });
-      });
+  // The value of each select the API last accepted, to go back to if a change fails.
+  _controlValues: new WeakMap(),
+
+  /**
+   * @param {Event} event
+   * @returns {boolean} True if no other bound root has handled the event.
+   */
+  _claimEvent: function (event) {
+    if (this._claimedEvents.has(event)) {
+      return false;
     }
+    this._claimedEvents.add(event);
+    return true;
+  },
+
+  /**
+   * Attach event listeners to forms with data attribute 'data-fb-api'.
+   *
+   * @deprecated Use API.bind(), which handles links as well, including those added later.
+   * @param {ParentNode} [root] The part of the page to look in, the whole document by default.
+   **/
+  _apiForm: function (root = document) {
+    this.bind(root);
   },
 
   /**
    * Attach event listeners to links with data attribute 'data-fb-api'.
+   *
+   * @deprecated Use API.bind(), which handles forms as well, including those added later.
+   * @param {ParentNode} [root] The part of the page to look in, the whole document by default.
    **/
-  _apiLink: function () {
-    const linkElements = document.querySelectorAll('a[data-fb-api]');
+  _apiLink: function (root = document) {
+    this.bind(root);
+  },
 
-    if (linkElements.length > 0) {
-      linkElements.forEach(linkElement => {
-        linkElement.addEventListener('click', function (event) {
-          event.preventDefault();
+  /**
+   * Submits a data-fb-api form to the API.
+   *
+   * @param {HTMLFormElement} formElement The form.
+   **/
+  _submitForm: function (formElement) {
+    if (!API.validation.validate(formElement)) {
+      return;
+    }
 
-          let apiData;
-          try {
-            apiData = Tools.parseDataAttr(linkElement.dataset.fbApi || '{}');
-          } catch (error) {
-            console.error('Failed to parse data-fb-api attribute:', error);
-            FOSSBilling.message('Invalid API configuration', 'error');
-            return;
+    const formData = new FormData(formElement);
+
+    if (typeof editors === 'object' && editors !== null && !Array.isArray(editors)) {
+      let editorContentOnRequiredAttr = true;
+      for (const name in editors) {
+        if (Object.prototype.hasOwnProperty.call(editors, name)) {
+          const editorConfig = editors[name];
+          if (editorConfig.required && editorConfig.editor.getData() === "") {
+            editorContentOnRequiredAttr = false;
+            break;
           }
+          formData.set(name, editorConfig.editor.getData());
+        }
+      }
+      if (!editorContentOnRequiredAttr) {
+        return FOSSBilling.message('At least one of the required fields are empty.', 'error');
+      }
+    }
+
+    const formMethod = (formElement.getAttribute('method') || 'post').toLowerCase();
+    const data = formMethod !== 'get'
+      ? Tools.serializeFormDataToJSON(formData)
+      : Tools.serializeFormData(formData);
+
+    const buttons = formElement.querySelectorAll('button:not([disabled])');
+    const toggleButtons = (disable) => {
+      buttons.forEach(button => button.disabled = disable);
+    };
+    toggleButtons(true);
+
+    const action = formElement.getAttribute('action');
+    if (!action) {
+      toggleButtons(false);
+      console.warn('Missing form action attribute. Skipping API call.');
+      return;
+    }
+
+    let apiData = {};
+    try {
+      apiData = Tools.parseDataAttr(formElement.dataset.fbApi || '{}');
+    } catch (error) {
+      console.warn('Invalid JSON in data-fb-api attribute:', error);
+    }
 
-          const rawHref = linkElement.getAttribute('href') || '';
-          if (!apiData.href && (!rawHref || rawHref === '#')) {
+    API.makeRequest(
+      formMethod,
+      Tools.getBaseURL(action),
+      data,
+      (result) => {
+        toggleButtons(false);
+        API.wizard.clearDraft(formElement);
+        API.changes.reset(formElement);
+        API._afterComplete(formElement, result);
+        return result;
+      },
+      (error) => {
+        toggleButtons(false);
+        // Errors of specific fields are shown next to them. Only those the form has no field for need a message.
+        const fieldErrors = API.validation.fieldErrors(error);
+        if (fieldErrors) {
+          const unmatched = API.validation.showErrors(formElement, fieldErrors);
+          API.validation.focusInvalid(formElement);
+          if (unmatched.length === 0) {
             return;
           }
+        }
+        FOSSBilling.message(`${error.message} (${error.code})`, 'error');
+      },
+      apiData.loader ?? true,
+      undefined,
+      { loaderTarget: formElement }
+    );
+  },
 
-          const handleApiRequest = (method, href, params = {}) => {
-            const url = apiData.href || href;
-            const mergedParams = apiData.params && typeof apiData.params === 'object'
-              ? Object.assign({}, apiData.params, params)
-              : params;
-            API.makeRequest(method, Tools.getBaseURL(url), mergedParams,
-              (result) => API._afterComplete(linkElement, result),
-              (error) => FOSSBilling.message(`${error.message} (${error.code})`, 'error')
-            );
-          };
-
-          if (apiData.hasOwnProperty('modal') && apiData.modal.type === 'prompt') {
-            Modals.create({
-              type: apiData.modal.type,
-              title: apiData.modal.title,
-              label: apiData.modal.label ?? 'Label',
-              value: apiData.modal.value ?? '',
-              promptConfirmCallback: (value) => {
-                if (value) {
-                  const p = {};
-                  const name = apiData.modal.key;
-                  p[name] = value;
-                  handleApiRequest('GET', linkElement.getAttribute('href'), p);
-                }
-              },
-            });
-          } else if (apiData.hasOwnProperty('modal')) {
-            Modals.create({
-              type: (apiData.modal.type === 'confirm') ? 'small-confirm' : apiData.modal.type,
-              title: apiData.modal.title,
-              content: apiData.modal.content ?? '',
-              confirmButton: apiData.modal.button ?? 'Confirm',
-              confirmButtonColor: apiData.modal.buttonColor ?? 'primary',
-              confirmCallback: () => {
-                handleApiRequest('GET', linkElement.getAttribute('href'));
-              },
-            });
-          } else {
-            handleApiRequest('GET', linkElement.getAttribute('href'));
+  /**
+   * Calls the API for a data-fb-api link, after the confirmation or prompt of its `modal` option.
+   *
+   * @param {HTMLAnchorElement} linkElement The link.
+   **/
+  _followLink: function (linkElement) {
+    let apiData;
+    try {
+      apiData = Tools.parseDataAttr(linkElement.dataset.fbApi || '{}');
+    } catch (error) {
+      console.error('Failed to parse data-fb-api attribute:', error);
+      FOSSBilling.message('Invalid API configuration', 'error');
+      return;
+    }
+
+    const rawHref = linkElement.getAttribute('href') || '';
+    if (!apiData.href && (!rawHref || rawHref === '#')) {
+      return;
+    }
+
+    const handleApiRequest = (method, href, params = {}) => {
+      const url = apiData.href || href;
+      const mergedParams = apiData.params && typeof apiData.params === 'object'
+        ? Object.assign({}, apiData.params, params)
+        : params;
+      API.makeRequest(method, Tools.getBaseURL(url), mergedParams,
+        (result) => API._afterComplete(linkElement, result),
+        (error) => FOSSBilling.message(`${error.message} (${error.code})`, 'error'),
+        apiData.loader ?? true,
+        undefined,
+        { loaderTarget: linkElement }
+      );
+    };
+
+    API._confirm(apiData, (params) => handleApiRequest('GET', linkElement.getAttribute('href'), params));
+  },
+
+  /**
+   * Shows the confirmation or prompt of the `modal` option of a data-fb-api element, if it has one.
+   *
+   * @param {object} apiData The data-fb-api options.
+   * @param {function(object): void} proceed Called once confirmed, with the prompted value as parameters.
+   * @param {function(): void} [cancel] Called if the modal is closed without confirming.
+   **/
+  _confirm: function (apiData, proceed, cancel = () => {}) {
+    if (!apiData.hasOwnProperty('modal')) {
+      proceed({});
+      return;
+    }
+
+    let confirmed = false;
+    const closeCallback = () => {
+      if (!confirmed) {
+        confirmed = true;
+        cancel();
+      }
+    };
+
+    if (apiData.modal.type === 'prompt') {
+      Modals.create({
+        type: apiData.modal.type,
+        title: apiData.modal.title,
+        label: apiData.modal.label ?? 'Label',
+        value: apiData.modal.value ?? '',
+        promptConfirmCallback: (value) => {
+          if (value) {
+            confirmed = true;
+            const p = {};
+            const name = apiData.modal.key;
+            p[name] = value;
+            proceed(p);
           }
-        });
+        },
+        closeCallback,
       });
+    } else {
+      Modals.create({
+        type: (apiData.modal.type === 'confirm') ? 'small-confirm' : apiData.modal.type,
+        title: apiData.modal.title,
+        content: apiData.modal.content ?? '',
+        confirmButton: apiData.modal.button ?? 'Confirm',
+        confirmButtonColor: apiData.modal.buttonColor ?? 'primary',
+        confirmCallback: () => {
+          confirmed = true;
+          proceed({});
+        },
+        closeCallback,
+      });
+    }
+  },
+
+  /**
+   * Calls the API for a data-fb-api text field once typing pauses for `debounce` milliseconds.
+   *
+   * @param {HTMLInputElement} field The field.
+   **/
+  _debounceControl: function (field) {
+    let delay = 500;
+    try {
+      delay = Tools.parseDataAttr(field.dataset.fbApi || '{}').debounce ?? delay;
+    } catch (error) {
+      // _callControl() reports the invalid attribute.
+    }
+
+    clearTimeout(this._controlTimers.get(field));
+    this._controlTimers.set(field, setTimeout(() => {
+      this._controlTimers.delete(field);
+      API._callControl(field);
+    }, delay));
+  },
+
+  /**
+   * Calls the API for a data-fb-api button, select or input. The API is called at `endpoint` (e.g.
+   * "admin/product/update") or `href`, with POST unless `method` says otherwise. `params` are sent along with the
+   * value of the control under its name. Checkboxes send their `on` or `off` option instead, either a value
+   * (1 and 0 by default) or an object of parameters. A checkbox or select goes back to its last value if the call fails.
+   *
+   * @param {HTMLButtonElement|HTMLSelectElement|HTMLInputElement} element The control.
+   **/
+  _callControl: function (element) {
+    const isCheckbox = element.type === 'checkbox';
+    const isSelect = element.tagName === 'SELECT';
+    const checked = element.checked;
+    const previous = isSelect ? this._controlValues.get(element) ?? Array.from(element.options).find(option => option.defaultSelected)?.value ?? '' : null;
+    const revert = () => {
+      if (isCheckbox) {
+        element.checked = !checked;
+      } else if (isSelect) {
+        element.value = previous;
+      }
+    };
+
+    let apiData;
+    try {
+      apiData = Tools.parseDataAttr(element.dataset.fbApi || '{}');
+    } catch (error) {
+      console.error('Failed to parse data-fb-api attribute:', error);
+      FOSSBilling.message('Invalid API configuration', 'error');
+      revert();
+      return;
+    }
+
+    const url = apiData.endpoint || apiData.href;
+    if (!url) {
+      console.warn('Missing endpoint in data-fb-api attribute. Skipping API call.');
+      revert();
+      return;
+    }
+
+    const params = Object.assign({}, apiData.params);
+    if (isCheckbox) {
+      const state = checked ? (apiData.on ?? 1) : (apiData.off ?? 0);
+      if (typeof state === 'object') {
+        Object.assign(params, state);
+      } else if (element.name) {
+        params[element.name] = state;
+      }
+    } else if (element.name) {
+      params[element.name] = element.value;
     }
+
+    // Text fields keep focus while typing, so only the other controls are disabled during the call.
+    const toggle = (disable) => {
+      if (element.tagName !== 'INPUT' || isCheckbox) {
+        element.disabled = disable;
+      }
+    };
+
+    const callApi = (extraParams) => {
+      toggle(true);
+      API.makeRequest((apiData.method || 'post').toUpperCase(), Tools.getBaseURL(url), Object.assign(params, extraParams),
+        (result) => {
+          toggle(false);
+          if (isSelect) {
+            this._controlValues.set(element, element.value);
+          }
+          API._afterComplete(element, result);
+        },
+        (error) => {
+          toggle(false);
+          revert();
+          FOSSBilling.message(`${error.message} (${error.code})`, 'error');
+        },
+        apiData.loader ?? true,
+        undefined,
+        { loaderTarget: element }
+      );
+    };
+
+    this._confirm(apiData, callApi, revert);
   }
 };
+
+// The error of a replayed call passes through the interceptors of the replay and of the call it replays, but is logged once.
+const loggedErrors = new WeakSet();
+
+/**
+ * Built-in interceptors. They can be removed with API.interceptors.request.eject() and
+ * API.interceptors.response.eject() using the IDs stored on API.interceptors.defaults.
+ */
+API.interceptors.defaults = {
+  // Holds back admin and client calls while the user logs in again after their session expired.
+  sessionQueue: API.interceptors.request.use((config) => {
+    const pending = API.session.pending;
+    const endpoint = Tools.parseApiEndpoint(config.url);
+    if (pending && endpoint && endpoint.role !== 'guest') {
+      return pending.then(() => config, () => config);
+    }
+
+    return config;
+  }),
+
+  // Adds an Idempotency-Key header to mutating calls. It stays in the config, so retries and replays of the call send it again.
+  idempotency: API.interceptors.request.use((config) => {
+    if (config.idempotencyKey === false || config.headers['Idempotency-Key'] || !API.idempotency.methods.includes(config.method)) {
+      return config;
+    }
+
+    config.headers['Idempotency-Key'] = config.idempotencyKey || API.idempotency.key(config);
+
+    return config;
+  }),
+
+  // Adds the CSRF token to the headers and to object or FormData parameters.
+  csrf: API.interceptors.request.use((config) => {
+    // Outside the browser there is no session cookie to protect, requests authenticate through the auth interceptor.
+    if (!Tools.isBrowser()) {
+      return config;
+    }
+
+    const token = Tools.getCSRFToken();
+    config.headers['X-CSRF-Token'] = token || '';
+
+    if (config.params instanceof FormData) {
+      if (!config.params.has('CSRFToken')) {
+        config.params.append('CSRFToken', token);
+      }
+    } else if (config.params && typeof config.params === 'object') {
+      if (!config.params.CSRFToken) {
+        config.params.CSRFToken = token;
+      }
+    }
+
+    return config;
+  }),
+
+  // Adds HTTP basic auth when API.config holds an API key or credentials.
+  auth: API.interceptors.request.use((config) => {
+    const { apiKey, username, password } = API.config;
+    if (!apiKey && !username) {
+      return config;
+    }
+
+    // Guest calls need no credentials. Batch calls are not tied to a role and use the admin key.
+    const endpoint = Tools.parseApiEndpoint(config.url);
+    if (endpoint && endpoint.role === 'guest') {
+      return config;
+    }
+
+    let credentials = `${username}:${password ?? ''}`;
+    if (apiKey) {
+      credentials = `${endpoint ? endpoint.role : 'admin'}:${apiKey}`;
+    }
+    config.headers['Authorization'] = `Basic ${btoa(credentials)}`;
+
+    return config;
+  }),
+
+  // Recovers calls that failed because the session expired or the CSRF token was stale. Expired sessions
+  // surface either as an API error or as a redirect to the login page.
+  session: API.interceptors.response.use((response) => {
+    if (response.redirected && Tools.isBrowser() && API.session.canRecover(response.config)) {
+      return API.session.recover(response.config, new ApiError('Your session has expired. Please log in again.', 207));
+    }
+
+    return response;
+  }, (error) => {
+    if (API.session.isSessionError(error) && API.session.canRecover(error.config)) {
+      return API.session.recover(error.config, error);
+    }
+
+    throw error;
+  }),
+
+  // Follows redirects issued by the server, e.g. to the login page once the session has expired.
+  redirect: API.interceptors.response.use((response) => {
+    if (response.redirected && !Tools.isBrowser()) {
+      throw new InvalidResponseError(`The API call was redirected to ${response.url}`);
+    }
+
+    if (response.redirected) {
+      window.location.replace(response.url);
+      // The page is being replaced, so the request never settles.
+      return new Promise(() => {});
+    }
+
+    return response;
+  }),
+
+  // Logs failed requests to the console. Cancelled requests are expected and not logged.
+  log: API.interceptors.response.use(null, (error) => {
+    if (!(error instanceof CancelledError) && !loggedErrors.has(error)) {
+      loggedErrors.add(error);
+      console.error(`API Error: ${error.message}`);
+    }
+    throw error;
+  }),
+
+  // Reports failed requests to the front-end error log.
+  telemetry: API.interceptors.response.use(null, (error) => {
+    API.telemetry.captureRequest(error);
+    throw error;
+  })
+};
+
+// Cart reads are stale once the cart changes.
+API.cache.invalidateOn('cart/*', 'cart/*');
+
+// Send the calls that were queued while offline, including those left over from earlier pages.
+API.offline._listen();
+
+// Send waiting error reports before the user leaves the page.
+API.telemetry._listen();
+
+// Allow require()-ing the client from Node.js scripts.
+if (typeof module === 'object' && module.exports) {
+  module.exports = API;
+}
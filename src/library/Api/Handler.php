@@ -140,15 +140,15 @@ final class Api_Handler implements InjectionAwareInterface
 
             foreach ($instance->params as $paramName => $errorMessage) {
                 if (!isset($data[$paramName])) {
-                    throw new FOSSBilling\InformationException($errorMessage);
+                    throw new FOSSBilling\InformationException($errorMessage, fields: [$paramName]);
                 }
 
                 if (is_string($data[$paramName]) && strlen(trim($data[$paramName])) === 0) {
-                    throw new FOSSBilling\InformationException($errorMessage);
+                    throw new FOSSBilling\InformationException($errorMessage, fields: [$paramName]);
                 }
 
                 if (!is_numeric($data[$paramName]) && empty($data[$paramName])) {
-                    throw new FOSSBilling\InformationException($errorMessage);
+                    throw new FOSSBilling\InformationException($errorMessage, fields: [$paramName]);
                 }
             }
         }
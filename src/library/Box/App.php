@@ -148,6 +148,28 @@ class Box_App
         return 'Rendering ' . $fileName;
     }
 
+    /**
+     * Renders a template. Requests with an X-FB-Fragment header only get the template block it names, so scripts can
+     * update a region of a page without reloading it. The header is sent back with the block, and a template without
+     * that block is rendered in full, which scripts recognize by the missing header.
+     */
+    protected function renderTemplate(Twig\TemplateWrapper $template, array $variableArray = []): string
+    {
+        $fragment = $this->di['request']->headers->get('X-FB-Fragment');
+        if (!$fragment) {
+            return $template->render($variableArray);
+        }
+
+        header('Vary: X-FB-Fragment');
+        if (!preg_match('/^\w+$/', (string) $fragment) || !$template->hasBlock($fragment, $variableArray)) {
+            return $template->render($variableArray);
+        }
+
+        header('X-FB-Fragment: ' . $fragment);
+
+        return $template->renderBlock($fragment, $variableArray);
+    }
+
     public function sendFile($filename, $contentType, $path): false|int
     {
         header("Content-type: $contentType");
@@ -44,7 +44,7 @@ class Box_AppAdmin extends Box_App
     {
         $template = $this->getTwig()->load(Path::changeExtension($fileName, '.html.twig'));
 
-        return $template->render($variableArray);
+        return $this->renderTemplate($template, $variableArray);
     }
 
     #[Override]
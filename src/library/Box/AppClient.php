@@ -95,7 +95,7 @@ class Box_AppClient extends Box_App
             header('Content-Type: application/xml');
         }
 
-        return $template->render($variableArray);
+        return $this->renderTemplate($template, $variableArray);
     }
 
     protected function getTwig(): Twig\Environment
@@ -77,7 +77,8 @@ class Box_EventManager implements FOSSBilling\InjectionAwareInterface
             try {
                 $s = $this->di['mod_service']($mod);
 
-                if (method_exists($s, $event)) {
+                // Listeners without a method of their own are handled by the __callStatic() of their module.
+                if (method_exists($s, $event) || is_callable([$s::class, $event])) {
                     $disp->connect($event, [$s::class, $event]);
                 }
             } catch (Exception $e) {
@@ -140,6 +140,8 @@ class Box_TwigExtensions extends AbstractExtension implements InjectionAwareInte
             new TwigFunction('fb_api', $this->fb_api(...), ['is_safe' => ['html']]),
             new TwigFunction('fb_api_form', $this->fb_api_form(...), ['is_safe' => ['html']]),
             new TwigFunction('fb_api_link', $this->fb_api_link(...), ['is_safe' => ['html']]),
+            new TwigFunction('fb_validate', $this->fb_validate(...), ['is_safe' => ['html']]),
+            new TwigFunction('fb_wizard_step', $this->fb_wizard_step(...), ['is_safe' => ['html']]),
         ];
     }
 
@@ -604,6 +606,96 @@ class Box_TwigExtensions extends AbstractExtension implements InjectionAwareInte
         return $hrefAttr . $attr;
     }
 
+    /**
+     * Generate the data-fb-validate attribute of a field in a data-fb-api form.
+     *
+     * Usage:
+     *   <input type="password" name="password_confirm" {{ fb_validate({required: true, match: 'password'}) }}>
+     *
+     * Rules registered in JavaScript with API.validation.register() can be used too, so unknown keys are allowed.
+     *
+     * @param array $rules Validation rules, see API.validation in API.js
+     *
+     * @return string HTML attribute string
+     *
+     * @throws RuntimeException on invalid rules
+     */
+    public function fb_validate(array $rules): string
+    {
+        foreach (['pattern', 'match', 'custom', 'message'] as $key) {
+            if (isset($rules[$key]) && !is_string($rules[$key])) {
+                throw new RuntimeException(sprintf('fb_validate: "%s" must be a string', $key));
+            }
+        }
+
+        foreach (['min', 'max'] as $key) {
+            if (isset($rules[$key]) && !is_numeric($rules[$key])) {
+                throw new RuntimeException(sprintf('fb_validate: "%s" must be a number', $key));
+            }
+        }
+
+        if (isset($rules['messages']) && !is_array($rules['messages'])) {
+            throw new RuntimeException('fb_validate: "messages" must be an array');
+        }
+
+        try {
+            // Messages are translated, so they may contain apostrophes that would end the attribute.
+            $json = json_encode($rules, JSON_THROW_ON_ERROR | JSON_UNESCAPED_SLASHES | JSON_HEX_APOS);
+        } catch (JsonException $e) {
+            throw new RuntimeException('fb_validate: failed to encode JSON: ' . $e->getMessage());
+        }
+
+        return 'data-fb-validate=\'' . $json . '\'';
+    }
+
+    /**
+     * Generate the data-fb-wizard-step attribute of a step of a data-fb-api form with the wizard option.
+     *
+     * Usage:
+     *   <fieldset {{ fb_wizard_step({title: 'Domain'|trans, endpoint: 'guest/servicedomain/can_be_transferred'}) }}>...</fieldset>
+     *
+     * @param array $config Config with the 'title', and optionally the 'endpoint', 'params', 'method' and 'loader' of an API call
+     *
+     * @return string HTML attribute string
+     *
+     * @throws RuntimeException on invalid configuration
+     */
+    public function fb_wizard_step(array $config = []): string
+    {
+        foreach (array_keys($config) as $key) {
+            if (!in_array($key, ['title', 'endpoint', 'params', 'method', 'loader'], true)) {
+                throw new RuntimeException("fb_wizard_step: unknown option '{$key}'");
+            }
+        }
+
+        foreach (['title', 'endpoint'] as $key) {
+            if (isset($config[$key]) && !is_string($config[$key])) {
+                throw new RuntimeException(sprintf('fb_wizard_step: "%s" must be a string', $key));
+            }
+        }
+
+        if (isset($config['params']) && !is_array($config['params'])) {
+            throw new RuntimeException('fb_wizard_step: "params" must be an array');
+        }
+
+        if (isset($config['method']) && !in_array(strtolower((string) $config['method']), ['get', 'post'], true)) {
+            throw new RuntimeException('fb_wizard_step: "method" must be get or post');
+        }
+
+        if (isset($config['loader']) && !is_string($config['loader']) && !is_bool($config['loader'])) {
+            throw new RuntimeException('fb_wizard_step: "loader" must be a string or a boolean');
+        }
+
+        try {
+            // Titles are translated, so they may contain apostrophes that would end the attribute.
+            $json = json_encode((object) $config, JSON_THROW_ON_ERROR | JSON_UNESCAPED_SLASHES | JSON_HEX_APOS);
+        } catch (JsonException $e) {
+            throw new RuntimeException('fb_wizard_step: failed to encode JSON: ' . $e->getMessage());
+        }
+
+        return 'data-fb-wizard-step=\'' . $json . '\'';
+    }
+
     /**
      * Validate fb_api configuration and normalize values.
      *
@@ -615,7 +707,7 @@ class Box_TwigExtensions extends AbstractExtension implements InjectionAwareInte
      */
     private function validateFbApiConfig(array $config): array
     {
-        $allowedKeys = ['type', 'href', 'endpoint', 'params', 'message', 'redirect', 'reload', 'modal', 'callback'];
+        $allowedKeys = ['type', 'href', 'endpoint', 'params', 'message', 'redirect', 'reload', 'modal', 'callback', 'loader', 'target', 'swap', 'fragment', 'method', 'debounce', 'on', 'off', 'poll', 'wizard', 'autosave', 'guard'];
 
         foreach (array_keys($config) as $key) {
             if (!in_array($key, $allowedKeys, true)) {
@@ -630,7 +722,11 @@ class Box_TwigExtensions extends AbstractExtension implements InjectionAwareInte
             $config['modal'] = $this->validateModalConfig($config['modal']);
         }
 
-        foreach (['href', 'message', 'redirect', 'callback'] as $key) {
+        if (isset($config['loader']) && !is_string($config['loader']) && !is_bool($config['loader'])) {
+            throw new RuntimeException('fb_api: "loader" must be a string or a boolean');
+        }
+
+        foreach (['href', 'message', 'redirect', 'callback', 'target'] as $key) {
             if (isset($config[$key]) && !is_string($config[$key])) {
                 throw new RuntimeException(sprintf('fb_api: "%s" must be a string', $key));
             }
@@ -644,9 +740,96 @@ class Box_TwigExtensions extends AbstractExtension implements InjectionAwareInte
             throw new RuntimeException('fb_api: "params" must be an array');
         }
 
+        $swapModes = ['outerHTML', 'innerHTML', 'beforebegin', 'afterbegin', 'beforeend', 'afterend', 'delete', 'none'];
+        if (isset($config['swap']) && !in_array($config['swap'], $swapModes, true)) {
+            throw new RuntimeException("fb_api: invalid swap '{$config['swap']}'. Allowed: " . implode(', ', $swapModes));
+        }
+
+        if (isset($config['fragment']) && (!is_string($config['fragment']) || !preg_match('/^\w+$/', $config['fragment']))) {
+            throw new RuntimeException('fb_api: "fragment" must be the name of a template block');
+        }
+
+        if (isset($config['method']) && !in_array(strtolower((string) $config['method']), ['get', 'post'], true)) {
+            throw new RuntimeException('fb_api: "method" must be get or post');
+        }
+
+        if (isset($config['debounce']) && (!is_int($config['debounce']) || $config['debounce'] < 0)) {
+            throw new RuntimeException('fb_api: "debounce" must be a number of milliseconds');
+        }
+
+        if (isset($config['poll'])) {
+            $config['poll'] = $this->validatePollConfig($config['poll']);
+        }
+
+        foreach (['on', 'off'] as $key) {
+            if (isset($config[$key]) && !is_scalar($config[$key]) && (!is_array($config[$key]) || array_is_list($config[$key]))) {
+                throw new RuntimeException(sprintf('fb_api: "%s" must be a value or an array of parameters', $key));
+            }
+        }
+
+        if (isset($config['autosave']) && !is_string($config['autosave']) && !is_bool($config['autosave'])) {
+            throw new RuntimeException('fb_api: "autosave" must be a string or a boolean');
+        }
+
+        if (isset($config['guard']) && !is_bool($config['guard'])) {
+            throw new RuntimeException('fb_api: "guard" must be a boolean');
+        }
+
+        if (isset($config['wizard'])) {
+            $wizard = $config['wizard'];
+            if (is_array($wizard)) {
+                if (array_diff(array_keys($wizard), ['draft'])) {
+                    throw new RuntimeException('fb_api.wizard: the only option is "draft"');
+                }
+                if (isset($wizard['draft']) && $wizard['draft'] !== false && !is_string($wizard['draft'])) {
+                    throw new RuntimeException('fb_api.wizard: "draft" must be a string or false');
+                }
+            } elseif (!is_bool($wizard)) {
+                throw new RuntimeException('fb_api: "wizard" must be a boolean or an array of options');
+            }
+        }
+
         return $config;
     }
 
+    /**
+     * Validate poll configuration.
+     *
+     * @param mixed $poll The interval in milliseconds, or the poll options
+     *
+     * @return int|array Validated poll configuration
+     *
+     * @throws RuntimeException on invalid poll options
+     */
+    private function validatePollConfig(mixed $poll): int|array
+    {
+        if (is_int($poll) && $poll > 0) {
+            return $poll;
+        }
+
+        if (!is_array($poll) || array_is_list($poll)) {
+            throw new RuntimeException('fb_api: "poll" must be a number of milliseconds or an array of options');
+        }
+
+        foreach (array_keys($poll) as $key) {
+            if (!in_array($key, ['interval', 'field', 'until', 'maxInterval'], true)) {
+                throw new RuntimeException("fb_api.poll: unknown option '{$key}'");
+            }
+        }
+
+        foreach (['interval', 'maxInterval'] as $key) {
+            if (isset($poll[$key]) && (!is_int($poll[$key]) || $poll[$key] <= 0)) {
+                throw new RuntimeException(sprintf('fb_api.poll: "%s" must be a number of milliseconds', $key));
+            }
+        }
+
+        if (isset($poll['field']) && !is_string($poll['field'])) {
+            throw new RuntimeException('fb_api.poll: "field" must be a string');
+        }
+
+        return $poll;
+    }
+
     /**
      * Validate modal configuration.
      *
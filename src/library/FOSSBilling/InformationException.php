@@ -13,6 +13,11 @@ namespace FOSSBilling;
 
 class InformationException extends Exception
 {
+    /**
+     * Error messages by the name of the field they are about.
+     */
+    private array $fields = [];
+
     /**
      * Creates a new translated information exception.
      *
@@ -20,10 +25,27 @@ class InformationException extends Exception
      * @param array|null $variables translation variables
      * @param int        $code      the exception code
      * @param bool       $protected if the variables in this should be considered protect, if so, hide them from the stack trace
+     * @param array      $fields    the fields the error is about, either as a list of field names (which get the message of the exception) or as field name => translated message pairs
      */
-    public function __construct(string $message, ?array $variables = null, int $code = 0, bool $protected = false)
+    public function __construct(string $message, ?array $variables = null, int $code = 0, bool $protected = false, array $fields = [])
     {
         // Pass the message to the parent
         parent::__construct($message, $variables, $code, $protected);
+
+        foreach ($fields as $field => $fieldMessage) {
+            if (is_int($field)) {
+                $this->fields[$fieldMessage] = $this->getMessage();
+            } else {
+                $this->fields[$field] = $fieldMessage;
+            }
+        }
+    }
+
+    /**
+     * Returns the error messages by the name of the field they are about, so forms can show them next to the fields.
+     */
+    public function getFields(): array
+    {
+        return $this->fields;
     }
 }
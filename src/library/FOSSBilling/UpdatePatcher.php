@@ -632,6 +632,16 @@ class UpdatePatcher implements InjectionAwareInterface
                 $q = "UPDATE setting SET value = 'themes/huraga/assets/build/favicon.ico' WHERE param = 'company_favicon' AND value = 'themes/huraga/assets/favicon.ico';";
                 $this->executeSql($q);
             },
+            50 => function (): void {
+                // Table for errors reported by the browser, which are browsable next to the activity log.
+                $q = 'CREATE TABLE IF NOT EXISTS `activity_frontend_error` ( `id` bigint(20) NOT NULL AUTO_INCREMENT, `admin_id` bigint(20) DEFAULT NULL, `client_id` bigint(20) DEFAULT NULL, `role` varchar(20) DEFAULT NULL, `type` varchar(20) DEFAULT NULL, `message` text, `stack` text, `url` varchar(255) DEFAULT NULL, `endpoint` varchar(255) DEFAULT NULL, `code` varchar(50) DEFAULT NULL, `user_agent` varchar(255) DEFAULT NULL, `ip` varchar(45) DEFAULT NULL, `created_at` datetime DEFAULT NULL, PRIMARY KEY (`id`), KEY `admin_id_idx` (`admin_id`), KEY `client_id_idx` (`client_id`) ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;';
+                $this->executeSql($q);
+            },
+            51 => function (): void {
+                // Table for the hook events that are streamed live to the admin area.
+                $q = 'CREATE TABLE IF NOT EXISTS `hook_live_event` ( `id` bigint(20) NOT NULL AUTO_INCREMENT, `event` varchar(100) DEFAULT NULL, `data` text, `created_at` datetime DEFAULT NULL, PRIMARY KEY (`id`), KEY `created_at_idx` (`created_at`) ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;';
+                $this->executeSql($q);
+            },
         ];
         ksort($patches, SORT_NATURAL);
 
@@ -174,15 +174,15 @@ class Validate
     {
         foreach ($required as $key => $msg) {
             if (!isset($data[$key])) {
-                throw new InformationException($msg, $variables, $code);
+                throw new InformationException($msg, $variables, $code, fields: [$key]);
             }
 
             if (is_string($data[$key]) && strlen(trim($data[$key])) === 0) {
-                throw new InformationException($msg, $variables, $code);
+                throw new InformationException($msg, $variables, $code, fields: [$key]);
             }
 
             if (!is_numeric($data[$key]) && empty($data[$key])) {
-                throw new InformationException($msg, $variables, $code);
+                throw new InformationException($msg, $variables, $code, fields: [$key]);
             }
         }
     }
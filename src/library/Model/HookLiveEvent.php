@@ -0,0 +1,12 @@
+<?php
+
+/**
+ * Copyright 2022-2025 FOSSBilling
+ * SPDX-License-Identifier: Apache-2.0.
+ *
+ * @copyright FOSSBilling (https://www.fossbilling.org)
+ * @license http://www.apache.org/licenses/LICENSE-2.0 Apache-2.0
+ */
+class Model_HookLiveEvent extends RedBeanPHP\SimpleModel
+{
+}
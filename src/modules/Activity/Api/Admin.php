@@ -15,6 +15,8 @@
 
 namespace Box\Mod\Activity\Api;
 
+use FOSSBilling\Validation\Api\RequiredParams;
+
 class Admin extends \Api_Abstract
 {
     /**
@@ -47,6 +49,50 @@ class Admin extends \Api_Abstract
         return $pager;
     }
 
+    /**
+     * Get a list of errors reported by the browser, such as uncaught exceptions and failed API calls.
+     *
+     * @param array $data Search parameters: search, type, role, endpoint, admin_id, client_id, date_from and date_to
+     *
+     * @return array An array containing the list of front-end errors and the pager information
+     */
+    public function error_get_list($data)
+    {
+        $per_page = $data['per_page'] ?? $this->di['pager']->getDefaultPerPage();
+        [$sql, $params] = $this->getService()->getFrontendErrorSearchQuery($data);
+        $pager = $this->di['pager']->getPaginatedResultSet($sql, $params, $per_page);
+
+        foreach ($pager['list'] as $key => $item) {
+            if (isset($item['staff_id'])) {
+                $pager['list'][$key]['staff']['id'] = $item['staff_id'];
+                $pager['list'][$key]['staff']['name'] = $item['staff_name'];
+                $pager['list'][$key]['staff']['email'] = $item['staff_email'];
+            }
+            if (isset($item['client_id'])) {
+                $pager['list'][$key]['client']['id'] = $item['client_id'];
+                $pager['list'][$key]['client']['name'] = $item['client_name'];
+                $pager['list'][$key]['client']['email'] = $item['client_email'];
+            }
+        }
+
+        return $pager;
+    }
+
+    /**
+     * Delete a front-end error from the log.
+     *
+     * @param array $data
+     *                    - int id  Error ID
+     */
+    #[RequiredParams(['id' => 'Error ID was not passed'])]
+    public function error_delete($data): bool
+    {
+        $model = $this->di['db']->getExistingModelById('ActivityFrontendError', $data['id'], 'Error not found');
+        $this->di['db']->trash($model);
+
+        return true;
+    }
+
     /**
      * Add a message to the log.
      *
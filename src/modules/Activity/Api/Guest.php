@@ -0,0 +1,41 @@
+<?php
+
+/**
+ * Copyright 2022-2025 FOSSBilling
+ * SPDX-License-Identifier: Apache-2.0.
+ *
+ * @copyright FOSSBilling (https://www.fossbilling.org)
+ * @license http://www.apache.org/licenses/LICENSE-2.0 Apache-2.0
+ */
+
+/**
+ * Front-end error reporting.
+ */
+
+namespace Box\Mod\Activity\Api;
+
+use FOSSBilling\Validation\Api\RequiredParams;
+
+class Guest extends \Api_Abstract
+{
+    /**
+     * Report errors that happened in the browser, such as uncaught exceptions and failed API calls.
+     * The errors are attributed to the client or staff member logged in to the current session.
+     *
+     * @param array $data
+     *                    - array reports  List of errors, each with type, message, stack, url, endpoint, code and role
+     *
+     * @return int The number of stored errors
+     *
+     * @throws \FOSSBilling\InformationException
+     */
+    #[RequiredParams(['reports' => 'Reports were not passed'])]
+    public function error_report($data): int
+    {
+        if (!is_array($data['reports'])) {
+            throw new \FOSSBilling\InformationException('Reports must be a list');
+        }
+
+        return $this->getService()->logFrontendErrors($data['reports']);
+    }
+}
@@ -42,6 +42,13 @@ class Admin implements \FOSSBilling\InjectionAwareInterface
                     'uri' => $this->di['url']->adminLink('activity'),
                     'class' => '',
                 ],
+                [
+                    'location' => 'activity',
+                    'label' => __trans('Front-end errors'),
+                    'index' => 200,
+                    'uri' => $this->di['url']->adminLink('activity/errors'),
+                    'class' => '',
+                ],
             ],
         ];
     }
@@ -49,6 +56,7 @@ class Admin implements \FOSSBilling\InjectionAwareInterface
     public function register(\Box_App &$app): void
     {
         $app->get('/activity', 'get_index', [], static::class);
+        $app->get('/activity/errors', 'get_errors', [], static::class);
     }
 
     public function get_index(\Box_App $app): string
@@ -57,4 +65,11 @@ class Admin implements \FOSSBilling\InjectionAwareInterface
 
         return $app->render('mod_activity_index');
     }
+
+    public function get_errors(\Box_App $app): string
+    {
+        $this->di['is_admin_logged'];
+
+        return $app->render('mod_activity_errors');
+    }
 }
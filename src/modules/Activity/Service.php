@@ -15,6 +15,16 @@ use FOSSBilling\InjectionAwareInterface;
 
 class Service implements InjectionAwareInterface
 {
+    /**
+     * The kinds of front-end errors the browser reports: uncaught errors, unhandled promise rejections and failed API calls.
+     */
+    public const FRONTEND_ERROR_TYPES = ['error', 'rejection', 'api'];
+
+    /**
+     * The maximum number of front-end errors stored from a single report.
+     */
+    public const FRONTEND_ERROR_BATCH_LIMIT = 20;
+
     protected ?\Pimple\Container $di = null;
 
     public function setDi(\Pimple\Container $di): void
@@ -107,6 +117,7 @@ class Service implements InjectionAwareInterface
                 $di['db']->exec('DELETE FROM activity_admin_history WHERE created_at <= :created_at', [':created_at' => date('Y-m-d H:i:s', time() - $ageInSeconds)]);
                 $di['db']->exec('DELETE FROM activity_client_history WHERE created_at <= :created_at', [':created_at' => date('Y-m-d H:i:s', time() - $ageInSeconds)]);
                 $di['db']->exec('DELETE FROM activity_system WHERE created_at <= :created_at', [':created_at' => date('Y-m-d H:i:s', time() - $ageInSeconds)]);
+                $di['db']->exec('DELETE FROM activity_frontend_error WHERE created_at <= :created_at', [':created_at' => date('Y-m-d H:i:s', time() - $ageInSeconds)]);
             }
 
             if ($emailRetention !== 0) {
@@ -193,6 +204,127 @@ class Service implements InjectionAwareInterface
         return [$sql, $params];
     }
 
+    /**
+     * Stores a batch of errors reported by the browser. The errors are attributed to the client or staff member
+     * logged in to the current session, and are only stored if front-end error logging is enabled for them.
+     *
+     * @param array $reports Each report may contain type, message, stack, url, endpoint, code and role
+     *
+     * @return int The number of stored errors
+     */
+    public function logFrontendErrors(array $reports): int
+    {
+        $extensionService = $this->di['mod_service']('extension');
+        $config = $extensionService->getConfig('mod_activity');
+        $mode = $config['frontend_errors'] ?? 'users';
+
+        $clientId = $this->di['auth']->isClientLoggedIn() ? $this->di['session']->get('client_id') : null;
+        $admin = $this->di['auth']->isAdminLoggedIn() ? $this->di['session']->get('admin') : null;
+
+        if ($mode === 'off' || ($mode === 'users' && !$clientId && !$admin)) {
+            return 0;
+        }
+
+        $ip = $extensionService->isExtensionActive('mod', 'demo') ? null : $this->di['request']->getClientIp();
+        $userAgent = $this->di['request']->headers->get('User-Agent');
+
+        $stored = 0;
+        foreach (array_slice($reports, 0, self::FRONTEND_ERROR_BATCH_LIMIT) as $report) {
+            if (!is_array($report) || empty($report['message']) || !is_string($report['message'])) {
+                continue;
+            }
+
+            $type = $report['type'] ?? 'error';
+            $role = $report['role'] ?? null;
+
+            $entry = $this->di['db']->dispense('ActivityFrontendError');
+            $entry->client_id = $clientId;
+            $entry->admin_id = $admin['id'] ?? null;
+            $entry->role = in_array($role, ['admin', 'client', 'guest'], true) ? $role : null;
+            $entry->type = in_array($type, self::FRONTEND_ERROR_TYPES, true) ? $type : 'error';
+            $entry->message = mb_substr($report['message'], 0, 1000);
+            $entry->stack = isset($report['stack']) ? mb_substr((string) $report['stack'], 0, 10000) : null;
+            $entry->url = isset($report['url']) ? mb_substr((string) $report['url'], 0, 255) : null;
+            $entry->endpoint = isset($report['endpoint']) ? mb_substr((string) $report['endpoint'], 0, 255) : null;
+            $entry->code = isset($report['code']) ? mb_substr((string) $report['code'], 0, 50) : null;
+            $entry->user_agent = $userAgent ? mb_substr((string) $userAgent, 0, 255) : null;
+            $entry->ip = $ip;
+            $entry->created_at = date('Y-m-d H:i:s');
+            $this->di['db']->store($entry);
+            ++$stored;
+        }
+
+        return $stored;
+    }
+
+    public function getFrontendErrorSearchQuery($data): array
+    {
+        $sql = 'SELECT e.*, a.id as staff_id, a.email as staff_email, a.name as staff_name, CONCAT_WS(" ", c.first_name, c.last_name) as client_name, c.email as client_email
+                FROM activity_frontend_error as e
+                left join admin as a on a.id = e.admin_id
+                left join client as c on c.id = e.client_id';
+
+        $params = [];
+        $where = [];
+
+        $search = $data['search'] ?? null;
+        $type = $data['type'] ?? null;
+        $role = $data['role'] ?? null;
+        $endpoint = $data['endpoint'] ?? null;
+        $admin_id = $data['admin_id'] ?? null;
+        $client_id = $data['client_id'] ?? null;
+        $date_from = $data['date_from'] ?? null;
+        $date_to = $data['date_to'] ?? null;
+
+        if ($type) {
+            $where[] = 'e.type = :type';
+            $params[':type'] = $type;
+        }
+
+        if ($role) {
+            $where[] = 'e.role = :role';
+            $params[':role'] = $role;
+        }
+
+        if ($endpoint) {
+            $where[] = 'e.endpoint = :endpoint';
+            $params[':endpoint'] = $endpoint;
+        }
+
+        if ($admin_id) {
+            $where[] = 'e.admin_id = :admin_id';
+            $params[':admin_id'] = $admin_id;
+        }
+
+        if ($client_id) {
+            $where[] = 'e.client_id = :client_id';
+            $params[':client_id'] = $client_id;
+        }
+
+        if ($date_from) {
+            $where[] = 'e.created_at >= :date_from';
+            $params[':date_from'] = date('Y-m-d 00:00:00', strtotime((string) $date_from));
+        }
+
+        if ($date_to) {
+            $where[] = 'e.created_at <= :date_to';
+            $params[':date_to'] = date('Y-m-d 23:59:59', strtotime((string) $date_to));
+        }
+
+        if ($search) {
+            $where[] = '(e.message LIKE :search OR e.url LIKE :search)';
+            $params[':search'] = '%' . $search . '%';
+        }
+
+        if (!empty($where)) {
+            $sql .= ' WHERE ' . implode(' and ', $where);
+        }
+
+        $sql .= ' ORDER by e.id desc';
+
+        return [$sql, $params];
+    }
+
     public function logEmail($subject, $clientId = null, $sender = null, $recipients = null, $content_html = null, $content_text = null): bool
     {
         $entry = $this->di['db']->dispense('ActivityClientEmail');
@@ -233,5 +365,7 @@ class Service implements InjectionAwareInterface
         foreach ($models as $model) {
             $this->di['db']->trash($model);
         }
+
+        $this->di['db']->exec('DELETE FROM activity_frontend_error WHERE client_id = :client_id', [':client_id' => $client->id]);
     }
 }
@@ -0,0 +1,68 @@
+<?php
+
+declare(strict_types=1);
+/**
+ * Copyright 2022-2025 FOSSBilling
+ * SPDX-License-Identifier: Apache-2.0.
+ *
+ * @copyright FOSSBilling (https://www.fossbilling.org)
+ * @license http://www.apache.org/licenses/LICENSE-2.0 Apache-2.0
+ */
+
+namespace Box\Mod\Api\Commands;
+
+use Symfony\Component\Console\Attribute\AsCommand;
+use Symfony\Component\Console\Command\Command;
+use Symfony\Component\Console\Input\InputInterface;
+use Symfony\Component\Console\Input\InputOption;
+use Symfony\Component\Console\Output\OutputInterface;
+use Symfony\Component\Filesystem\Filesystem;
+use Symfony\Component\Filesystem\Path;
+
+#[AsCommand(
+    name: 'api:catalogue',
+    description: 'Generates the API endpoint catalogue and TypeScript definitions for the JavaScript API client',
+    hidden: false
+)]
+class Catalogue extends Command implements \FOSSBilling\InjectionAwareInterface
+{
+    protected $di;
+
+    public function setDi($di): void
+    {
+        $this->di = $di;
+    }
+
+    public function getDi(): ?\Pimple\Container
+    {
+        return $this->di;
+    }
+
+    protected function configure(): void
+    {
+        $this->addOption('output', 'o', InputOption::VALUE_REQUIRED, 'The directory to write endpoints.json and endpoints.d.ts to', Path::join(PATH_LIBRARY, 'Api'));
+        $this->addOption('module', 'm', InputOption::VALUE_REQUIRED | InputOption::VALUE_IS_ARRAY, 'Only include these modules (defaults to the core and active modules)');
+    }
+
+    protected function execute(InputInterface $input, OutputInterface $output): int
+    {
+        $service = $this->di['mod_service']('api');
+        $filesystem = new Filesystem();
+        $directory = $input->getOption('output');
+
+        try {
+            $catalogue = $service->getEndpointCatalogue($input->getOption('module') ?: null);
+            $filesystem->dumpFile(Path::join($directory, 'endpoints.json'), json_encode($catalogue, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES) . "\n");
+            $filesystem->dumpFile(Path::join($directory, 'endpoints.d.ts'), $service->getEndpointTypings($catalogue));
+        } catch (\Exception $e) {
+            $output->writeln("<error>An error occurred: {$e->getMessage()}</error>");
+
+            return Command::FAILURE;
+        }
+
+        $count = array_sum(array_map(count(...), $catalogue));
+        $output->writeln("<info>Wrote {$count} endpoints to {$directory}.</info>");
+
+        return Command::SUCCESS;
+    }
+}
@@ -20,6 +20,7 @@ use FOSSBilling\Config;
 use FOSSBilling\Environment;
 use FOSSBilling\InjectionAwareInterface;
 use Symfony\Component\Filesystem\Filesystem;
+use Symfony\Contracts\Cache\ItemInterface;
 
 class Client implements InjectionAwareInterface
 {
@@ -47,6 +48,8 @@ class Client implements InjectionAwareInterface
     {
         $app->post('/api/:role/:class/:method', 'post_method', ['role', 'class', 'method'], static::class);
         $app->get('/api/:role/:class/:method', 'get_method', ['role', 'class', 'method'], static::class);
+        $app->post('/api/batch', 'post_batch', [], static::class);
+        $app->get('/api/admin/events', 'get_events', [], static::class);
 
         // all other requests are error requests
         $app->get('/api/:page', 'show_error', ['page' => '(.?)+'], static::class);
@@ -88,6 +91,166 @@ class Client implements InjectionAwareInterface
         return null;
     }
 
+    /**
+     * Executes several API calls in a single HTTP request.
+     *
+     * Expects a `requests` list of `{role, endpoint, params}` entries, where `endpoint` is `class/method`.
+     * Each entry gets its own `{result, error}` pair in the response, so one failing call does not affect the others.
+     * Logins are refused inside a batch, they have to go through their own request and its rate limit.
+     * An Idempotency-Key header covers every call of the batch: a repeated batch gets the results of the first one.
+     */
+    public function post_batch(\Box_App $app): null
+    {
+        $p = $_POST;
+
+        $input = $this->filesystem->readFile('php://input');
+        if (empty($p) && !empty($input)) {
+            $p = @json_decode($input, true);
+        }
+
+        try {
+            $requests = $p['requests'] ?? null;
+            if (!is_array($requests) || !array_is_list($requests) || empty($requests)) {
+                throw new \FOSSBilling\InformationException('Batch requests must be a non-empty list', null, 880);
+            }
+
+            $this->_loadConfig();
+            $limit = (int) ($this->_api_config['batch_limit'] ?? 20);
+            if (count($requests) > $limit) {
+                throw new \FOSSBilling\InformationException('A batch may contain at most :limit requests', [':limit' => $limit], 881);
+            }
+
+            $this->checkAllowedIps();
+
+            // Every call in the batch counts towards the rate limit.
+            $service = $this->di['mod_service']('api');
+            foreach ($requests as $request) {
+                $service->logRequest();
+            }
+            $this->checkRateLimit();
+            $this->checkHttpReferer();
+            $idempotencyKey = $this->getIdempotencyKey();
+        } catch (\Exception $exc) {
+            \Sentry\captureException($exc);
+            $this->renderJson(null, $exc);
+
+            return null;
+        }
+
+        $results = [];
+        foreach ($requests as $index => $request) {
+            // Each call gets a key of its own, so two identical calls of one batch both run.
+            $results[] = $this->batchCall($request, $idempotencyKey === null ? null : $idempotencyKey . '#' . $index);
+        }
+
+        $this->renderJson($results);
+
+        return null;
+    }
+
+    /**
+     * Streams live admin events as Server-Sent Events.
+     *
+     * The stream ends after `events_stream_duration` seconds and the browser reconnects, sending the ID of the last
+     * event it received in the Last-Event-ID header (or the `lastEventId` parameter), so no events are missed in between.
+     * Staff members only receive the events of modules they have permission for.
+     */
+    public function get_events(\Box_App $app): null
+    {
+        try {
+            $this->_loadConfig();
+            $this->checkAllowedIps();
+            $this->isRoleLoggedIn('admin');
+        } catch (\Exception $exc) {
+            $this->renderJson(null, $exc);
+
+            return null;
+        }
+
+        $hookService = $this->di['mod_service']('hook');
+        $staffService = $this->di['mod_service']('staff');
+        $admin = $this->di['loggedin_admin'];
+
+        $lastId = (int) ($_SERVER['HTTP_LAST_EVENT_ID'] ?? $_GET['lastEventId'] ?? 0);
+        if ($lastId <= 0) {
+            $lastId = $hookService->getLastLiveEventId();
+        }
+
+        // Release the session, otherwise the admin's other requests wait until the stream ends.
+        session_write_close();
+        while (ob_get_level() > 0) {
+            ob_end_clean();
+        }
+
+        header('Content-Type: text/event-stream');
+        header('Cache-Control: no-cache');
+        header('X-Accel-Buffering: no');
+        header('X-FOSSBilling-Version: ' . \FOSSBilling\Version::VERSION);
+
+        $allowed = [];
+        $until = time() + (int) ($this->_api_config['events_stream_duration'] ?? 30);
+
+        echo "retry: 3000\n\n";
+        while (!connection_aborted()) {
+            foreach ($hookService->getLiveEvents($lastId) as $event) {
+                $lastId = $event['id'];
+                $module = strstr($event['event'], '.', true);
+                $allowed[$module] ??= $staffService->hasPermission($admin, $module);
+                if ($allowed[$module]) {
+                    echo "id: {$event['id']}\nevent: {$event['event']}\ndata: " . json_encode($event['data']) . "\n\n";
+                }
+            }
+
+            // Comments keep proxies from closing an idle connection.
+            echo ": keep-alive\n\n";
+            flush();
+
+            if (time() >= $until) {
+                break;
+            }
+            sleep(2);
+        }
+
+        exit;
+    }
+
+    /**
+     * Executes one entry of a batch request.
+     *
+     * @return array the `result` and `error` pair for the entry
+     */
+    private function batchCall($request, ?string $idempotencyKey = null): array
+    {
+        try {
+            $role = is_array($request) ? $request['role'] ?? null : null;
+            $endpoint = is_array($request) ? $request['endpoint'] ?? null : null;
+            if (!is_string($role) || !is_string($endpoint) || !preg_match('/^(\w+)\/(\w+)$/', $endpoint, $matches)) {
+                throw new \FOSSBilling\InformationException('Invalid batch request. Each entry needs a role and an endpoint', null, 882);
+            }
+
+            $params = $request['params'] ?? [];
+            if (!is_array($params)) {
+                throw new \FOSSBilling\InformationException('Invalid batch request. Parameters must be an object', null, 882);
+            }
+
+            [, $class, $method] = $matches;
+
+            // Logins have a rate limit and delay of their own, which a batch of them must not get around.
+            if ($method === 'login') {
+                throw new \FOSSBilling\InformationException('Logins cannot be part of a batch request', null, 882);
+            }
+
+            $result = $this->executeCall($role, $class . '_' . $method, $params, $idempotencyKey);
+
+            return ['result' => $result, 'error' => null];
+        } catch (\Exception $exc) {
+            \Sentry\captureException($exc);
+            error_log("{$exc->getMessage()} {$exc->getCode()}.");
+
+            return ['result' => null, 'error' => $this->errorPayload($exc)];
+        }
+    }
+
     /**
      * @param string $call
      */
@@ -185,20 +348,8 @@ class Client implements InjectionAwareInterface
         $service->logRequest();
         $this->checkRateLimit($method);
         $this->checkHttpReferer();
-        $this->isRoleAllowed($role);
 
-        try {
-            $this->isRoleLoggedIn($role);
-            if ($role == 'client' || $role == 'admin') {
-                $this->_checkCSRFToken();
-            }
-        } catch (\Exception) {
-            $this->_tryTokenLogin();
-        }
-
-        $api = $this->di['api']($role);
-        unset($params['CSRFToken']);
-        $result = $api->$method($params);
+        $result = $this->executeCall($role, $method, $params, $this->getIdempotencyKey());
 
         $isAjax = isset($_SERVER['HTTP_X_REQUESTED_WITH']) && strtolower((string) $_SERVER['HTTP_X_REQUESTED_WITH']) === 'xmlhttprequest';
         $isLoginMethod = ($method === 'login');
@@ -223,6 +374,79 @@ class Client implements InjectionAwareInterface
         return null;
     }
 
+    /**
+     * Authenticates the caller for the given role and runs the API method.
+     *
+     * @param string      $method         the API method name, e.g. `invoice_get_list`
+     * @param string|null $idempotencyKey when given, a repeated call with the same key, caller and parameters
+     *                                    gets the result of the first one instead of running again
+     */
+    private function executeCall($role, $method, $params, ?string $idempotencyKey = null): mixed
+    {
+        $this->isRoleAllowed($role);
+
+        try {
+            $this->isRoleLoggedIn($role);
+            if ($role == 'client' || $role == 'admin') {
+                $this->_checkCSRFToken();
+            }
+        } catch (\Exception $e) {
+            // Without API credentials this is a browser whose session expired or whose CSRF token is stale.
+            // Report which one, so the JavaScript client can ask the user to log in again.
+            if (!isset($_SERVER['HTTP_AUTHORIZATION']) && !isset($_SERVER['PHP_AUTH_USER'])) {
+                if ($e instanceof \FOSSBilling\InformationException && $e->getCode() === 403) {
+                    throw $e;
+                }
+
+                throw new \FOSSBilling\InformationException('Your session has expired. Please log in again.', null, 207);
+            }
+
+            $this->_tryTokenLogin();
+        }
+
+        $api = $this->di['api']($role);
+        unset($params['CSRFToken']);
+
+        if ($idempotencyKey === null) {
+            return $api->$method($params);
+        }
+
+        // The cache locks the key while the first call runs, so a concurrent duplicate waits for its result
+        // instead of running alongside it. Failed calls are not cached and run again when repeated.
+        $session = $this->di['session'];
+        $identity = match ($role) {
+            'admin' => $session->get('admin')['id'] ?? null,
+            'client' => $session->get('client_id'),
+            default => $session->getId(),
+        };
+        $cacheKey = 'api_idempotency_' . hash('sha256', json_encode([$idempotencyKey, $role, $identity, $method, $params]));
+
+        return $this->di['cache']->get($cacheKey, function (ItemInterface $item) use ($api, $method, $params) {
+            $item->expiresAfter((int) ($this->_api_config['idempotency_window'] ?? 600));
+
+            return $api->$method($params);
+        });
+    }
+
+    /**
+     * Reads the Idempotency-Key header of a mutating request.
+     *
+     * @throws \FOSSBilling\InformationException if the key is malformed
+     */
+    private function getIdempotencyKey(): ?string
+    {
+        $key = $_SERVER['HTTP_IDEMPOTENCY_KEY'] ?? null;
+        if ($key === null || $key === '' || $this->di['request']->isMethodSafe()) {
+            return null;
+        }
+
+        if (!preg_match('/^[\x21-\x7E]{1,255}$/', (string) $key)) {
+            throw new \FOSSBilling\InformationException('The Idempotency-Key header must be 1 to 255 printable ASCII characters', null, 882);
+        }
+
+        return $key;
+    }
+
     private function getAuth(): array
     {
         if (isset($_SERVER['HTTP_AUTHORIZATION'])) {
@@ -315,13 +539,13 @@ class Client implements InjectionAwareInterface
         header('X-RateLimit-Remaining: ' . $this->_requests_left);
         if ($e instanceof \Exception) {
             error_log("{$e->getMessage()} {$e->getCode()}.");
-            $code = $e->getCode() ?: 9999;
-            $result = ['result' => null, 'error' => ['message' => $e->getMessage(), 'code' => $code]];
-            $authFailed = [201, 202, 206, 204, 205, 203, 403, 1004, 1002];
+            $result = ['result' => null, 'error' => $this->errorPayload($e)];
+            $code = $result['error']['code'];
+            $authFailed = [201, 202, 206, 204, 205, 203, 207, 403, 1004, 1002];
 
             if (in_array($code, $authFailed)) {
                 header('HTTP/1.1 401 Unauthorized');
-            } elseif ($code == 701 || $code == 879) {
+            } elseif (in_array($code, [701, 879, 880, 881, 882])) {
                 header('HTTP/1.1 400 Bad Request');
             }
         } else {
@@ -331,6 +555,19 @@ class Client implements InjectionAwareInterface
         exit;
     }
 
+    /**
+     * Builds the `error` part of an API response. Errors about specific form fields also list them in `fields`.
+     */
+    private function errorPayload(\Exception $e): array
+    {
+        $error = ['message' => $e->getMessage(), 'code' => $e->getCode() ?: 9999];
+        if ($e instanceof \FOSSBilling\InformationException && $e->getFields()) {
+            $error['fields'] = $e->getFields();
+        }
+
+        return $error;
+    }
+
     private function _getIp()
     {
         return $this->di['request']->getClientIp();
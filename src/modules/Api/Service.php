@@ -11,6 +11,8 @@
 
 namespace Box\Mod\Api;
 
+use FOSSBilling\Validation\Api\RequiredParams;
+
 class Service implements \FOSSBilling\InjectionAwareInterface
 {
     protected ?\Pimple\Container $di = null;
@@ -84,4 +86,149 @@ class Service implements \FOSSBilling\InjectionAwareInterface
 
         return (int) $this->di['db']->getCell($sql, $values);
     }
+
+    /**
+     * Build a catalogue of the API endpoints exposed by the given modules, grouped by role.
+     *
+     * Parameters are read from the RequiredParams attribute and from the `@param`, `@optional`
+     * and `@required` tags of each method's docblock.
+     *
+     * @param array|null $modules module names to include, defaults to the core and active modules
+     *
+     * @return array e.g. `['admin' => ['client/get' => ['description' => '...', 'params' => [...], 'returns' => 'array']]]`
+     */
+    public function getEndpointCatalogue(?array $modules = null): array
+    {
+        $modules ??= $this->di['mod_service']('extension')->getCoreAndActiveModules();
+        sort($modules);
+
+        $catalogue = ['admin' => [], 'client' => [], 'guest' => []];
+        foreach ($modules as $module) {
+            foreach (array_keys($catalogue) as $role) {
+                $class = '\Box\Mod\\' . ucfirst((string) $module) . '\Api\\' . ucfirst($role);
+                if (!class_exists($class)) {
+                    continue;
+                }
+
+                $reflector = new \ReflectionClass($class);
+                foreach ($reflector->getMethods(\ReflectionMethod::IS_PUBLIC) as $method) {
+                    // Skip the helpers inherited from Api_Abstract and anything that cannot be called through Api_Handler.
+                    if ($method->getDeclaringClass()->getName() !== $reflector->getName() || $method->isStatic() || str_starts_with($method->getName(), '_')) {
+                        continue;
+                    }
+
+                    $catalogue[$role][strtolower((string) $module) . '/' . $method->getName()] = $this->describeEndpoint($method);
+                }
+            }
+        }
+
+        return $catalogue;
+    }
+
+    /**
+     * Render TypeScript definitions of the endpoints in a catalogue. They fill in the endpoint
+     * interfaces that library/Api/API.d.ts declares for the JavaScript API client.
+     *
+     * @param array $catalogue the result of getEndpointCatalogue()
+     */
+    public function getEndpointTypings(array $catalogue): string
+    {
+        $lines = [
+            '// Generated by `php console.php api:catalogue`. Do not edit, regenerate it instead.',
+            '',
+            'declare namespace FOSSBillingApi {',
+        ];
+
+        foreach ($catalogue as $role => $endpoints) {
+            $lines[] = '  interface ' . ucfirst((string) $role) . 'Endpoints {';
+            foreach ($endpoints as $endpoint => $definition) {
+                if (!empty($definition['description'])) {
+                    $lines[] = '    /** ' . str_replace('*/', '*\/', (string) $definition['description']) . ' */';
+                }
+
+                $lines[] = "    '{$endpoint}': {";
+                $lines[] = '      params: {';
+                foreach ($definition['params'] as $param) {
+                    $doc = empty($param['description']) ? '' : '/** ' . str_replace('*/', '*\/', (string) $param['description']) . ' */ ';
+                    $lines[] = '        ' . $doc . $param['name'] . ($param['required'] ? '' : '?') . ': ' . $this->getTypeScriptType($param['type']) . ';';
+                }
+                // Many endpoints accept more parameters than their docblocks list.
+                $lines[] = '        [param: string]: any;';
+                $lines[] = '      };';
+                $lines[] = '      result: ' . $this->getTypeScriptType($definition['returns']) . ';';
+                $lines[] = '    };';
+            }
+            $lines[] = '  }';
+        }
+
+        $lines[] = '}';
+
+        return implode("\n", $lines) . "\n";
+    }
+
+    /**
+     * Describe a single API method for the endpoint catalogue.
+     */
+    private function describeEndpoint(\ReflectionMethod $method): array
+    {
+        $docComment = (string) $method->getDocComment();
+
+        $description = '';
+        $params = [];
+        foreach (preg_split('/\R/', $docComment) as $line) {
+            $line = trim(preg_replace('#^\s*(/\*\*|\*/|\*)#', '', $line));
+            if ($line === '' || $line === '/') {
+                continue;
+            }
+
+            if (preg_match('/^@(param|optional|required)\s+(\S+)\s+\$(\w+)\s*-?\s*(.*)$/', $line, $matches)) {
+                // The $data array every API method receives is not a parameter of the endpoint.
+                if ($matches[3] !== 'data') {
+                    $params[$matches[3]] = [
+                        'name' => $matches[3],
+                        'type' => $matches[2],
+                        'required' => $matches[1] === 'required',
+                        'description' => $matches[4],
+                    ];
+                }
+            } elseif ($description === '' && !str_starts_with($line, '@')) {
+                $description = $line;
+            }
+        }
+
+        foreach ($method->getAttributes(RequiredParams::class) as $attribute) {
+            foreach (array_keys($attribute->newInstance()->params) as $name) {
+                $params[$name] = array_merge(['name' => $name, 'type' => 'mixed', 'description' => ''], $params[$name] ?? [], ['required' => true]);
+            }
+        }
+
+        $returns = 'mixed';
+        if (preg_match('/@return\s+(\S+)/', $docComment, $matches)) {
+            $returns = $matches[1];
+        } elseif ($method->getReturnType() instanceof \ReflectionNamedType) {
+            $returns = $method->getReturnType()->getName();
+        }
+
+        return [
+            'description' => $description,
+            'params' => array_values($params),
+            'returns' => $returns,
+        ];
+    }
+
+    /**
+     * Map a PHP docblock type to the closest TypeScript type.
+     */
+    private function getTypeScriptType(string $type): string
+    {
+        $types = array_unique(array_map(fn ($part): string => match (strtolower(ltrim($part, '\\'))) {
+            'int', 'integer', 'float', 'double', 'number' => 'number',
+            'string' => 'string',
+            'bool', 'boolean', 'true', 'false' => 'boolean',
+            'null', 'void' => 'null',
+            default => 'any',
+        }, explode('|', ltrim($type, '?'))));
+
+        return in_array('any', $types) ? 'any' : implode(' | ', $types);
+    }
 }
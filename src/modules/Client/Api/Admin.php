@@ -142,14 +142,14 @@ class Admin extends \Api_Abstract
 
         $service = $this->getService();
         if ($service->emailAlreadyRegistered($data['email'])) {
-            throw new InformationException('This email address is already registered.');
+            throw new InformationException('This email address is already registered.', fields: ['email']);
         }
 
         $validator->isPasswordStrong($data['password']);
 
         $this->di['events_manager']->fire(['event' => 'onBeforeAdminClientCreate', 'params' => $data]);
         $id = $service->adminCreateClient($data);
-        $this->di['events_manager']->fire(['event' => 'onAfterAdminClientCreate', 'params' => $data]);
+        $this->di['events_manager']->fire(['event' => 'onAfterAdminClientCreate', 'params' => array_merge($data, ['id' => $id])]);
 
         return $id;
     }
@@ -222,7 +222,7 @@ class Admin extends \Api_Abstract
             $email = $data['email'];
             $email = $this->di['tools']->validateAndSanitizeEmail($email);
             if ($service->emailAlreadyRegistered($email, $client)) {
-                throw new InformationException('This email address is already registered.');
+                throw new InformationException('This email address is already registered.', fields: ['email']);
             }
         }
 
@@ -304,7 +304,7 @@ class Admin extends \Api_Abstract
     public function change_password($data): bool
     {
         if ($data['password'] != $data['password_confirm']) {
-            throw new InformationException('Passwords do not match');
+            throw new InformationException('Passwords do not match', fields: ['password_confirm']);
         }
 
         $this->di['validator']->isPasswordStrong($data['password']);
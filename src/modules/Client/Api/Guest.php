@@ -63,7 +63,7 @@ class Guest extends \Api_Abstract
         }
 
         if ($data['password'] != $data['password_confirm']) {
-            throw new \FOSSBilling\InformationException('Passwords do not match.');
+            throw new \FOSSBilling\InformationException('Passwords do not match.', fields: ['password_confirm']);
         }
 
         $this->getService()->checkExtraRequiredFields($data);
@@ -76,7 +76,7 @@ class Guest extends \Api_Abstract
         $email = $this->di['tools']->validateAndSanitizeEmail($email);
         $email = strtolower(trim((string) $email));
         if ($service->clientAlreadyExists($email)) {
-            throw new \FOSSBilling\InformationException('This email address is already registered.');
+            throw new \FOSSBilling\InformationException('This email address is already registered.', fields: ['email']);
         }
 
         $client = $service->guestCreateClient($data);
@@ -206,7 +206,7 @@ class Guest extends \Api_Abstract
         $this->di['events_manager']->fire(['event' => 'onBeforeClientProfilePasswordReset', 'params' => $data['hash']]);
 
         if ($data['password'] != $data['password_confirm']) {
-            throw new \FOSSBilling\InformationException('Passwords do not match');
+            throw new \FOSSBilling\InformationException('Passwords do not match', fields: ['password_confirm']);
         }
 
         $reset = $this->di['db']->findOne('ClientPasswordReset', 'hash = ?', [$data['hash']]);
@@ -652,7 +652,7 @@ class Service implements InjectionAwareInterface
             if (!isset($checkArr[$field]) || empty($checkArr[$field])) {
                 $name = ucwords(str_replace('_', ' ', $field));
 
-                throw new InformationException('Field :field cannot be empty', [':field' => $name]);
+                throw new InformationException('Field :field cannot be empty', [':field' => $name], fields: [$field]);
             }
         }
     }
@@ -668,7 +668,7 @@ class Service implements InjectionAwareInterface
                 if (!isset($checkArr[$cFieldName]) || empty($checkArr[$cFieldName])) {
                     $name = isset($cField['title']) && !empty($cField['title']) ? $cField['title'] : ucwords(str_replace('_', ' ', $cFieldName));
 
-                    throw new InformationException('Field :field cannot be empty', [':field' => $name]);
+                    throw new InformationException('Field :field cannot be empty', [':field' => $name], fields: [$cFieldName]);
                 }
             }
         }
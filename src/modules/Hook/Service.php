@@ -15,6 +15,22 @@ use FOSSBilling\InjectionAwareInterface;
 
 class Service implements InjectionAwareInterface
 {
+    /**
+     * Hook events that are published to the live event stream of the admin area, and the names they are published as.
+     * The part of the name before the dot is the module, whose permission staff members need to receive the event.
+     */
+    public const LIVE_EVENTS = [
+        'onAfterClientOpenTicket' => 'support.ticket_created',
+        'onAfterAdminOpenTicket' => 'support.ticket_created',
+        'onAfterClientReplyTicket' => 'support.ticket_replied',
+        'onAfterGuestPublicTicketOpen' => 'support.public_ticket_created',
+        'onAfterAdminInvoicePaymentReceived' => 'invoice.paid',
+        'onAfterClientOrderCreate' => 'order.created',
+        'onAfterAdminOrderCreate' => 'order.created',
+        'onAfterClientSignUp' => 'client.created',
+        'onAfterAdminClientCreate' => 'client.created',
+    ];
+
     protected ?\Pimple\Container $di = null;
 
     public function setDi(\Pimple\Container $di): void
@@ -83,6 +99,87 @@ class Service implements InjectionAwareInterface
         $event->setReturnValue(true);
     }
 
+    /**
+     * Publishes a hook event to the live event stream, if it is one of the LIVE_EVENTS.
+     * Only the IDs from the event parameters are published, the admin area loads the details it needs.
+     *
+     * It takes the event name and parameters rather than the event itself, so batchConnect() does not take it for a listener.
+     *
+     * @param string $hook   the name of the hook event, e.g. `onAfterClientSignUp`
+     * @param array  $params the parameters of the hook event
+     */
+    public function publishLiveEvent(string $hook, array $params): void
+    {
+        $name = self::LIVE_EVENTS[$hook] ?? null;
+        if ($name === null) {
+            return;
+        }
+
+        $data = array_intersect_key($params, array_flip(['id', 'client_id']));
+
+        $entry = $this->di['db']->dispense('HookLiveEvent');
+        $entry->event = $name;
+        $entry->data = json_encode($data);
+        $entry->created_at = date('Y-m-d H:i:s');
+        $this->di['db']->store($entry);
+    }
+
+    /**
+     * Get the live events published after the given one.
+     *
+     * @param int $lastId the ID of the last event the subscriber received
+     */
+    public function getLiveEvents(int $lastId, int $limit = 100): array
+    {
+        $sql = 'SELECT id, event, data, created_at FROM hook_live_event WHERE id > :id ORDER BY id ASC LIMIT ' . $limit;
+        $events = $this->di['db']->getAll($sql, [':id' => $lastId]);
+
+        return array_map(function (array $event): array {
+            $event['id'] = (int) $event['id'];
+            $event['data'] = json_decode($event['data'] ?? '[]', true) ?: [];
+
+            return $event;
+        }, $events);
+    }
+
+    /**
+     * Get the ID of the latest live event, so new subscribers only receive the events published after they connected.
+     */
+    public function getLastLiveEventId(): int
+    {
+        return (int) $this->di['db']->getCell('SELECT MAX(id) FROM hook_live_event');
+    }
+
+    /**
+     * The listener of the LIVE_EVENTS. They have no method of their own, so adding an event to the stream only takes an
+     * entry in LIVE_EVENTS: batchConnect() connects its name to this module and the events manager calls it through here.
+     *
+     * @throws \BadMethodCallException for anything but a LIVE_EVENTS listener
+     */
+    public static function __callStatic(string $name, array $arguments): void
+    {
+        $event = $arguments[0] ?? null;
+        if (!isset(self::LIVE_EVENTS[$name]) || !$event instanceof \Box_Event) {
+            throw new \BadMethodCallException(sprintf('Call to undefined method %s::%s()', self::class, $name));
+        }
+
+        $event->getDi()['mod_service']('hook')->publishLiveEvent($event->getName(), $event->getParameters() ?? []);
+    }
+
+    /**
+     * Removes live events older than a day. Subscribers that were away for longer reload the page anyway.
+     */
+    public static function onBeforeAdminCronRun(\Box_Event $event): void
+    {
+        $di = $event->getDi();
+
+        try {
+            $di['db']->exec('DELETE FROM hook_live_event WHERE created_at <= :created_at', [':created_at' => date('Y-m-d H:i:s', time() - 86_400)]);
+        } catch (\Exception $e) {
+            error_log($e->getMessage());
+        }
+    }
+
     public function batchConnect($mod_name = null): bool
     {
         // Clean up the existing list before we add to it
@@ -106,6 +203,12 @@ class Service implements InjectionAwareInterface
                         $this->connect(['event' => $method->getName(), 'mod' => $mod->getName()]);
                     }
                 }
+
+                if ($mod->getName() === 'hook') {
+                    foreach (array_keys(self::LIVE_EVENTS) as $event) {
+                        $this->connect(['event' => $event, 'mod' => 'hook']);
+                    }
+                }
             }
         }
 
@@ -200,7 +303,8 @@ class Service implements InjectionAwareInterface
                 // Remove listeners that don't exist or aren't actually hooks
                 $s = $mod->getService();
                 $reflector = new \ReflectionClass($s);
-                if (!$reflector->hasMethod($event) || !$this->canBeConnected($reflector->getMethod($event))) {
+                $isLiveEvent = $mod_name === 'hook' && isset(self::LIVE_EVENTS[$event]);
+                if (!$isLiveEvent && (!$reflector->hasMethod($event) || !$this->canBeConnected($reflector->getMethod($event)))) {
                     $this->di['db']->exec($rm_sql, ['id' => $listener['id']]);
 
                     continue;
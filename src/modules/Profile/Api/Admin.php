@@ -107,7 +107,7 @@ class Admin extends \Api_Abstract
         $this->di['validator']->isPasswordStrong($newPassword);
 
         if ($newPassword != $data['confirm_password']) {
-            throw new \FOSSBilling\InformationException('Passwords do not match');
+            throw new \FOSSBilling\InformationException('Passwords do not match', fields: ['confirm_password']);
         }
 
         $staff = $this->getIdentity();
@@ -112,7 +112,7 @@ class Client extends \Api_Abstract
         $this->di['validator']->isPasswordStrong($data['new_password']);
 
         if ($data['new_password'] != $data['confirm_password']) {
-            throw new \FOSSBilling\InformationException('Passwords do not match');
+            throw new \FOSSBilling\InformationException('Passwords do not match', fields: ['confirm_password']);
         }
 
         $client = $this->getIdentity();
@@ -132,7 +132,7 @@ class Service implements InjectionAwareInterface
 
             $clientService = $this->di['mod_service']('client');
             if ($clientService->emailAlreadyRegistered($email, $client)) {
-                throw new \FOSSBilling\InformationException('This email address is already registered.');
+                throw new \FOSSBilling\InformationException('This email address is already registered.', fields: ['email']);
             }
 
             $client->email = $email;
@@ -39,6 +39,53 @@ class Admin extends \Api_Abstract
         return $service->uploadProductFile($model);
     }
 
+    /**
+     * Upload one chunk of a large product file. Uses $_FILES array so make sure your form is
+     * enctype="multipart/form-data". Once every chunk is uploaded, call upload_complete.
+     *
+     * @return bool
+     */
+    #[RequiredParams(['id' => 'Product ID was not passed', 'upload_id' => 'Upload ID was not passed', 'index' => 'Chunk index was not passed'])]
+    public function upload_chunk($data)
+    {
+        $this->di['db']->getExistingModelById('Product', $data['id'], 'Product not found');
+
+        $request = $this->di['request'];
+        if (!$request->files->has('file_data')) {
+            throw new \FOSSBilling\Exception('File was not uploaded.');
+        }
+
+        return $this->getService()->saveUploadChunk((string) $data['upload_id'], (int) $data['index'], $request->files->get('file_data'));
+    }
+
+    /**
+     * Get the chunks received so far for a chunked upload, so an interrupted upload can be resumed.
+     *
+     * @return array the zero-based indexes of the received chunks as `chunks`
+     */
+    #[RequiredParams(['id' => 'Product ID was not passed', 'upload_id' => 'Upload ID was not passed'])]
+    public function upload_status($data)
+    {
+        $this->di['db']->getExistingModelById('Product', $data['id'], 'Product not found');
+
+        return [
+            'chunks' => $this->getService()->getUploadedChunks((string) $data['upload_id']),
+        ];
+    }
+
+    /**
+     * Assemble the chunks of a chunked upload and use the result as the product file.
+     *
+     * @return bool
+     */
+    #[RequiredParams(['id' => 'Product ID was not passed', 'upload_id' => 'Upload ID was not passed', 'filename' => 'File name was not passed', 'total' => 'Number of chunks was not passed'])]
+    public function upload_complete($data)
+    {
+        $model = $this->di['db']->getExistingModelById('Product', $data['id'], 'Product not found');
+
+        return $this->getService()->completeChunkedUpload($model, (string) $data['upload_id'], (string) $data['filename'], (int) $data['total']);
+    }
+
     /**
      * Update downloadable product order with new file.
      * This will change only this order file.
@@ -15,11 +15,23 @@ use FOSSBilling\Environment;
 use FOSSBilling\InjectionAwareInterface;
 use Symfony\Component\Filesystem\Filesystem;
 use Symfony\Component\Filesystem\Path;
+use Symfony\Component\HttpFoundation\File\UploadedFile;
 use Symfony\Component\HttpFoundation\HeaderUtils;
 use Symfony\Component\HttpFoundation\Response;
 
 class Service implements InjectionAwareInterface
 {
+    /**
+     * The most chunks a chunked upload may have. Together with MAX_UPLOAD_CHUNK_SIZE this keeps a single upload
+     * from filling the disk. With the 1 MB chunks of API.js, files of up to about 10 GB can be uploaded.
+     */
+    public const MAX_UPLOAD_CHUNKS = 10_000;
+
+    /**
+     * The largest chunk of a chunked upload in bytes, twice the chunk size API.js uses.
+     */
+    public const MAX_UPLOAD_CHUNK_SIZE = 2 * 1024 * 1024;
+
     protected ?\Pimple\Container $di = null;
     private readonly Filesystem $filesystem;
 
@@ -138,6 +150,28 @@ class Service implements InjectionAwareInterface
         }
     }
 
+    /**
+     * Removes chunked uploads that were abandoned more than a day ago.
+     */
+    public static function onBeforeAdminCronRun(\Box_Event $event): void
+    {
+        $filesystem = new Filesystem();
+        $chunksDir = Path::join(PATH_UPLOADS, '.chunks');
+        if (!$filesystem->exists($chunksDir)) {
+            return;
+        }
+
+        try {
+            foreach (new \FilesystemIterator($chunksDir) as $upload) {
+                if ($upload->isDir() && $upload->getMTime() < time() - 86_400) {
+                    $filesystem->remove($upload->getPathname());
+                }
+            }
+        } catch (\Exception $e) {
+            error_log($e->getMessage());
+        }
+    }
+
     public function toApiArray(\Model_ServiceDownloadable $model, $deep = false, $identity = null): array
     {
         $productService = $this->di['mod_service']('product');
@@ -155,7 +189,6 @@ class Service implements InjectionAwareInterface
 
     public function uploadProductFile(\Model_Product $productModel): bool
     {
-        $productService = $this->di['mod_service']('product');
         $request = $this->di['request'];
 
         if ($request->files->count() == 0) {
@@ -173,10 +206,125 @@ class Service implements InjectionAwareInterface
         $fileSavePath = PATH_UPLOADS;
         $file->move($fileSavePath, $fileNameHash);
 
+        return $this->attachProductFile($productModel, $fileName);
+    }
+
+    /**
+     * Stores one chunk of a chunked product file upload.
+     *
+     * @throws \FOSSBilling\InformationException if the index is out of range or the chunk is larger than MAX_UPLOAD_CHUNK_SIZE
+     * @throws \FOSSBilling\Exception
+     */
+    public function saveUploadChunk(string $uploadId, int $index, UploadedFile $file): bool
+    {
+        if ($index < 0 || $index >= self::MAX_UPLOAD_CHUNKS) {
+            throw new \FOSSBilling\InformationException('Chunk index must be between 0 and :max.', [':max' => self::MAX_UPLOAD_CHUNKS - 1]);
+        }
+
+        $errorCode = $file->getError();
+        if ($errorCode !== UPLOAD_ERR_OK) {
+            throw new \FOSSBilling\Exception('File upload failed: ' . $this->_error_message($errorCode));
+        }
+        if ($file->getSize() > self::MAX_UPLOAD_CHUNK_SIZE) {
+            throw new \FOSSBilling\InformationException('A chunk may be at most :max bytes.', [':max' => self::MAX_UPLOAD_CHUNK_SIZE]);
+        }
+
+        $chunkDir = $this->getChunkDir($uploadId);
+        $this->filesystem->mkdir($chunkDir);
+        $file->move($chunkDir, (string) $index);
+
+        return true;
+    }
+
+    /**
+     * Lists the chunks received so far for a chunked upload.
+     *
+     * @return int[] the zero-based chunk indexes, in ascending order
+     */
+    public function getUploadedChunks(string $uploadId): array
+    {
+        $chunkDir = $this->getChunkDir($uploadId);
+        if (!$this->filesystem->exists($chunkDir)) {
+            return [];
+        }
+
+        $chunks = [];
+        foreach (new \FilesystemIterator($chunkDir) as $chunk) {
+            if (ctype_digit($chunk->getFilename())) {
+                $chunks[] = (int) $chunk->getFilename();
+            }
+        }
+        sort($chunks);
+
+        return $chunks;
+    }
+
+    /**
+     * Joins the chunks of a chunked upload into the product file.
+     *
+     * @throws \FOSSBilling\InformationException if chunks are missing or there are more than MAX_UPLOAD_CHUNKS
+     */
+    public function completeChunkedUpload(\Model_Product $productModel, string $uploadId, string $fileName, int $total): bool
+    {
+        $fileName = basename(str_replace('\\', '/', $fileName));
+        if ($fileName === '' || $total < 1) {
+            throw new \FOSSBilling\InformationException('Invalid chunked upload.');
+        }
+        if ($total > self::MAX_UPLOAD_CHUNKS) {
+            throw new \FOSSBilling\InformationException('An upload may have at most :max chunks.', [':max' => self::MAX_UPLOAD_CHUNKS]);
+        }
+
+        $missing = array_diff(range(0, $total - 1), $this->getUploadedChunks($uploadId));
+        if (!empty($missing)) {
+            throw new \FOSSBilling\InformationException('Upload is incomplete. :count chunk(s) are missing.', [':count' => count($missing)]);
+        }
+
+        $chunkDir = $this->getChunkDir($uploadId);
+        $filePath = Path::join(PATH_UPLOADS, md5($fileName));
+        // Join into the chunk directory, so concurrent uploads of files with the same name don't share a file.
+        $partialPath = Path::join($chunkDir, 'upload.part');
+
+        $output = @fopen($partialPath, 'wb');
+        if ($output === false) {
+            throw new \FOSSBilling\Exception('File upload failed: Failed to write file to disk');
+        }
+
+        try {
+            for ($index = 0; $index < $total; ++$index) {
+                $input = @fopen(Path::join($chunkDir, (string) $index), 'rb');
+                if ($input === false) {
+                    throw new \FOSSBilling\Exception('File upload failed: Chunk :index could not be read', [':index' => $index]);
+                }
+                $copied = stream_copy_to_stream($input, $output);
+                fclose($input);
+                if ($copied === false) {
+                    throw new \FOSSBilling\Exception('File upload failed: Failed to write file to disk');
+                }
+            }
+        } catch (\Exception $e) {
+            fclose($output);
+            $this->filesystem->remove($partialPath);
+
+            throw $e;
+        }
+        fclose($output);
+
+        $this->filesystem->rename($partialPath, $filePath, true);
+        $this->filesystem->remove($chunkDir);
+
+        return $this->attachProductFile($productModel, $fileName);
+    }
+
+    /**
+     * Makes an already stored file the product file, replacing the previous one.
+     */
+    private function attachProductFile(\Model_Product $productModel, string $fileName): bool
+    {
+        $productService = $this->di['mod_service']('product');
         $config = json_decode($productModel->config ?? '', true) ?? [];
 
-        // Remove old file.
-        if (isset($config['filename'])) {
+        // Remove old file, unless the new file has the same name and therefore replaced it already.
+        if (isset($config['filename']) && $config['filename'] !== $fileName) {
             $oldFilePath = Path::join(PATH_UPLOADS, md5((string) $config['filename']));
             if ($this->filesystem->exists($oldFilePath)) {
                 $this->filesystem->remove($oldFilePath);
@@ -262,6 +410,18 @@ class Service implements InjectionAwareInterface
         return true;
     }
 
+    /**
+     * @throws \FOSSBilling\InformationException if the upload ID contains anything but letters, digits, dashes and underscores
+     */
+    private function getChunkDir(string $uploadId): string
+    {
+        if (!preg_match('/^[A-Za-z0-9_-]{8,64}$/', $uploadId)) {
+            throw new \FOSSBilling\InformationException('Invalid upload ID.');
+        }
+
+        return Path::join(PATH_UPLOADS, '.chunks', $uploadId);
+    }
+
     private function _error_message($error_code): string
     {
         return match ($error_code) {
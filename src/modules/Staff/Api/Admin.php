@@ -120,7 +120,7 @@ class Admin extends \Api_Abstract
     public function change_password($data)
     {
         if ($data['password'] != $data['password_confirm']) {
-            throw new \FOSSBilling\InformationException('Passwords do not match');
+            throw new \FOSSBilling\InformationException('Passwords do not match', fields: ['password_confirm']);
         }
 
         $this->di['validator']->isPasswordStrong($data['password']);
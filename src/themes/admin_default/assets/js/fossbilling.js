@@ -83,9 +83,17 @@ globalThis.FOSSBilling = {
 
   //===== Global ajax methods =====//
   document.addEventListener('DOMContentLoaded', function() {
+    // Report JavaScript errors and failed API calls to the front-end error log.
+    API.telemetry.role = 'admin';
+
     // Global error handler for unhandled Promise rejections
     window.addEventListener('unhandledrejection', function(event) {
       const error = event.reason;
+      // Cancelled API requests are intentional and not worth reporting.
+      if (error && error.code === 'cancelled') {
+        return;
+      }
+      API.telemetry.captureError(error, 'rejection');
       let message = 'An unexpected error occurred';
       if (error && typeof error === 'object') {
         message = error.message || error.code || message;
@@ -101,16 +109,12 @@ globalThis.FOSSBilling = {
       if (event && event.error && event.error.message) {
         displayMessage = event.error.message;
       }
+      API.telemetry.captureError(event.error ?? displayMessage);
       FOSSBilling.message(displayMessage, 'error');
     });
 
-    // Attach event listeners to all forms and links with data-fb-api attribute.
-    if (document.querySelector("form[data-fb-api]")) {
-      API._apiForm();
-    };
-    if (document.querySelector("a[data-fb-api]")) {
-      API._apiLink();
-    }
+    // Handle forms and links with the data-fb-api attribute, including those added to the page later.
+    API.bind(document);
 
     // Initialize backToTop
     FOSSBilling.backToTop = backToTop;
@@ -60,6 +60,9 @@ document.addEventListener('DOMContentLoaded', () => {
         return;
       }
 
+      // Only the latest search matters, so a new one cancels the request still in flight.
+      let pendingSearch = null;
+
       new TomSelect(autocompleteSelectorEl, {
         copyClassesToDropdown: false,
         dropdownClass: "dropdown-menu ts-dropdown",
@@ -68,40 +71,34 @@ document.addEventListener('DOMContentLoaded', () => {
         labelField: "label",
         searchField: ["label", "value"],
         load: (query, callback) => {
-          try {
-            const restUrl = new URL(Tools.getBaseURL(autocompleteSelectorEl.dataset.resturl));
-            restUrl.searchParams.append("search", query);
-
-            // Add CSRF token from cookie
-            const csrfTokenMatch = document.cookie.match(/csrf_token=([^;]+)/);
-            const csrfToken = csrfTokenMatch ? csrfTokenMatch[1] : null;
-
-            restUrl.searchParams.append("per_page", 5);
+          if (pendingSearch) {
+            pendingSearch.abort();
+          }
+          pendingSearch = new AbortController();
 
-            fetch(restUrl, {
-              headers: {
-                'X-CSRF-Token': csrfToken || '',
-              }
-            })
-              .then((response) => {
-                if (!response.ok) throw new Error('Network response was not ok');
-                return response.json();
-              })
-              .then((json) => {
-                const items = Object.entries(json.result || {}).map(([key, value]) => ({
-                  label: value,
-                  value: key
-                }));
-                callback(items);
-              })
-              .catch(error => {
-                console.error('Autocomplete fetch error:', error);
-                callback([]);
-              });
+          let restUrl;
+          try {
+            restUrl = Tools.getBaseURL(autocompleteSelectorEl.dataset.resturl);
           } catch (error) {
             console.error('Autocomplete URL error:', error);
             callback([]);
+            return;
           }
+
+          API.makeRequest('GET', restUrl, { search: query, per_page: 5 }, null, null, false, undefined, { signal: pendingSearch.signal })
+            .then((result) => {
+              const items = Object.entries(result || {}).map(([key, value]) => ({
+                label: value,
+                value: key
+              }));
+              callback(items);
+            })
+            .catch((error) => {
+              if (!(error instanceof API.CancelledError)) {
+                console.error('Autocomplete fetch error:', error);
+              }
+              callback([]);
+            });
         },
         render: {
           option: (item, escape) => autocompleteTemplate(item, escape),
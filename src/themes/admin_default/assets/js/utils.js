@@ -201,8 +201,14 @@ export function registerEditor(element, editor) {
     }
   };
 
+  const previous = 'value' in element ? element.value : element.textContent;
   syncEditorData();
-  editor.model.document.on('change:data', syncEditorData);
+  // The editor formats the initial content its own way, which the unsaved changes guard must not take for an edit.
+  element.dispatchEvent(new CustomEvent('fb:editor-ready', { bubbles: true, detail: { editor, previous } }));
+  editor.model.document.on('change:data', () => {
+    syncEditorData();
+    element.dispatchEvent(new Event('input', { bubbles: true }));
+  });
 
   window.FOSSBilling = window.FOSSBilling || {};
   window.FOSSBilling.editors = window.FOSSBilling.editors || {};
@@ -7,11 +7,19 @@ globalThis.bootstrap = { Tooltip, Toast, Modal, Collapse };
 document.addEventListener('DOMContentLoaded', () => {
   initAvatars();
 
+  // Report JavaScript errors and failed API calls to the front-end error log.
+  API.telemetry.role = 'client';
+
   /**
    * Global error handler for unhandled Promise rejections
    */
   window.addEventListener('unhandledrejection', function(event) {
     const error = event.reason;
+    // Cancelled API requests are intentional and not worth reporting.
+    if (error && error.code === 'cancelled') {
+      return;
+    }
+    API.telemetry.captureError(error, 'rejection');
     let message = 'An unexpected error occurred';
     if (error && typeof error === 'object') {
       message = error.message || error.code || message;
@@ -29,6 +37,7 @@ document.addEventListener('DOMContentLoaded', () => {
     if (error && error.message) {
       displayMessage = error.message;
     }
+    API.telemetry.captureError(error ?? displayMessage);
     FOSSBilling.message(displayMessage, 'error');
   };
 
@@ -106,11 +115,6 @@ document.addEventListener('DOMContentLoaded', () => {
       });
   }
 
-  // Attach event listeners to all forms and links with data-fb-api attribute.
-  if (document.querySelector("form[data-fb-api]")) {
-    API._apiForm();
-  };
-  if (document.querySelector("a[data-fb-api]")) {
-    API._apiLink();
-  }
+  // Handle forms and links with the data-fb-api attribute, including those added to the page later.
+  API.bind(document);
 });
@@ -113,6 +113,25 @@ final class FOSSBilling_ValidateTest extends PHPUnit\Framework\TestCase
         $v->checkRequiredParamsForArray($required, $data, $variables);
     }
 
+    public function testCheckRequiredParamsForArrayFields(): void
+    {
+        $data = [
+            'id' => 1,
+        ];
+        $required = [
+            'id' => 'ID must be set',
+            'key' => 'KEY must be set',
+        ];
+        $v = new FOSSBilling\Validate();
+
+        try {
+            $v->checkRequiredParamsForArray($required, $data);
+            $this->fail('The missing parameter was not detected');
+        } catch (FOSSBilling\InformationException $e) {
+            $this->assertEquals(['key' => 'KEY must be set'], $e->getFields());
+        }
+    }
+
     public function testCheckRequiredParamsForArrayErrorCode(): void
     {
         $data = [
@@ -95,6 +95,63 @@ final class AdminTest extends \BBTestCase
         $activity->log_get_list([]);
     }
 
+    public function testErrorGetList(): void
+    {
+        $service = $this->createMock(\Box\Mod\Activity\Service::class);
+        $service->expects($this->atLeastOnce())
+            ->method('getFrontendErrorSearchQuery')
+            ->willReturn(['String', []]);
+
+        $paginatorMock = $this->getMockBuilder(\FOSSBilling\Pagination::class)
+            ->onlyMethods(['getPaginatedResultSet'])
+            ->getMock();
+        $paginatorMock->expects($this->atLeastOnce())
+            ->method('getPaginatedResultSet')
+            ->willReturn([
+                'list' => [
+                    [
+                        'id' => 1,
+                        'client_id' => 2,
+                        'client_name' => 'John Doe',
+                        'client_email' => 'john@example.com',
+                    ],
+                ],
+            ]);
+
+        $di = $this->getDi();
+        $di['pager'] = $paginatorMock;
+
+        $activity = new \Box\Mod\Activity\Api\Admin();
+        $activity->setDi($di);
+        $activity->setService($service);
+        $result = $activity->error_get_list([]);
+
+        $this->assertEquals(['id' => 2, 'name' => 'John Doe', 'email' => 'john@example.com'], $result['list'][0]['client']);
+    }
+
+    public function testErrorDelete(): void
+    {
+        $model = new \Model_ActivityFrontendError();
+        $model->loadBean(new \DummyBean());
+
+        $dbMock = $this->createMock('\Box_Database');
+        $dbMock->expects($this->atLeastOnce())
+            ->method('getExistingModelById')
+            ->with('ActivityFrontendError', 1, 'Error not found')
+            ->willReturn($model);
+        $dbMock->expects($this->atLeastOnce())
+            ->method('trash')
+            ->with($model);
+
+        $di = $this->getDi();
+        $di['db'] = $dbMock;
+
+        $activity = new \Box\Mod\Activity\Api\Admin();
+        $activity->setDi($di);
+
+        $this->assertTrue($activity->error_delete(['id' => 1]));
+    }
+
     public function testLogEmptyMParam(): void
     {
         $di = $this->getDi();
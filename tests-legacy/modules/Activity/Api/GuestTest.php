@@ -0,0 +1,45 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Box\Tests\Mod\Activity\Api;
+
+use PHPUnit\Framework\Attributes\Group;
+
+#[Group('Core')]
+final class GuestTest extends \BBTestCase
+{
+    public function testErrorReport(): void
+    {
+        $reports = [
+            ['type' => 'api', 'message' => 'Network error', 'endpoint' => 'client/order/get_list', 'code' => 'network_error'],
+        ];
+
+        $service = $this->createMock(\Box\Mod\Activity\Service::class);
+        $service->expects($this->atLeastOnce())
+            ->method('logFrontendErrors')
+            ->with($reports)
+            ->willReturn(1);
+
+        $api = new \Box\Mod\Activity\Api\Guest();
+        $api->setService($service);
+
+        $this->assertEquals(1, $api->error_report(['reports' => $reports]));
+    }
+
+    public function testErrorReportMissingReports(): void
+    {
+        $api = new \Box\Mod\Activity\Api\Guest();
+
+        $this->expectException(\FOSSBilling\InformationException::class);
+        $this->validateRequiredParams($api, 'error_report', []);
+    }
+
+    public function testErrorReportInvalidReports(): void
+    {
+        $api = new \Box\Mod\Activity\Api\Guest();
+
+        $this->expectException(\FOSSBilling\InformationException::class);
+        $api->error_report(['reports' => 'Network error']);
+    }
+}
@@ -43,9 +43,8 @@ final class AdminTest extends \BBTestCase
     public function testRegister(): void
     {
         $boxAppMock = $this->getMockBuilder('\Box_App')->disableOriginalConstructor()->getMock();
-        $boxAppMock->expects($this->atLeastOnce())
-            ->method('get')
-            ->with('/activity', 'get_index', [], \Box\Mod\Activity\Controller\Admin::class);
+        $boxAppMock->expects($this->exactly(2))
+            ->method('get');
 
         $controllerAdmin = new \Box\Mod\Activity\Controller\Admin();
         $controllerAdmin->register($boxAppMock);
@@ -66,4 +65,20 @@ final class AdminTest extends \BBTestCase
 
         $controllerAdmin->get_index($boxAppMock);
     }
+
+    public function testGetErrors(): void
+    {
+        $boxAppMock = $this->getMockBuilder('\Box_App')->disableOriginalConstructor()->getMock();
+        $boxAppMock->expects($this->atLeastOnce())
+            ->method('render')
+            ->with('mod_activity_errors');
+
+        $controllerAdmin = new \Box\Mod\Activity\Controller\Admin();
+        $di = $this->getDi();
+        $di['is_admin_logged'] = true;
+
+        $controllerAdmin->setDi($di);
+
+        $controllerAdmin->get_errors($boxAppMock);
+    }
 }
@@ -6,6 +6,7 @@ namespace Box\Tests\Mod\Activity;
 
 use PHPUnit\Framework\Attributes\DataProvider;
 use PHPUnit\Framework\Attributes\Group;
+use Symfony\Component\HttpFoundation\Request;
 
 #[Group('Core')]
 final class ServiceTest extends \BBTestCase
@@ -82,6 +83,93 @@ final class ServiceTest extends \BBTestCase
         $this->assertTrue($result);
     }
 
+    public static function frontendErrorModes(): array
+    {
+        return [
+            ['users', true, 2],
+            ['users', false, 0],
+            ['all', false, 2],
+            ['off', true, 0],
+        ];
+    }
+
+    #[DataProvider('frontendErrorModes')]
+    public function testLogFrontendErrors(string $mode, bool $clientLoggedIn, int $expected): void
+    {
+        $reports = [
+            ['type' => 'error', 'message' => 'x is not a function', 'stack' => 'at main.js:1', 'url' => 'http://localhost/order'],
+            ['type' => 'api', 'message' => 'Network error', 'endpoint' => 'client/order/get_list', 'code' => 'network_error', 'role' => 'client'],
+            ['type' => 'api'],
+        ];
+
+        $extensionService = $this->createMock(\Box\Mod\Extension\Service::class);
+        $extensionService->method('getConfig')->willReturn(['frontend_errors' => $mode]);
+        $extensionService->method('isExtensionActive')->willReturn(false);
+
+        $authMock = $this->getMockBuilder('\Box_Authorization')->disableOriginalConstructor()->getMock();
+        $authMock->method('isClientLoggedIn')->willReturn($clientLoggedIn);
+        $authMock->method('isAdminLoggedIn')->willReturn(false);
+
+        $sessionMock = $this->getMockBuilder(\FOSSBilling\Session::class)->disableOriginalConstructor()->getMock();
+        $sessionMock->method('get')->willReturn(5);
+
+        $model = new \Model_ActivityFrontendError();
+        $model->loadBean(new \DummyBean());
+
+        $dbMock = $this->createMock('Box_Database');
+        $dbMock->expects($this->exactly($expected))
+            ->method('dispense')
+            ->with('ActivityFrontendError')
+            ->willReturn($model);
+        $dbMock->expects($this->exactly($expected))
+            ->method('store');
+
+        $di = $this->getDi();
+        $di['db'] = $dbMock;
+        $di['auth'] = $authMock;
+        $di['session'] = $sessionMock;
+        $di['request'] = Request::create('/api/guest/activity/error_report', 'POST', [], [], [], ['HTTP_USER_AGENT' => 'PHPUnit']);
+        $di['mod_service'] = $di->protect(fn (): \PHPUnit\Framework\MockObject\MockObject => $extensionService);
+
+        $service = new \Box\Mod\Activity\Service();
+        $service->setDi($di);
+
+        $this->assertEquals($expected, $service->logFrontendErrors($reports));
+        if ($expected) {
+            $this->assertEquals('client', $model->role);
+            $this->assertEquals('PHPUnit', $model->user_agent);
+        }
+    }
+
+    public function testLogFrontendErrorsLimitsBatch(): void
+    {
+        $reports = array_fill(0, 50, ['type' => 'error', 'message' => 'x is not a function']);
+
+        $extensionService = $this->createMock(\Box\Mod\Extension\Service::class);
+        $extensionService->method('getConfig')->willReturn(['frontend_errors' => 'all']);
+
+        $authMock = $this->getMockBuilder('\Box_Authorization')->disableOriginalConstructor()->getMock();
+
+        $model = new \Model_ActivityFrontendError();
+        $model->loadBean(new \DummyBean());
+
+        $dbMock = $this->createMock('Box_Database');
+        $dbMock->expects($this->exactly(\Box\Mod\Activity\Service::FRONTEND_ERROR_BATCH_LIMIT))
+            ->method('dispense')
+            ->willReturn($model);
+
+        $di = $this->getDi();
+        $di['db'] = $dbMock;
+        $di['auth'] = $authMock;
+        $di['request'] = Request::create('/api/guest/activity/error_report', 'POST');
+        $di['mod_service'] = $di->protect(fn (): \PHPUnit\Framework\MockObject\MockObject => $extensionService);
+
+        $service = new \Box\Mod\Activity\Service();
+        $service->setDi($di);
+
+        $this->assertEquals(\Box\Mod\Activity\Service::FRONTEND_ERROR_BATCH_LIMIT, $service->logFrontendErrors($reports));
+    }
+
     public function testToApiArray(): void
     {
         $clientHistoryModel = new \Model_ActivityClientHistory();
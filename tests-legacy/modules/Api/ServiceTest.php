@@ -45,4 +45,50 @@ final class ServiceTest extends \BBTestCase
         $this->assertIsInt($result);
         $this->assertEquals($requestNumber, $result);
     }
+
+    public function testGetEndpointCatalogue(): void
+    {
+        $catalogue = $this->service->getEndpointCatalogue(['client']);
+
+        $this->assertEquals(['admin', 'client', 'guest'], array_keys($catalogue));
+        $this->assertArrayHasKey('client/create', $catalogue['guest']);
+        $this->assertArrayNotHasKey('client/setDi', $catalogue['guest']);
+
+        $endpoint = $catalogue['guest']['client/create'];
+        $this->assertEquals('Client signup action.', $endpoint['description']);
+        $this->assertEquals('int', $endpoint['returns']);
+
+        $params = array_column($endpoint['params'], null, 'name');
+        $this->assertTrue($params['email']['required']);
+        $this->assertFalse($params['last_name']['required']);
+        $this->assertEquals('string', $params['last_name']['type']);
+        $this->assertEquals('last name', $params['last_name']['description']);
+    }
+
+    public function testGetEndpointTypings(): void
+    {
+        $catalogue = [
+            'admin' => [
+                'invoice/get' => [
+                    'description' => 'Get an invoice.',
+                    'params' => [
+                        ['name' => 'id', 'type' => 'int', 'required' => true, 'description' => 'Invoice ID'],
+                        ['name' => 'with_items', 'type' => 'bool|null', 'required' => false, 'description' => ''],
+                    ],
+                    'returns' => 'array',
+                ],
+            ],
+            'client' => [],
+            'guest' => [],
+        ];
+
+        $typings = $this->service->getEndpointTypings($catalogue);
+
+        $this->assertStringContainsString('interface AdminEndpoints {', $typings);
+        $this->assertStringContainsString("'invoice/get': {", $typings);
+        $this->assertStringContainsString('/** Invoice ID */ id: number;', $typings);
+        $this->assertStringContainsString('with_items?: boolean | null;', $typings);
+        $this->assertStringContainsString('result: any;', $typings);
+        $this->assertStringContainsString('interface GuestEndpoints {', $typings);
+    }
 }
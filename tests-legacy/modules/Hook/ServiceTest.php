@@ -42,6 +42,92 @@ final class ServiceTest extends \BBTestCase
         $this->assertEquals($arrMock, $result);
     }
 
+    public function testPublishLiveEvent(): void
+    {
+        $model = new \Model_HookLiveEvent();
+        $model->loadBean(new \DummyBean());
+
+        $dbMock = $this->createMock('\Box_Database');
+        $dbMock->expects($this->atLeastOnce())
+            ->method('dispense')
+            ->with('HookLiveEvent')
+            ->willReturn($model);
+        $dbMock->expects($this->atLeastOnce())
+            ->method('store')
+            ->with($model);
+
+        $di = $this->getDi();
+        $di['db'] = $dbMock;
+        $this->service->setDi($di);
+
+        $this->service->publishLiveEvent('onAfterClientSignUp', ['id' => 4, 'email' => 'client@example.com', 'password' => 'secret']);
+
+        $this->assertEquals('client.created', $model->event);
+        $this->assertEquals('{"id":4}', $model->data);
+    }
+
+    public function testPublishLiveEventIgnoresOtherEvents(): void
+    {
+        $dbMock = $this->createMock('\Box_Database');
+        $dbMock->expects($this->never())
+            ->method('dispense');
+
+        $di = $this->getDi();
+        $di['db'] = $dbMock;
+        $this->service->setDi($di);
+
+        $this->service->publishLiveEvent('onAfterAdminInvoiceUpdate', ['id' => 1]);
+    }
+
+    public function testLiveEventListenerPublishesTheEvent(): void
+    {
+        $eventMock = $this->getMockBuilder('\Box_Event')
+            ->onlyMethods(['getName', 'getParameters', 'getDi'])
+            ->disableOriginalConstructor()
+            ->getMock();
+        $eventMock->method('getName')->willReturn('onAfterAdminOrderCreate');
+        $eventMock->method('getParameters')->willReturn(['id' => 7]);
+
+        $hookService = $this->createMock(Service::class);
+        $hookService->expects($this->once())
+            ->method('publishLiveEvent')
+            ->with('onAfterAdminOrderCreate', ['id' => 7]);
+
+        $di = $this->getDi();
+        $di['mod_service'] = $di->protect(fn ($name): \PHPUnit\Framework\MockObject\MockObject => $hookService);
+        $eventMock->method('getDi')->willReturn($di);
+
+        Service::onAfterAdminOrderCreate($eventMock);
+    }
+
+    public function testOnlyLiveEventsHaveAListener(): void
+    {
+        $eventMock = $this->getMockBuilder('\Box_Event')->disableOriginalConstructor()->getMock();
+
+        $this->expectException(\BadMethodCallException::class);
+        Service::onAfterAdminInvoiceUpdate($eventMock);
+    }
+
+    public function testGetLiveEvents(): void
+    {
+        $dbMock = $this->createMock('\Box_Database');
+        $dbMock->expects($this->atLeastOnce())
+            ->method('getAll')
+            ->with($this->stringContains('WHERE id > :id'), [':id' => 7])
+            ->willReturn([
+                ['id' => '8', 'event' => 'invoice.paid', 'data' => '{"id":3}', 'created_at' => '2025-01-01 00:00:00'],
+            ]);
+
+        $di = $this->getDi();
+        $di['db'] = $dbMock;
+        $this->service->setDi($di);
+
+        $result = $this->service->getLiveEvents(7);
+
+        $this->assertSame(8, $result[0]['id']);
+        $this->assertSame(['id' => 3], $result[0]['data']);
+    }
+
     public function testOnAfterAdminActivateExtension(): void
     {
         $eventParams = [
@@ -139,6 +139,69 @@ final class AdminTest extends \BBTestCase
         $this->api->config_save($data);
     }
 
+    public function testUploadStatus(): void
+    {
+        $data = ['id' => 1, 'upload_id' => 'fb-abc-123'];
+
+        $productModel = new \Model_Product();
+        $productModel->loadBean(new \DummyBean());
+
+        $dbMock = $this->getMockBuilder('\Box_Database')->getMock();
+        $dbMock->expects($this->atLeastOnce())
+            ->method('getExistingModelById')
+            ->with('Product', $data['id'], 'Product not found')
+            ->willReturn($productModel);
+
+        $di = new \Pimple\Container();
+        $di['db'] = $dbMock;
+
+        $serviceMock = $this->getMockBuilder('\\' . \Box\Mod\Servicedownloadable\Service::class)->getMock();
+        $serviceMock->expects($this->atLeastOnce())
+            ->method('getUploadedChunks')
+            ->with($data['upload_id'])
+            ->willReturn([0, 1]);
+
+        $this->api->setDi($di);
+        $this->api->setService($serviceMock);
+
+        $result = $this->api->upload_status($data);
+        $this->assertEquals(['chunks' => [0, 1]], $result);
+    }
+
+    public function testUploadComplete(): void
+    {
+        $data = [
+            'id' => 1,
+            'upload_id' => 'fb-abc-123',
+            'filename' => 'test.zip',
+            'total' => 3,
+        ];
+
+        $productModel = new \Model_Product();
+        $productModel->loadBean(new \DummyBean());
+
+        $serviceMock = $this->getMockBuilder('\\' . \Box\Mod\Servicedownloadable\Service::class)->getMock();
+        $serviceMock->expects($this->atLeastOnce())
+            ->method('completeChunkedUpload')
+            ->with($productModel, $data['upload_id'], $data['filename'], $data['total'])
+            ->willReturn(true);
+
+        $dbMock = $this->getMockBuilder('\Box_Database')->getMock();
+        $dbMock->expects($this->atLeastOnce())
+            ->method('getExistingModelById')
+            ->with('Product', $data['id'], 'Product not found')
+            ->willReturn($productModel);
+
+        $di = new \Pimple\Container();
+        $di['db'] = $dbMock;
+
+        $this->api->setDi($di);
+        $this->api->setService($serviceMock);
+
+        $result = $this->api->upload_complete($data);
+        $this->assertTrue($result);
+    }
+
     public function testSendFileProductNotFound(): void
     {
         $data = ['id' => 999];
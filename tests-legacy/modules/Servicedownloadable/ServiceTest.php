@@ -4,6 +4,7 @@ declare(strict_types=1);
 
 namespace Box\Mod\Servicedownloadable;
 
+use PHPUnit\Framework\Attributes\DataProvider;
 use PHPUnit\Framework\Attributes\Group;
 
 #[Group('Core')]
@@ -194,4 +195,39 @@ final class ServiceTest extends \BBTestCase
         $this->assertTrue($updatedConfig['update_orders']);
         $this->assertNotNull($productModel->updated_at);
     }
+
+    public static function outOfRangeChunkIndexes(): array
+    {
+        return [[-1], [Service::MAX_UPLOAD_CHUNKS]];
+    }
+
+    #[DataProvider('outOfRangeChunkIndexes')]
+    public function testSaveUploadChunkRejectsOutOfRangeIndexes(int $index): void
+    {
+        $fileMock = $this->getMockBuilder(\Symfony\Component\HttpFoundation\File\UploadedFile::class)->disableOriginalConstructor()->getMock();
+        $fileMock->expects($this->never())->method('move');
+
+        $this->expectException(\FOSSBilling\InformationException::class);
+        $this->service->saveUploadChunk('upload-0123456789', $index, $fileMock);
+    }
+
+    public function testSaveUploadChunkRejectsOversizedChunks(): void
+    {
+        $fileMock = $this->getMockBuilder(\Symfony\Component\HttpFoundation\File\UploadedFile::class)->disableOriginalConstructor()->getMock();
+        $fileMock->method('getError')->willReturn(UPLOAD_ERR_OK);
+        $fileMock->method('getSize')->willReturn(Service::MAX_UPLOAD_CHUNK_SIZE + 1);
+        $fileMock->expects($this->never())->method('move');
+
+        $this->expectException(\FOSSBilling\InformationException::class);
+        $this->service->saveUploadChunk('upload-0123456789', 0, $fileMock);
+    }
+
+    public function testCompleteChunkedUploadRejectsTooManyChunks(): void
+    {
+        $productModel = new \Model_Product();
+        $productModel->loadBean(new \DummyBean());
+
+        $this->expectException(\FOSSBilling\InformationException::class);
+        $this->service->completeChunkedUpload($productModel, 'upload-0123456789', 'archive.zip', Service::MAX_UPLOAD_CHUNKS + 1);
+    }
 }
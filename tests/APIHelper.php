@@ -102,6 +102,14 @@ class Response
         return intval($this->decodedResponse['error']['code'] ?? 0);
     }
 
+    /**
+     * Returns the error messages by field name, for errors about specific form fields.
+     */
+    public function getErrorFields(): array
+    {
+        return $this->decodedResponse['error']['fields'] ?? [];
+    }
+
     public function getError(): string
     {
         return $this->getErrorMessage() . ' (Code ' . $this->getErrorCode() . ')';
@@ -0,0 +1,50 @@
+<?php
+
+declare(strict_types=1);
+
+namespace ApiTests;
+
+use APIHelper\Request;
+use PHPUnit\Framework\TestCase;
+
+final class BatchTest extends TestCase
+{
+    public function testBatchRunsEachCall(): void
+    {
+        $result = Request::makeRequest('batch', [
+            'requests' => [
+                ['role' => 'guest', 'endpoint' => 'system/version'],
+                ['role' => 'guest', 'endpoint' => 'system/missing'],
+            ],
+        ], 'guest');
+
+        $this->assertTrue($result->wasSuccessful(), $result->generatePHPUnitMessage());
+        [$version, $missing] = $result->getResult();
+        $this->assertNull($version['error']);
+        $this->assertNotNull($missing['error']);
+    }
+
+    public function testLoginsAreRejectedInBatches(): void
+    {
+        $result = Request::makeRequest('batch', [
+            'requests' => [
+                ['role' => 'guest', 'endpoint' => 'client/login', 'params' => ['email' => 'client@example.com', 'password' => 'wrong']],
+                ['role' => 'guest', 'endpoint' => 'staff/login', 'params' => ['email' => 'admin@example.com', 'password' => 'wrong']],
+            ],
+        ], 'guest');
+
+        $this->assertTrue($result->wasSuccessful(), $result->generatePHPUnitMessage());
+        foreach ($result->getResult() as $entry) {
+            $this->assertSame(882, $entry['error']['code']);
+        }
+    }
+
+    public function testInvalidBatchesAreReportedAsApiErrors(): void
+    {
+        $result = Request::makeRequest('batch', ['requests' => 'system/version'], 'guest');
+
+        $this->assertSame(400, $result->getHttpCode());
+        $this->assertFalse($result->wasSuccessful());
+        $this->assertSame(880, $result->getErrorCode());
+    }
+}
@@ -32,6 +32,31 @@ final class GuestTest extends TestCase
         $this->assertTrue($result->getResult());
     }
 
+    public function testMismatchedPasswordsAreReportedForTheConfirmationField(): void
+    {
+        $password = 'A1a' . bin2hex(random_bytes(6));
+        $result = Request::makeRequest('guest/client/create', [
+            'email' => 'test@example.com',
+            'first_name' => 'Test',
+            'password' => $password,
+            'password_confirm' => $password . 'x',
+        ]);
+
+        $this->assertFalse($result->wasSuccessful(), $result->generatePHPUnitMessage());
+        $this->assertSame(['password_confirm' => $result->getErrorMessage()], $result->getErrorFields());
+    }
+
+    public function testMissingParametersAreReportedForTheirField(): void
+    {
+        $result = Request::makeRequest('guest/client/create', [
+            'email' => 'test@example.com',
+            'password' => 'A1a' . bin2hex(random_bytes(6)),
+        ]);
+
+        $this->assertFalse($result->wasSuccessful(), $result->generatePHPUnitMessage());
+        $this->assertArrayHasKey('first_name', $result->getErrorFields());
+    }
+
     public function testPhoneCCMustBeGreaterThanZero(): void
     {
         // Generate a new test user
@@ -0,0 +1,314 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment, MockApi } = require('./helpers/environment');
+
+describe('API.js', () => {
+  let env;
+
+  beforeEach(async () => {
+    env = await createEnvironment({ cookie: 'csrf_token=token123' });
+  });
+
+  afterEach(() => env.close());
+
+  test('replays recorded fixtures', async () => {
+    const company = await env.API.guest.get('system/company', {}, { loader: false });
+
+    assert.equal(company.name, 'Example Hosting');
+    assert.equal(env.api.callsTo('guest/system/company').length, 1);
+  });
+
+  test('turns recorded errors into ApiError', async () => {
+    await assert.rejects(env.API.guest.post('client/login', { email: 'john@example.com', password: 'wrong' }, { loader: false }), (error) => {
+      assert.ok(error instanceof env.API.ApiError);
+      assert.equal(error.message, 'Please check your login details.');
+      assert.equal(error.code, 401);
+      return true;
+    });
+  });
+
+  test('sends GET parameters in the query string and POST parameters as JSON', async () => {
+    env.api.on('admin/client/get', params => ({ id: Number(params.id), first_name: 'John' }));
+    env.api.on('admin/client/update', true);
+
+    assert.equal((await env.API.admin.get('client/get', { id: 1 }, { loader: false })).id, 1);
+    assert.equal(await env.API.admin.post('client/update', { id: 1, first_name: 'Jane' }, { loader: false }), true);
+
+    const [update] = env.api.callsTo('admin/client/update');
+    assert.equal(update.method, 'POST');
+    assert.equal(update.params.first_name, 'Jane');
+    assert.equal(update.params.CSRFToken, 'token123');
+    assert.equal(update.headers['x-csrf-token'], 'token123');
+  });
+
+  test('calls the success and error handlers', async () => {
+    env.api.on('admin/client/delete', MockApi.error('Client not found', 404));
+
+    const errors = [];
+    await env.API.admin.post('client/delete', { id: 9 }, null, error => errors.push(error), false).catch(() => null);
+
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].message, 'Client not found');
+  });
+
+  test('sends batches in one call', async () => {
+    env.api.on('admin/client/get', { id: 1 });
+
+    const [company, client, missing] = env.API.batch([
+      ['guest', 'system/company'],
+      ['admin', 'client/get', { id: 1 }],
+      ['admin', 'client/missing']
+    ], { loader: false });
+
+    assert.equal((await company).name, 'Example Hosting');
+    assert.deepEqual(await client, { id: 1 });
+    await assert.rejects(missing, error => error.code === 879);
+    assert.equal(env.api.calls.filter(call => call.batch).length, 3);
+  });
+
+  test('rejects logins inside a batch and reports invalid batches as API errors', async () => {
+    const [login] = env.API.batch([['guest', 'staff/login', { email: 'admin@example.com', password: 'secret' }]], { loader: false });
+    await assert.rejects(login, error => error instanceof env.API.ApiError && error.code === 882);
+    assert.equal(env.api.callsTo('guest/staff/login').length, 0);
+
+    const tooMany = env.API.batch(Array.from({ length: 21 }, () => ['guest', 'system/company']), { loader: false });
+    await Promise.all(tooMany.map(call => assert.rejects(call, (error) => {
+      assert.ok(error instanceof env.API.ApiError);
+      assert.equal(error.code, 881);
+      return true;
+    })));
+  });
+
+  test('asks to log in again when the session expired and replays the call with the new CSRF token', async () => {
+    const prompts = [];
+    env.API.session.prompt = (role, login) => {
+      prompts.push(role);
+      return login('admin@example.com', 'secret').then(() => { env.document.cookie = 'csrf_token=fresh456'; });
+    };
+    env.api.on('guest/staff/login', true);
+    let calls = 0;
+    env.api.on('admin/client/update', () => ++calls === 1 ? MockApi.error('Session expired', 207) : true);
+
+    // Forms send their fields as a JSON string, including the token of the expired session.
+    const Tools = env.global('Tools');
+    const result = await env.API.makeRequest('POST', Tools.getBaseURL('admin/client/update'), JSON.stringify({ id: 1, CSRFToken: 'token123' }), null, null, false);
+
+    assert.equal(result, true);
+    assert.deepEqual(prompts, ['admin']);
+    const [expired, replayed] = env.api.callsTo('admin/client/update');
+    assert.equal(expired.params.CSRFToken, 'token123');
+    assert.equal(replayed.params.CSRFToken, 'fresh456');
+    assert.equal(replayed.params.id, 1);
+  });
+
+  test('sends the same Idempotency-Key with the retries of a call and a new one once the window is over', async () => {
+    let attempts = 0;
+    env.api.on('client/cart/add_item', () => ++attempts === 1 ? MockApi.response('', { status: 503 }) : true);
+    env.API.retry.baseDelay = 1;
+    env.API.idempotency.window = 20;
+
+    await env.API.client.post('cart/add_item', { id: 1 }, { loader: false, retry: 1 });
+    await env.settle(40);
+    await env.API.client.post('cart/add_item', { id: 1 }, { loader: false });
+
+    const keys = env.api.callsTo('client/cart/add_item').map(call => call.headers['idempotency-key']);
+    assert.equal(keys.length, 3);
+    assert.ok(keys[0]);
+    assert.equal(keys[1], keys[0]);
+    assert.notEqual(keys[2], keys[0]);
+    assert.equal(attempts, 3);
+  });
+
+  test('runs an identical call made right after another only once', async () => {
+    let created = 0;
+    env.api.on('client/support/ticket_create', () => ++created);
+
+    const ticket = { subject: 'Help', content: 'My server is down' };
+    const [first, second] = await Promise.all([
+      env.API.client.post('support/ticket_create', ticket, { loader: false }),
+      env.API.client.post('support/ticket_create', Object.assign({}, ticket), { loader: false })
+    ]);
+    await env.API.client.post('support/ticket_create', { subject: 'Another question', content: 'Hi' }, { loader: false });
+
+    assert.equal(env.api.callsTo('client/support/ticket_create').length, 3);
+    assert.equal(created, 2);
+    assert.equal(first, 1);
+    assert.equal(second, 1);
+  });
+
+  test('reports responses that are not JSON', async () => {
+    env.api.on('guest/system/version', MockApi.response('<html></html>', { headers: { 'Content-Type': 'text/html' } }));
+
+    await assert.rejects(env.API.guest.get('system/version', {}, { loader: false }), error => error instanceof env.API.InvalidResponseError);
+  });
+
+  test('shows the loader while a call is running', async () => {
+    let release;
+    env.api.on('admin/system/version', () => new Promise((resolve) => { release = resolve; }));
+
+    const call = env.API.admin.get('system/version');
+    await env.settle();
+    assert.ok(env.document.querySelector('.spinner-border'));
+
+    release('0.0.1');
+    assert.equal(await call, '0.0.1');
+    assert.equal(env.document.querySelector('.spinner-border'), null);
+  });
+
+  test('logs the error of a replayed call once', async () => {
+    env.API.session.prompt = (role, login) => login('admin@example.com', 'secret');
+    env.api.on('guest/staff/login', true);
+    let calls = 0;
+    env.api.on('admin/client/delete', () => ++calls === 1 ? MockApi.error('Session expired', 207) : MockApi.error('Client not found', 404));
+
+    await assert.rejects(env.API.admin.post('client/delete', { id: 9 }, { loader: false }), error => error.code === 404);
+
+    assert.deepEqual(JSON.parse(JSON.stringify(env.logs)), [{ level: 'error', message: 'API Error: Client not found' }]);
+  });
+
+  test('reports network, HTTP and unexpected API errors, but not the errors users cause', async () => {
+    env.API.telemetry.enabled = true;
+    env.API.session.enabled = false;
+    env.api.on('admin/client/update', MockApi.error('Email is invalid', 9999, { email: 'Email is invalid' }));
+    env.api.on('admin/client/get', MockApi.error('Session expired', 207));
+    env.api.on('admin/client/delete', MockApi.error('Call to a member function on null', 9999));
+    env.api.on('admin/client/get_list', MockApi.response('Server error', { status: 500 }));
+    env.api.on('guest/activity/error_report', 2);
+
+    await env.API.admin.post('client/update', { email: 'john@' }, { loader: false }).catch(() => null);
+    await env.API.admin.get('client/get', { id: 1 }, { loader: false }).catch(() => null);
+    await env.API.admin.post('client/delete', { id: 1 }, { loader: false }).catch(() => null);
+    await env.API.admin.get('client/get_list', {}, { loader: false, retry: false }).catch(() => null);
+    await env.API.telemetry.flush();
+
+    const [report] = env.api.callsTo('guest/activity/error_report');
+    assert.deepEqual(report.params.reports.map(entry => entry.endpoint), ['admin/client/delete', 'admin/client/get_list']);
+  });
+
+  test('retries GET calls that fail with 503 and leaves other calls alone', async () => {
+    env.API.retry.baseDelay = 1;
+    let attempts = 0;
+    env.api.on('admin/system/version', () => ++attempts < 3 ? MockApi.response('', { status: 503 }) : '0.0.1');
+    env.api.on('admin/client/update', MockApi.response('', { status: 503 }));
+
+    assert.equal(await env.API.admin.get('system/version', {}, { loader: false }), '0.0.1');
+    assert.equal(env.api.callsTo('admin/system/version').length, 3);
+
+    await assert.rejects(env.API.admin.post('client/update', { id: 1 }, { loader: false }), error => error instanceof env.API.HttpError && error.status === 503);
+    assert.equal(env.api.callsTo('admin/client/update').length, 1);
+  });
+
+  test('cancels calls with abort() without calling the error handler', async () => {
+    env.api.on('admin/client/get_list', () => new Promise(() => {}));
+    const url = env.global('Tools').getBaseURL('admin/client/get_list');
+    const errors = [];
+
+    const call = env.API.makeRequest('GET', url, {}, null, null, false);
+    const handled = env.API.makeRequest('POST', url, {}, null, error => errors.push(error), false);
+    call.abort();
+    handled.abort();
+
+    await assert.rejects(call, error => error instanceof env.API.CancelledError);
+    assert.equal(await handled, undefined);
+    assert.equal(errors.length, 0);
+  });
+
+  test('fetches no page of a paginated list when its signal is already aborted', async () => {
+    env.api.on('admin/invoice/get_list', { list: [{ id: 1 }], page: 1, pages: 1, total: 1 });
+    const controller = new env.window.AbortController();
+    controller.abort();
+
+    const iterate = async () => {
+      for await (const invoice of env.API.admin.paginate('invoice/get_list', {}, { signal: controller.signal })) {
+        assert.fail(`Unexpected invoice ${invoice.id}`);
+      }
+    };
+
+    await assert.rejects(iterate(), error => error instanceof env.API.CancelledError);
+    assert.equal(env.api.callsTo('admin/invoice/get_list').length, 0);
+  });
+
+  test('shares identical GET calls in flight and caches results until a call invalidates them', async () => {
+    env.api.on('admin/client/get', params => ({ id: Number(params.id) }));
+    env.api.on('admin/client/update', true);
+    env.API.cache.invalidateOn('client/update', 'client/get');
+    const get = options => env.API.admin.get('client/get', { id: 1 }, Object.assign({ loader: false }, options));
+
+    const [first, second] = await Promise.all([get(), get()]);
+    assert.deepEqual(first, { id: 1 });
+    assert.deepEqual(second, { id: 1 });
+    assert.equal(env.api.callsTo('admin/client/get').length, 1);
+
+    await get({ cache: true });
+    await get({ cache: true });
+    assert.equal(env.api.callsTo('admin/client/get').length, 2);
+
+    await env.API.admin.post('client/update', { id: 1 }, { loader: false });
+    await get({ cache: true });
+    assert.equal(env.api.callsTo('admin/client/get').length, 3);
+  });
+
+  test('runs request and response interceptors until they are ejected', async () => {
+    env.api.on('admin/system/version', MockApi.error('Maintenance mode', 9999));
+    const request = env.API.interceptors.request.use((config) => {
+      config.headers['X-Request-Source'] = 'test';
+    });
+    const response = env.API.interceptors.response.use(null, () => ({ data: { result: 'offline', error: null }, result: 'offline' }));
+
+    assert.equal(await env.API.admin.get('system/version', {}, { loader: false }), 'offline');
+    assert.equal(env.api.callsTo('admin/system/version')[0].headers['x-request-source'], 'test');
+
+    env.API.interceptors.request.eject(request);
+    env.API.interceptors.response.eject(response);
+
+    await assert.rejects(env.API.admin.get('system/version', {}, { loader: false }), error => error instanceof env.API.ApiError);
+    assert.equal(env.api.callsTo('admin/system/version')[1].headers['x-request-source'], undefined);
+  });
+
+  test('queues calls made offline and sends them with their Idempotency-Key once back online', async () => {
+    env.close();
+    env = await createEnvironment({ cookie: 'csrf_token=token123', indexedDB: true });
+    const fetch = env.window.fetch;
+    env.window.fetch = () => Promise.reject(new TypeError('Failed to fetch'));
+    env.api.on('client/support/ticket_create', 7);
+
+    const call = env.API.client.post('support/ticket_create', { subject: 'Help' }, { loader: false, offline: true });
+    await env.settle();
+    const queued = await env.API.offline.list();
+    assert.equal(queued.length, 1);
+    assert.equal(queued[0].params.json.subject, 'Help');
+
+    env.window.fetch = fetch;
+    env.window.dispatchEvent(new env.window.Event('online'));
+
+    assert.equal(await call, 7);
+    const [sent] = env.api.callsTo('client/support/ticket_create');
+    assert.equal(sent.headers['idempotency-key'], queued[0].idempotencyKey);
+    assert.equal(sent.params.CSRFToken, 'token123');
+    // Joins the flush started by the online event, which resolves with the number of calls still queued.
+    assert.equal(await env.API.offline.flush(), 0);
+  });
+
+  test('queues the same call made twice while offline once and sends it once', async () => {
+    env.close();
+    env = await createEnvironment({ cookie: 'csrf_token=token123', indexedDB: true });
+    const fetch = env.window.fetch;
+    env.window.fetch = () => Promise.reject(new TypeError('Failed to fetch'));
+    env.api.on('client/support/ticket_reply', 3);
+
+    const reply = () => env.API.client.post('support/ticket_reply', { id: 1, content: 'Thanks!' }, { loader: false, offline: true });
+    const first = reply();
+    await env.settle();
+    const second = reply();
+    await env.settle();
+    assert.equal((await env.API.offline.list()).length, 1);
+
+    env.window.fetch = fetch;
+    env.window.dispatchEvent(new env.window.Event('online'));
+
+    assert.equal(await first, 3);
+    assert.equal(await second, 3);
+    assert.equal(await env.API.offline.flush(), 0);
+    assert.equal(env.api.callsTo('client/support/ticket_reply').length, 1);
+  });
+});
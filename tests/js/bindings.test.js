@@ -0,0 +1,80 @@
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment } = require('./helpers/environment');
+
+const SCRIPTS = ['bootstrap', 'modals', 'admin_default'];
+
+const PAGE = `
+  <div class="toast-container"></div>
+  <div id="content"></div>
+`;
+
+const FORM = `
+  <form method="post" action="api/admin/client/update" data-fb-api='{"message": "Client updated"}'>
+    <input name="id" value="1">
+    <button type="submit">Update</button>
+  </form>
+`;
+
+describe('API.bind()', () => {
+  let env;
+
+  afterEach(() => env.close());
+
+  test('handles forms and links added after the page loaded', async () => {
+    env = await createEnvironment({ html: PAGE, scripts: SCRIPTS });
+    env.api.on('admin/client/update', true).on('admin/client/delete', true);
+
+    const content = env.document.querySelector('#content');
+    content.innerHTML = `${FORM}<a href="api/admin/client/delete?id=1" data-fb-api='{"message": "Client deleted"}'><span>Delete</span></a>`;
+    content.querySelector('form').requestSubmit();
+    content.querySelector('a span').click();
+    await env.settle();
+
+    assert.equal(env.api.callsTo('admin/client/update').length, 1);
+    assert.equal(env.api.callsTo('admin/client/delete').length, 1);
+    assert.match(env.document.querySelector('.toast-container').textContent, /Client updated/);
+  });
+
+  test('handles forms in modals', async () => {
+    env = await createEnvironment({ html: PAGE, scripts: SCRIPTS });
+    env.api.on('admin/client/update', true);
+
+    env.global('Modals').create({ type: 'default', title: 'Edit client', content: FORM });
+    env.document.querySelector('.modal form').requestSubmit();
+    await env.settle();
+
+    assert.equal(env.api.callsTo('admin/client/update').length, 1);
+  });
+
+  test('handles each event once when bound roots are nested', async () => {
+    env = await createEnvironment({ html: PAGE, scripts: SCRIPTS });
+    env.api.on('admin/client/update', true);
+    const content = env.document.querySelector('#content');
+    content.innerHTML = FORM;
+
+    env.API.bind(content);
+    env.API.bind(content);
+    content.querySelector('form').requestSubmit();
+    await env.settle();
+
+    assert.equal(env.api.callsTo('admin/client/update').length, 1);
+  });
+
+  test('stops handling unbound roots', async () => {
+    env = await createEnvironment({ html: PAGE, scripts: SCRIPTS });
+    env.api.on('admin/client/update', true);
+    const content = env.document.querySelector('#content');
+    content.innerHTML = FORM;
+    let submitted = false;
+    // jsdom cannot navigate, so the default action of the form is cancelled here instead.
+    env.document.addEventListener('submit', (event) => { submitted = true; event.preventDefault(); });
+
+    env.API.unbind(env.document);
+    content.querySelector('form').requestSubmit();
+    await env.settle();
+
+    assert.ok(submitted);
+    assert.equal(env.api.calls.length, 0);
+  });
+});
@@ -0,0 +1,130 @@
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment } = require('./helpers/environment');
+
+const SCRIPTS = ['bootstrap', 'modals', 'admin_default'];
+
+const FORM = `
+  <form method="post" action="api/admin/email/template_update" data-fb-api='{"message": "Template updated", "autosave": "email-template-1"}'>
+    <input type="hidden" name="id" value="1">
+    <input name="subject" value="Welcome">
+    <textarea name="content">Hello</textarea>
+    <input type="password" name="password" value="">
+    <button type="submit">Update</button>
+  </form>
+`;
+
+const PAGE = `
+  <div class="toast-container"></div>
+  ${FORM}
+  <form method="get" action="/admin/client" data-fb-api><input name="search"></form>
+  <form method="post" action="api/admin/client/update" data-fb-api='{"guard": false}'><input name="notes"></form>
+  <a id="internal" href="/admin/client">Clients</a>
+  <a id="external" href="https://example.com/">Example</a>
+  <a id="anchor" href="#variables">Variables</a>
+`;
+
+describe('data-fb-api unsaved changes', () => {
+  let env;
+
+  afterEach(() => env.close());
+
+  const load = async (html = PAGE) => {
+    env = await createEnvironment({ html, scripts: SCRIPTS });
+    env.API.changes.enabled = true;
+    env.API.changes.autosaveDelay = 10;
+  };
+  const $ = selector => env.document.querySelector(selector);
+  const type = (selector, value) => {
+    $(selector).value = value;
+    $(selector).dispatchEvent(new env.window.Event('input', { bubbles: true }));
+  };
+  const unload = () => {
+    const event = new env.window.Event('beforeunload', { cancelable: true });
+    env.window.dispatchEvent(event);
+    return event.defaultPrevented;
+  };
+  const click = (selector) => {
+    const event = new env.window.MouseEvent('click', { bubbles: true, cancelable: true, button: 0 });
+    $(selector).dispatchEvent(event);
+    return event.defaultPrevented;
+  };
+  const saved = () => JSON.parse(env.window.localStorage.getItem('fb-autosave:email-template-1'));
+
+  test('warns before leaving a page with changed forms', async () => {
+    await load();
+    assert.equal(unload(), false);
+
+    type('[name="search"]', 'john');
+    type('[name="notes"]', 'VIP');
+    assert.equal(unload(), false);
+
+    type('[name="subject"]', 'Welcome!');
+    assert.equal(unload(), true);
+    assert.ok($('form').hasAttribute('data-fb-dirty'));
+
+    // Undoing the changes is no change.
+    type('[name="subject"]', 'Welcome');
+    assert.equal(unload(), false);
+    assert.equal($('form').hasAttribute('data-fb-dirty'), false);
+
+    // The editor's formatting of the initial content is no change either.
+    $('[name="content"]').value = '<p>Hello</p>';
+    $('[name="content"]').dispatchEvent(new env.window.CustomEvent('fb:editor-ready', { bubbles: true, detail: { previous: 'Hello' } }));
+    assert.equal(env.API.changes.isDirty(), false);
+  });
+
+  test('asks with a modal before following links to other pages', async () => {
+    await load();
+    type('[name="password"]', 'secret');
+
+    assert.equal(click('#external'), false);
+    assert.equal(click('#anchor'), false);
+    assert.equal(click('#internal'), true);
+
+    const modal = $('.modal');
+    assert.match(modal.textContent, /The changes you made have not been saved/);
+    modal.querySelector('#confirm-button').click();
+
+    // jsdom cannot navigate, but reports the attempt.
+    assert.ok(env.errors.some(error => /navigation/i.test(error.message)));
+    assert.equal(unload(), false);
+  });
+
+  test('autosaves the changes and forgets them once the form is submitted', async () => {
+    await load();
+    env.api.on('admin/email/template_update', true);
+
+    type('[name="subject"]', 'Welcome!');
+    type('[name="password"]', 'secret');
+    await env.settle();
+
+    // Passwords are never stored.
+    assert.deepEqual(saved().values, { subject: ['Welcome!'], content: ['Hello'] });
+
+    $('form').requestSubmit();
+    await env.settle();
+
+    assert.match($('.toast-container').textContent, /Template updated/);
+    assert.equal(saved(), null);
+    assert.equal(unload(), false);
+  });
+
+  test('offers to restore autosaved changes', async () => {
+    await load('<div class="toast-container"></div><div id="content"></div>');
+    env.window.localStorage.setItem('fb-autosave:email-template-1', JSON.stringify({
+      savedAt: Date.now(),
+      values: { subject: ['Welcome back'], content: ['Hello again'] }
+    }));
+
+    $('#content').innerHTML = FORM;
+    await env.settle();
+
+    assert.match($('.modal').textContent, /Restore unsaved changes\?/);
+    $('.modal #confirm-button').click();
+
+    assert.equal($('[name="subject"]').value, 'Welcome back');
+    assert.equal($('[name="content"]').value, 'Hello again');
+    assert.equal(env.API.changes.isDirty($('form')), true);
+  });
+});
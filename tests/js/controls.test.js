@@ -0,0 +1,106 @@
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment, MockApi } = require('./helpers/environment');
+
+const SCRIPTS = ['bootstrap', 'modals', 'admin_default'];
+
+const PAGE = `
+  <div class="toast-container"></div>
+  <button type="button" class="approve" data-fb-api='{"endpoint": "admin/order/activate", "params": {"id": 1}, "message": "Order activated"}'>Activate</button>
+  <button type="button" class="delete" data-fb-api='{"endpoint": "admin/order/delete", "params": {"id": 1}, "modal": {"type": "confirm", "title": "Delete order?"}, "message": "Order deleted"}'>Delete</button>
+  <select name="status" data-fb-api='{"endpoint": "admin/support/ticket_update", "params": {"id": 1}, "message": "Status changed"}'>
+    <option value="open" selected>Open</option>
+    <option value="closed">Closed</option>
+  </select>
+  <input type="checkbox" name="enabled" data-fb-api='{"endpoint": "admin/product/update", "params": {"id": 1}, "message": "Product updated"}'>
+  <input type="checkbox" name="privacy" checked data-fb-api='{"endpoint": "admin/servicedomain/update", "on": {"privacy": "enabled"}, "off": {"privacy": "disabled"}, "message": "Saved"}'>
+  <input type="text" name="notes" data-fb-api='{"endpoint": "admin/client/update", "params": {"id": 1}, "debounce": 50, "message": "Notes saved"}'>
+`;
+
+describe('data-fb-api controls', () => {
+  let env;
+
+  afterEach(() => env.close());
+
+  const load = () => createEnvironment({ html: PAGE, scripts: SCRIPTS });
+  const $ = selector => env.document.querySelector(selector);
+  const change = (element, type = 'change') => element.dispatchEvent(new env.window.Event(type, { bubbles: true }));
+  const toasts = () => $('.toast-container').textContent;
+  // POST calls carry the CSRF token too.
+  const paramsOf = (call) => {
+    const { CSRFToken, ...params } = call.params;
+    return params;
+  };
+
+  test('calls the API when buttons are clicked', async () => {
+    env = await load();
+    env.api.on('admin/order/activate', true).on('admin/order/delete', true);
+
+    $('.approve').click();
+    $('.delete').click();
+    await env.settle();
+
+    const [call] = env.api.callsTo('admin/order/activate');
+    assert.equal(call.method, 'POST');
+    assert.deepEqual(paramsOf(call), { id: 1 });
+    assert.match(toasts(), /Order activated/);
+    // Buttons ask for confirmation like links do.
+    assert.equal(env.api.callsTo('admin/order/delete').length, 0);
+
+    $('.modal #confirm-button').click();
+    await env.settle();
+    assert.equal(env.api.callsTo('admin/order/delete').length, 1);
+  });
+
+  test('sends the value of selects when it changes and restores it when the call fails', async () => {
+    env = await load();
+    env.api.on('admin/support/ticket_update', params => params.status === 'closed' ? true : MockApi.error('Invalid status'));
+    const select = $('select');
+
+    select.value = 'closed';
+    change(select);
+    await env.settle();
+    assert.deepEqual(paramsOf(env.api.callsTo('admin/support/ticket_update')[0]), { id: 1, status: 'closed' });
+    assert.equal(select.disabled, false);
+
+    select.value = 'open';
+    change(select);
+    await env.settle();
+    assert.equal(select.value, 'closed');
+    assert.match(toasts(), /Invalid status/);
+  });
+
+  test('sends the on and off values of checkboxes and reverts them when the call fails', async () => {
+    env = await load();
+    env.api.on('admin/product/update', MockApi.error('Product not found', 404)).on('admin/servicedomain/update', true);
+    const enabled = $('[name=enabled]');
+    const privacy = $('[name=privacy]');
+
+    enabled.click();
+    privacy.click();
+    await env.settle();
+
+    assert.deepEqual(paramsOf(env.api.callsTo('admin/product/update')[0]), { id: 1, enabled: 1 });
+    assert.equal(enabled.checked, false);
+    assert.deepEqual(paramsOf(env.api.callsTo('admin/servicedomain/update')[0]), { privacy: 'disabled' });
+    assert.equal(privacy.checked, false);
+  });
+
+  test('calls the API once typing in text fields pauses', async () => {
+    env = await load();
+    env.api.on('admin/client/update', true);
+    const notes = $('[name=notes]');
+
+    for (const value of ['V', 'VI', 'VIP']) {
+      notes.value = value;
+      change(notes, 'input');
+    }
+    await env.settle(10);
+    assert.equal(env.api.calls.length, 0);
+
+    await env.settle(100);
+    const calls = env.api.callsTo('admin/client/update');
+    assert.equal(calls.length, 1);
+    assert.deepEqual(paramsOf(calls[0]), { id: 1, notes: 'VIP' });
+  });
+});
@@ -0,0 +1,50 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment } = require('./helpers/environment');
+
+describe('datepicker', () => {
+  let env;
+
+  beforeEach(async () => {
+    env = await createEnvironment({
+      html: `
+        <form>
+          <input class="datepicker" id="date_range" data-name-from="date_from" data-name-to="date_to">
+          <input class="datepicker" id="due_at" name="due_at">
+        </form>`,
+      scripts: ['datepicker']
+    });
+  });
+
+  afterEach(() => env.close());
+
+  // Every input has its own picker, and its days are rendered again after every click, so they are looked up each time.
+  const pickDay = (day) => {
+    const picker = [...env.document.querySelectorAll('.litepicker')].find(element => element.style.display !== 'none');
+    [...picker.querySelectorAll('.day-item')].find(element => element.textContent === String(day)).click();
+  };
+
+  test('fills the hidden from and to fields of date ranges', () => {
+    const input = env.document.getElementById('date_range');
+    input.click();
+    pickDay(4);
+    pickDay(10);
+
+    const from = env.document.getElementById('date_from');
+    const to = env.document.getElementById('date_to');
+    assert.match(from.value, /^\d{4}-\d{2}-04$/);
+    assert.match(to.value, /^\d{4}-\d{2}-10$/);
+    assert.equal(from.type, 'hidden');
+    assert.equal(input.value, `${from.value} to ${to.value}`);
+  });
+
+  test('picks single dates', () => {
+    const input = env.document.getElementById('due_at');
+    input.click();
+    pickDay(15);
+
+    assert.match(input.value, /^\d{4}-\d{2}-15$/);
+    assert.equal(input.autocomplete, 'off');
+    assert.equal(env.document.querySelector('input[type="hidden"]'), null);
+  });
+});
@@ -0,0 +1,68 @@
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment } = require('./helpers/environment');
+
+const SCRIPTS = ['bootstrap', 'modals', 'admin_default'];
+
+const PAGE = `
+  <div class="toast-container"></div>
+  <form method="post" action="api/admin/client/update" data-fb-api='{"message": "Client updated"}'>
+    <input name="id" value="1">
+    <input name="first_name" value="Jane">
+    <button type="submit">Update</button>
+  </form>
+  <a href="api/admin/client/delete?id=1" data-fb-api='{"modal": {"type": "confirm", "title": "Delete client?"}, "message": "Client deleted"}'>Delete</a>
+`;
+
+describe('data-fb-api', () => {
+  let env;
+
+  afterEach(() => env.close());
+
+  test('submits forms to the API and shows the message', async () => {
+    env = await createEnvironment({ html: PAGE, scripts: SCRIPTS });
+    env.api.on('admin/client/update', true);
+
+    env.document.querySelector('form').requestSubmit();
+    await env.settle();
+
+    const [call] = env.api.callsTo('admin/client/update');
+    assert.equal(call.params.first_name, 'Jane');
+    assert.match(env.document.querySelector('.toast-container').textContent, /Client updated/);
+    assert.equal(env.document.querySelector('button').disabled, false);
+  });
+
+  test('shows API errors', async () => {
+    env = await createEnvironment({ html: PAGE, scripts: SCRIPTS });
+    env.api.on('admin/client/update', () => { throw new Error('First name is required'); });
+
+    env.document.querySelector('form').requestSubmit();
+    await env.settle();
+
+    assert.match(env.document.querySelector('.toast-container').textContent, /First name is required \(9999\)/);
+  });
+
+  test('asks for confirmation before following links', async () => {
+    env = await createEnvironment({ html: PAGE, scripts: SCRIPTS });
+    env.api.on('admin/client/delete', true);
+
+    env.document.querySelector('a').click();
+    const modal = env.document.querySelector('.modal');
+    assert.match(modal.textContent, /Delete client\?/);
+    assert.equal(env.api.calls.length, 0);
+
+    modal.querySelector('#confirm-button').click();
+    await env.settle();
+
+    const [call] = env.api.callsTo('admin/client/delete');
+    assert.equal(call.method, 'GET');
+    assert.equal(call.params.id, '1');
+    assert.match(env.document.querySelector('.toast-container').textContent, /Client deleted/);
+  });
+
+  test('loads the theme without errors', async () => {
+    env = await createEnvironment({ html: PAGE, scripts: SCRIPTS });
+
+    assert.deepEqual(env.errors, []);
+  });
+});
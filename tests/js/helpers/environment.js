@@ -0,0 +1,184 @@
+/**
+ * Browser environment for front-end tests.
+ *
+ * @copyright FOSSBilling (https://www.fossbilling.org)
+ * @license   Apache-2.0
+ *
+ * This source file is subject to the Apache-2.0 License that is bundled
+ * with this source code in the file LICENSE
+ *
+ * Builds a jsdom page, loads FOSSBilling scripts into it and sends its API calls to a MockApi.
+ * Scripts using ES module imports (the theme sources) are bundled with esbuild first, like the
+ * theme builds do, and classic scripts such as API.js are run as they are.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const esbuild = require('esbuild');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { MockApi } = require('./mockApi');
+const { createIndexedDB } = require('./indexedDB');
+
+const ROOT = path.resolve(__dirname, '..', '..', '..');
+
+/**
+ * Scripts that can be loaded by name. Other scripts are loaded by their path relative to the repository root.
+ */
+const SCRIPTS = {
+  api: 'src/library/Api/API.js',
+  bootstrap: 'node_modules/bootstrap/dist/js/bootstrap.bundle.js',
+  modals: 'src/themes/admin_default/assets/js/ui/modals.js',
+  tomselect: 'src/themes/admin_default/assets/js/tomselect.js',
+  datepicker: 'src/themes/admin_default/assets/js/datepicker.js',
+  admin_default: 'src/themes/admin_default/assets/js/fossbilling.js'
+};
+
+// Bundling is the slow part, and every test of a file loads the same scripts.
+const compiled = new Map();
+
+/**
+ * @param {string} script A name from SCRIPTS or a path relative to the repository root.
+ * @returns {Promise<{filename: string, code: string}>} The script, ready to run in the page.
+ */
+async function compile (script) {
+  const filename = path.resolve(ROOT, SCRIPTS[script] ?? script);
+  if (compiled.has(filename)) {
+    return compiled.get(filename);
+  }
+
+  let code = fs.readFileSync(filename, 'utf8');
+  if (/^\s*(import|export)\s/m.test(code)) {
+    const result = await esbuild.build({
+      entryPoints: [filename],
+      bundle: true,
+      format: 'iife',
+      platform: 'browser',
+      target: 'es2020',
+      write: false,
+      logLevel: 'silent',
+      loader: { '.css': 'empty', '.scss': 'empty', '.svg': 'dataurl' }
+    });
+    code = result.outputFiles[0].text;
+  }
+
+  const entry = { filename, code };
+  compiled.set(filename, entry);
+
+  return entry;
+}
+
+/**
+ * Creates a page, loads the scripts into it and waits until it has loaded.
+ *
+ * @param {object} [options]
+ * @param {string} [options.html] The body of the page.
+ * @param {string} [options.url] The URL of the page.
+ * @param {string[]} [options.scripts] The scripts to load, in order. API.js is always loaded first.
+ * @param {MockApi} [options.api] The mock answering API calls, a new one with the recorded fixtures by default.
+ * @param {string} [options.cookie] Cookies to set before the scripts run, e.g. "csrf_token=abc".
+ * @param {boolean} [options.indexedDB] Give the page an in-memory IndexedDB, e.g. for the offline queue.
+ * @returns {Promise<object>} The environment, see below.
+ * @example
+ * const env = await createEnvironment({ html: '<form data-fb-api ...></form>', scripts: ['bootstrap', 'admin_default'] });
+ * env.api.on('admin/client/update', true);
+ * env.document.querySelector('form').requestSubmit();
+ * await env.settle();
+ * env.close();
+ */
+async function createEnvironment ({ html = '', url = 'http://localhost/', scripts = [], api = new MockApi(), cookie = '', indexedDB = false } = {}) {
+  const sources = await Promise.all(['api', ...scripts.filter(script => script !== 'api')].map(compile));
+
+  const logs = [];
+  const errors = [];
+  const virtualConsole = new VirtualConsole();
+  ['log', 'info', 'warn', 'error', 'debug'].forEach((level) => {
+    virtualConsole.on(level, (...args) => logs.push({ level, message: args.map(String).join(' ') }));
+  });
+  virtualConsole.on('jsdomError', error => errors.push(error));
+
+  const dom = new JSDOM(`<!DOCTYPE html><html><head></head><body>${html}</body></html>`, {
+    url,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole
+  });
+  const window = dom.window;
+  const context = dom.getInternalVMContext();
+
+  window.fetch = api.fetch;
+  if (indexedDB) {
+    window.indexedDB = createIndexedDB();
+  }
+  if (cookie) {
+    cookie.split(';').forEach(pair => { window.document.cookie = pair.trim(); });
+  }
+
+  for (const source of sources) {
+    new vm.Script(source.code, { filename: source.filename }).runInContext(context);
+  }
+
+  // Failed calls are expected in tests and should not end up as extra calls to the error log endpoint.
+  vm.runInContext('API.telemetry.enabled = false;', context);
+
+  if (window.document.readyState !== 'complete') {
+    await new Promise(resolve => window.addEventListener('load', resolve, { once: true }));
+  }
+
+  return {
+    api,
+    dom,
+    window,
+    document: window.document,
+    // Console output of the page, as {level, message}.
+    logs,
+    // Uncaught errors of the page's scripts and event handlers.
+    errors,
+
+    /**
+     * @returns {object} The API.js client of the page.
+     */
+    get API () {
+      return this.global('API');
+    },
+
+    /**
+     * Reads a global of the page, including the `const` declarations of classic scripts.
+     *
+     * @param {string} name The name of the global.
+     * @returns {*} Its value.
+     */
+    global (name) {
+      return vm.runInContext(`typeof ${name} === 'undefined' ? undefined : ${name}`, context);
+    },
+
+    /**
+     * Runs code in the page.
+     *
+     * @param {string} code The code.
+     * @returns {*} The value of its last expression.
+     */
+    run (code) {
+      return vm.runInContext(code, context);
+    },
+
+    /**
+     * Waits for pending API calls, promise callbacks and timers to finish.
+     *
+     * @param {number} [ms] How long to wait, long enough for the mock to answer by default.
+     * @returns {Promise<void>}
+     */
+    settle (ms = 20) {
+      return new Promise(resolve => setTimeout(resolve, ms));
+    },
+
+    /**
+     * Closes the page and stops its timers.
+     */
+    close () {
+      window.close();
+    }
+  };
+}
+
+module.exports = { createEnvironment, MockApi, SCRIPTS, ROOT };
@@ -0,0 +1,85 @@
+/**
+ * In-memory IndexedDB for front-end tests.
+ *
+ * @copyright FOSSBilling (https://www.fossbilling.org)
+ * @license   Apache-2.0
+ *
+ * This source file is subject to the Apache-2.0 License that is bundled
+ * with this source code in the file LICENSE
+ *
+ * jsdom has no IndexedDB, so this provides the part of it the offline queue of API.js uses: object stores
+ * with a key path, and put, getAll, delete, clear and count. Requests succeed right away and transactions
+ * complete on the next tick, like in a browser. Stored values are copies, as with the structured clone of
+ * real IndexedDB.
+ */
+
+/**
+ * Creates an empty IndexedDB.
+ *
+ * @returns {object} The `indexedDB` global of a page.
+ */
+function createIndexedDB () {
+  const databases = new Map();
+
+  const request = (result) => ({ result, error: null, onsuccess: null, onerror: null });
+
+  const createDatabase = () => {
+    const stores = new Map();
+
+    return {
+      createObjectStore (name, { keyPath }) {
+        stores.set(name, { keyPath, records: new Map() });
+      },
+
+      transaction (name) {
+        const store = stores.get(name);
+        if (!store) {
+          throw new DOMException(`No object store named ${name}`, 'NotFoundError');
+        }
+
+        const transaction = { oncomplete: null, onerror: null };
+        setTimeout(() => transaction.oncomplete && transaction.oncomplete());
+
+        transaction.objectStore = () => ({
+          put: (value) => {
+            store.records.set(value[store.keyPath], structuredClone(value));
+            return request(value[store.keyPath]);
+          },
+          getAll: () => request(Array.from(store.records.values(), value => structuredClone(value))),
+          delete: (key) => {
+            store.records.delete(key);
+            return request(undefined);
+          },
+          clear: () => {
+            store.records.clear();
+            return request(undefined);
+          },
+          count: () => request(store.records.size)
+        });
+
+        return transaction;
+      }
+    };
+  };
+
+  return {
+    open (name) {
+      const opening = request(null);
+      setTimeout(() => {
+        const isNew = !databases.has(name);
+        if (isNew) {
+          databases.set(name, createDatabase());
+        }
+        opening.result = databases.get(name);
+        if (isNew && opening.onupgradeneeded) {
+          opening.onupgradeneeded();
+        }
+        opening.onsuccess();
+      });
+
+      return opening;
+    }
+  };
+}
+
+module.exports = { createIndexedDB };
@@ -0,0 +1,420 @@
+/**
+ * A mock of the FOSSBilling API for front-end tests.
+ *
+ * @copyright FOSSBilling (https://www.fossbilling.org)
+ * @license   Apache-2.0
+ *
+ * This source file is subject to the Apache-2.0 License that is bundled
+ * with this source code in the file LICENSE
+ *
+ * Answers /api/{role}/{class}/{method} and /api/batch calls like the real API does. Each call is
+ * answered by the handler registered with on(), or else by the recorded fixture in
+ * fixtures/{role}/{class}/{method}.json. A fixture holds the response body as the API sent it,
+ * i.e. {"result": ..., "error": null}. Use record-fixtures.js to record them from an installation.
+ */
+
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+// Error codes the API answers with 401 and 400, see Box\Mod\Api\Controller\Client::renderJson().
+const UNAUTHORIZED_CODES = [201, 202, 203, 204, 205, 206, 207, 403, 1004, 1002];
+const BAD_REQUEST_CODES = [701, 879, 880, 881, 882];
+
+/**
+ * An API error, returned or thrown by a handler.
+ */
+class MockApiError extends Error {
+  constructor (message, code = 9999, fields = null) {
+    super(message);
+    this.name = 'MockApiError';
+    this.code = code;
+    this.fields = fields;
+  }
+}
+
+/**
+ * A raw HTTP response, returned by a handler that needs more than a result or an error.
+ */
+class MockResponse {
+  constructor (body, { status = 200, headers = {} } = {}) {
+    this.body = body;
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+class MockApi {
+  /**
+   * @param {object} [options]
+   * @param {string|null} [options.fixtures] The fixtures directory, or null to only use handlers.
+   */
+  constructor ({ fixtures = FIXTURES_DIR } = {}) {
+    this.fixtures = fixtures;
+    this.handlers = new Map();
+    this.pages = new Map();
+    this.calls = [];
+    this.idempotent = new Map();
+    this.fetch = this.fetch.bind(this);
+  }
+
+  /**
+   * @param {string} message The error message.
+   * @param {number} [code] The error code.
+   * @param {object} [fields] Error messages by field name, as sent for invalid form fields.
+   * @returns {MockApiError} An error for handlers to return or throw.
+   */
+  static error (message, code, fields) {
+    return new MockApiError(message, code, fields);
+  }
+
+  /**
+   * @param {string|object} body The response body, objects are sent as JSON.
+   * @param {object} [init] The `status` and `headers` of the response.
+   * @returns {MockResponse} A response for handlers to return as is.
+   */
+  static response (body, init) {
+    return new MockResponse(body, init);
+  }
+
+  /**
+   * Registers how an endpoint is answered, replacing its fixture.
+   *
+   * @param {string} endpoint The endpoint including the role, e.g. "admin/client/get".
+   * @param {*} response The result to return, a MockApi.error() or MockApi.response(), or a function
+   *                     receiving the parameters and the call, and returning (or throwing) one of those.
+   * @returns {MockApi} This mock, for chaining.
+   * @example
+   * api.on('guest/system/company', { name: 'Example Ltd.' });
+   * api.on('admin/client/get', (params) => params.id === '1' ? client : MockApi.error('Client not found', 404));
+   */
+  on (endpoint, response) {
+    this.handlers.set(endpoint.replace(/^\/+|\/+$/g, ''), response);
+    return this;
+  }
+
+  /**
+   * Registers a page, for scripts that load pages rather than call the API.
+   *
+   * @param {string} pathname The path of the page, e.g. "/support/ticket/1".
+   * @param {*} html The HTML, a MockApi.response(), or a function receiving the request headers and returning one of those.
+   * @returns {MockApi} This mock, for chaining.
+   * @example
+   * api.page('/support/ticket/1', (headers) => headers['x-fb-fragment']
+   *   ? MockApi.response('<div id="ticket">Closed</div>', { headers: { 'X-FB-Fragment': headers['x-fb-fragment'] } })
+   *   : page);
+   */
+  page (pathname, html) {
+    this.pages.set(pathname, html);
+    return this;
+  }
+
+  /**
+   * Forgets the handlers, the pages and the recorded calls.
+   */
+  reset () {
+    this.handlers.clear();
+    this.pages.clear();
+    this.calls = [];
+    this.idempotent.clear();
+  }
+
+  /**
+   * @param {string} endpoint The endpoint including the role, e.g. "admin/client/get".
+   * @returns {object[]} The calls made to the endpoint, oldest first.
+   */
+  callsTo (endpoint) {
+    return this.calls.filter(call => `${call.role}/${call.endpoint}` === endpoint);
+  }
+
+  /**
+   * Answers an HTTP request.
+   *
+   * @param {object} request
+   * @param {string} request.method The HTTP method.
+   * @param {string} request.url The full URL.
+   * @param {object} [request.headers] The headers, with lower case names.
+   * @param {object|null} [request.body] The decoded body parameters.
+   * @returns {Promise<MockResponse>} The response.
+   */
+  async handle ({ method, url, headers = {}, body = null }) {
+    const parsed = new URL(url);
+    const route = parsed.searchParams.get('_url') || parsed.pathname;
+    if (this.pages.has(route)) {
+      const page = this.pages.get(route);
+      const answer = await (typeof page === 'function' ? page(headers) : page);
+      return answer instanceof MockResponse ? answer : new MockResponse(String(answer), { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+    }
+    let params = body;
+    if (method.toUpperCase() === 'GET') {
+      params = Object.fromEntries([...parsed.searchParams].filter(([key]) => key !== '_url'));
+    }
+    params = params || {};
+
+    if (/\/api\/batch\/?$/.test(route)) {
+      if (!Array.isArray(params.requests) || params.requests.length === 0) {
+        return this._render(MockApi.error('Batch requests must be a non-empty list', 880));
+      }
+      if (params.requests.length > 20) {
+        return this._render(MockApi.error('A batch may contain at most 20 requests', 881));
+      }
+
+      const results = [];
+      for (const request of params.requests) {
+        const answer = /\/login$/.test(request.endpoint)
+          ? MockApi.error('Logins cannot be part of a batch request', 882)
+          : await this._answer({ method, role: request.role, endpoint: request.endpoint, params: request.params || {}, headers, batch: true });
+        results.push(answer instanceof MockApiError
+          ? { result: null, error: errorBody(answer) }
+          : { result: answer, error: null });
+      }
+
+      return this._render(results);
+    }
+
+    const match = route.match(/\/api\/(admin|client|guest)\/(\w+\/\w+)\/?$/);
+    if (!match) {
+      return this._render(MockApi.error(`Unknown API call ${route}`, 879));
+    }
+
+    return this._render(await this._answer({ method, role: match[1], endpoint: match[2], params, headers, batch: false }));
+  }
+
+  /**
+   * A fetch() implementation that sends API calls to this mock, for use as window.fetch.
+   *
+   * @param {string|URL} input The URL.
+   * @param {object} [init] The fetch options.
+   * @returns {Promise<Response>} The response.
+   */
+  fetch (input, init = {}) {
+    const signal = init.signal;
+    if (signal && signal.aborted) {
+      return Promise.reject(new DOMException('The operation was aborted.', 'AbortError'));
+    }
+
+    const headers = {};
+    new Headers(init.headers || {}).forEach((value, name) => {
+      headers[name] = value;
+    });
+
+    const response = this.handle({
+      method: init.method || 'GET',
+      url: String(input),
+      headers: headers,
+      body: decodeBody(init.body, headers['content-type'])
+    }).then(toFetchResponse);
+
+    if (!signal) {
+      return response;
+    }
+
+    return new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new DOMException('The operation was aborted.', 'AbortError')), { once: true });
+      response.then(resolve, reject);
+    });
+  }
+
+  /**
+   * Serves the mock over HTTP, e.g. to develop a theme against it.
+   * Multipart bodies are not decoded, so file uploads reach handlers without parameters.
+   *
+   * @param {number} [port] The port, a random free one by default.
+   * @param {string} [host] The interface to listen on.
+   * @returns {Promise<http.Server>} The listening server.
+   */
+  listen (port = 0, host = '127.0.0.1') {
+    const server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        const url = new URL(req.url, `http://${req.headers.host || host}`);
+        this.handle({
+          method: req.method,
+          url: url.toString(),
+          headers: req.headers,
+          body: decodeBody(Buffer.concat(chunks).toString(), req.headers['content-type'])
+        }).then((response) => {
+          const encoded = encodeBody(response);
+          res.writeHead(response.status, encoded.headers);
+          res.end(encoded.body);
+        }, (error) => {
+          res.writeHead(500, { 'Content-Type': 'text/plain' });
+          res.end(String(error && error.stack ? error.stack : error));
+        });
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => resolve(server));
+    });
+  }
+
+  /**
+   * Records a call and works out its result.
+   *
+   * @returns {Promise<*>} The result, a MockApiError or a MockResponse.
+   */
+  async _answer (call) {
+    const key = `${call.role}/${call.endpoint}`;
+    this.calls.push(call);
+
+    // Like the API, a successful call sent again with its Idempotency-Key is not run again and gets the first result.
+    const idempotencyKey = call.method.toUpperCase() !== 'GET' && !call.batch ? call.headers['idempotency-key'] : null;
+    if (!idempotencyKey) {
+      return this._run(key, call);
+    }
+    const cacheKey = `${key} ${idempotencyKey}`;
+    if (!this.idempotent.has(cacheKey)) {
+      this.idempotent.set(cacheKey, this._run(key, call).then((answer) => {
+        if (answer instanceof MockApiError || answer instanceof MockResponse) {
+          this.idempotent.delete(cacheKey);
+        }
+        return answer;
+      }));
+    }
+
+    return this.idempotent.get(cacheKey);
+  }
+
+  /**
+   * Works out the result of a call with its handler or fixture.
+   *
+   * @returns {Promise<*>} The result, a MockApiError or a MockResponse.
+   */
+  async _run (key, call) {
+    if (this.handlers.has(key)) {
+      const handler = this.handlers.get(key);
+      if (typeof handler !== 'function') {
+        return handler;
+      }
+
+      try {
+        return await handler(call.params, call);
+      } catch (error) {
+        return error instanceof MockApiError ? error : MockApi.error(error.message);
+      }
+    }
+
+    const fixture = this._fixture(call.role, call.endpoint);
+    if (fixture === null) {
+      return MockApi.error(`Unknown API call ${key}: register a handler or record a fixture`, 879);
+    }
+
+    return fixture.error
+      ? MockApi.error(fixture.error.message, fixture.error.code, fixture.error.fields)
+      : fixture.result;
+  }
+
+  /**
+   * @returns {object|null} The recorded {result, error} body of an endpoint, or null if there is none.
+   */
+  _fixture (role, endpoint) {
+    if (!this.fixtures || !/^\w+\/\w+$/.test(endpoint)) {
+      return null;
+    }
+
+    const file = path.join(this.fixtures, role, `${endpoint}.json`);
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * Turns a result into the response the API would send.
+   *
+   * @returns {MockResponse}
+   */
+  _render (answer) {
+    if (answer instanceof MockResponse) {
+      return answer;
+    }
+
+    if (answer instanceof MockApiError) {
+      let status = 200;
+      if (UNAUTHORIZED_CODES.includes(answer.code)) {
+        status = 401;
+      } else if (BAD_REQUEST_CODES.includes(answer.code)) {
+        status = 400;
+      }
+
+      return new MockResponse({ result: null, error: errorBody(answer) }, { status });
+    }
+
+    return new MockResponse({ result: answer === undefined ? null : answer, error: null });
+  }
+}
+
+/**
+ * Decodes a request body to the parameters PHP would see.
+ *
+ * @param {*} body A string, FormData or URLSearchParams body.
+ * @param {string} [contentType] The Content-Type header.
+ * @returns {object|null} The parameters.
+ */
+function decodeBody (body, contentType = '') {
+  if (body === null || body === undefined || body === '') {
+    return null;
+  }
+
+  // FormData from jsdom is not Node's FormData, so it is recognised by its interface.
+  if (typeof body === 'object' && typeof body.entries === 'function') {
+    const params = {};
+    for (const [key, value] of body.entries()) {
+      params[key] = typeof value === 'string' ? value : { name: value.name, size: value.size, type: value.type };
+    }
+    return params;
+  }
+
+  if (typeof body !== 'string') {
+    return null;
+  }
+
+  if (contentType && contentType.includes('application/x-www-form-urlencoded')) {
+    return Object.fromEntries(new URLSearchParams(body));
+  }
+
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * @param {MockApiError} error
+ * @returns {object} The error part of a response body, see Box\Mod\Api\Controller\Client::errorPayload().
+ */
+function errorBody (error) {
+  const body = { message: error.message, code: error.code };
+  if (error.fields) {
+    body.fields = error.fields;
+  }
+
+  return body;
+}
+
+function encodeBody (response) {
+  const headers = Object.assign({}, response.headers);
+  if (typeof response.body === 'string') {
+    return { headers, body: response.body };
+  }
+
+  if (!Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+    headers['Content-Type'] = 'application/json; charset=utf-8';
+  }
+
+  return { headers, body: JSON.stringify(response.body) };
+}
+
+function toFetchResponse (response) {
+  const encoded = encodeBody(response);
+  return new Response(encoded.body, { status: response.status, headers: encoded.headers });
+}
+
+module.exports = { MockApi, MockApiError, MockResponse, FIXTURES_DIR };
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * Serves the recorded API fixtures over HTTP.
+ *
+ * @copyright FOSSBilling (https://www.fossbilling.org)
+ * @license   Apache-2.0
+ *
+ * This source file is subject to the Apache-2.0 License that is bundled
+ * with this source code in the file LICENSE
+ *
+ * Usage:
+ *   node tests/js/mock-server.js [--port 8081] [--fixtures dir]
+ *
+ * Answers /api/{role}/{class}/{method} and /api/batch from the fixtures, so theme scripts can be
+ * developed and tried out without a FOSSBilling installation. Calls are logged to the console.
+ */
+
+const path = require('node:path');
+const { MockApi, FIXTURES_DIR } = require('./helpers/mockApi');
+
+function option (args, name, fallback) {
+  const index = args.indexOf(name);
+  return index === -1 ? fallback : args[index + 1];
+}
+
+const args = process.argv.slice(2);
+const port = Number(option(args, '--port', 8081));
+const api = new MockApi({ fixtures: path.resolve(option(args, '--fixtures', FIXTURES_DIR)) });
+
+const handle = api.handle.bind(api);
+api.handle = async (request) => {
+  const response = await handle(request);
+  console.log(`${request.method} ${new URL(request.url).pathname} ${response.status}`);
+  return response;
+};
+
+api.listen(port).then((server) => {
+  const address = server.address();
+  console.log(`Mock API listening on http://${address.address}:${address.port}/api/ with fixtures from ${api.fixtures}`);
+}, (error) => {
+  console.error(`Could not start the mock API: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,41 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MockApi } = require('./helpers/mockApi');
+
+describe('MockApi server', () => {
+  const api = new MockApi();
+  let server;
+  let baseURL;
+
+  before(async () => {
+    server = await api.listen();
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  test('serves fixtures over HTTP', async () => {
+    const response = await fetch(`${baseURL}/api/guest/system/company`);
+
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).result.name, 'Example Hosting');
+  });
+
+  test('answers unknown calls like the API', async () => {
+    const response = await fetch(`${baseURL}/index.php?_url=/api/admin/unknown/call`);
+
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error.code, 879);
+  });
+
+  test('decodes form and JSON bodies', async () => {
+    api.on('client/profile/update', params => params);
+
+    const form = await fetch(`${baseURL}/api/client/profile/update`, { method: 'POST', body: new URLSearchParams({ first_name: 'Jane' }) });
+    const json = await fetch(`${baseURL}/api/client/profile/update`, { method: 'POST', body: JSON.stringify({ first_name: 'John' }), headers: { 'Content-Type': 'application/json' } });
+
+    assert.deepEqual((await form.json()).result, { first_name: 'Jane' });
+    assert.deepEqual((await json.json()).result, { first_name: 'John' });
+    assert.equal(api.callsTo('client/profile/update').length, 2);
+  });
+});
@@ -0,0 +1,53 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment } = require('./helpers/environment');
+
+describe('Modals', () => {
+  let env;
+  let Modals;
+
+  beforeEach(async () => {
+    env = await createEnvironment({ scripts: ['bootstrap', 'modals'] });
+    Modals = env.global('Modals');
+  });
+
+  afterEach(() => env.close());
+
+  test('renders the template of the type', () => {
+    Modals.create({ type: 'danger', title: 'Delete?', content: 'This cannot be undone.' });
+
+    const modal = env.document.querySelector('.modal');
+    assert.ok(modal.querySelector('.modal-status.bg-danger'));
+    assert.equal(modal.querySelector('h3').textContent, 'Delete?');
+    assert.match(modal.textContent, /This cannot be undone\./);
+  });
+
+  test('calls the confirm and cancel callbacks', () => {
+    const calls = [];
+    const options = { type: 'small-confirm', confirmCallback: () => calls.push('confirm'), cancelCallback: () => calls.push('cancel') };
+
+    Modals.create(options);
+    env.document.getElementById('confirm-button').click();
+    // The buttons have fixed IDs, so only one modal can be open at a time.
+    env.document.querySelector('.modal').remove();
+    Modals.create(options);
+    env.document.getElementById('cancel-button').click();
+
+    assert.deepEqual(calls, ['confirm', 'cancel']);
+  });
+
+  test('passes the prompt value to the callback', () => {
+    let value = null;
+    Modals.create({ type: 'prompt', label: 'Name', value: 'Jane', promptConfirmCallback: (input) => { value = input; } });
+
+    env.document.getElementById('prompt-input').value = 'John';
+    env.document.getElementById('prompt-confirm-button').click();
+
+    assert.equal(value, 'John');
+  });
+
+  test('rejects unknown types', () => {
+    assert.equal(Modals.parseTemplate('default', { type: 'unknown' }), '');
+    assert.match(env.logs.at(-1).message, /type of the modal is not allowed/);
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment, MockApi } = require('./helpers/environment');
+
+const SCRIPTS = ['bootstrap', 'modals', 'admin_default'];
+
+const PAGE = `
+  <div class="toast-container"></div>
+  <div id="ticket-details">
+    <span class="badge">Open</span>
+    <a href="api/admin/support/ticket_close?id=1" data-fb-api='{"target": "#ticket-details", "fragment": "ticket_details", "message": "Ticket closed"}'>Close</a>
+  </div>
+  <table>
+    <tr><td>example.com</td><td><a class="delete" href="api/admin/client/delete?id=1" data-fb-api='{"target": "closest tr", "swap": "delete"}'>Delete</a></td></tr>
+    <tr><td>example.org</td><td><a class="lock" href="api/admin/servicedomain/lock?order_id=2" data-fb-api='{"target": "#lock-status", "swap": "innerHTML"}'>Lock</a></td><td id="lock-status">unlocked</td></tr>
+  </table>
+`;
+
+const DETAILS = `
+  <div id="ticket-details">
+    <span class="badge">Closed</span>
+    <a class="reopen" href="api/admin/support/ticket_update?id=1" data-fb-api='{"target": "#ticket-details", "fragment": "ticket_details"}'>Reopen</a>
+  </div>
+`;
+
+describe('data-fb-api partial page updates', () => {
+  let env;
+
+  afterEach(() => env.close());
+
+  const fragmentPage = headers => headers['x-fb-fragment'] === 'ticket_details'
+    ? MockApi.response(DETAILS, { headers: { 'X-FB-Fragment': 'ticket_details' } })
+    : PAGE;
+
+  test('replaces the target with a template block rendered again', async () => {
+    env = await createEnvironment({ html: PAGE, scripts: SCRIPTS });
+    const swaps = [];
+    env.document.addEventListener('fb:swap', event => swaps.push(event.detail));
+    env.api.on('admin/support/ticket_close', true).on('admin/support/ticket_update', true).page('/', fragmentPage);
+
+    env.document.querySelector('#ticket-details a').click();
+    await env.settle();
+
+    assert.equal(env.api.callsTo('admin/support/ticket_close').length, 1);
+    assert.equal(env.document.querySelectorAll('#ticket-details').length, 1);
+    assert.equal(env.document.querySelector('#ticket-details .badge').textContent, 'Closed');
+    assert.match(env.document.querySelector('.toast-container').textContent, /Ticket closed/);
+    assert.equal(swaps.length, 1);
+    assert.equal(swaps[0].elements[0], env.document.querySelector('#ticket-details'));
+
+    // Links in the new content are bound too.
+    env.document.querySelector('.reopen').click();
+    await env.settle();
+    assert.equal(env.api.callsTo('admin/support/ticket_update').length, 1);
+  });
+
+  test('removes or fills the target without a fragment', async () => {
+    env = await createEnvironment({ html: PAGE, scripts: SCRIPTS });
+    env.api.on('admin/client/delete', true).on('admin/servicedomain/lock', 'locked');
+
+    env.document.querySelector('.delete').click();
+    env.document.querySelector('.lock').click();
+    await env.settle();
+
+    assert.equal(env.document.querySelectorAll('tr').length, 1);
+    assert.equal(env.document.querySelector('#lock-status').textContent, 'locked');
+  });
+
+  test('reloads the page when the block cannot be rendered', async () => {
+    env = await createEnvironment({ html: PAGE, scripts: SCRIPTS });
+    env.API.partials.render = () => Promise.reject(new Error('The page has no "ticket_details" block'));
+    env.api.on('admin/support/ticket_close', true);
+
+    env.document.querySelector('#ticket-details a').click();
+    await env.settle();
+
+    assert.equal(env.document.querySelector('#ticket-details .badge').textContent, 'Open');
+    // jsdom cannot navigate, so the reload only shows up as the warning before it.
+    assert.ok(env.logs.some(log => log.level === 'warn' && log.message.includes('reloading the page')));
+  });
+
+  test('tells pages without the block apart', async () => {
+    env = await createEnvironment({ html: PAGE, scripts: SCRIPTS });
+    env.api.page('/', PAGE);
+
+    await assert.rejects(env.API.partials.render('ticket_details'), { code: 'fragment_not_found' });
+  });
+});
@@ -0,0 +1,103 @@
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment, MockApi } = require('./helpers/environment');
+
+const SCRIPTS = ['bootstrap', 'admin_default'];
+
+const PAGE = `
+  <div class="toast-container"></div>
+  <span id="status" data-fb-api='{"endpoint": "admin/order/get", "params": {"id": 1}, "poll": {"interval": 20, "field": "status", "until": ["active", "failed"]}}'>pending_setup</span>
+  <div id="content"></div>
+`;
+
+describe('data-fb-api polling', () => {
+  let env;
+
+  afterEach(() => env.close());
+
+  const $ = selector => env.document.querySelector(selector);
+
+  test('shows a field of each result until it reaches a final value', async () => {
+    env = await createEnvironment({ html: PAGE, scripts: SCRIPTS });
+    const statuses = ['pending_setup', 'active'];
+    env.api.on('admin/order/get', () => ({ id: 1, status: statuses.shift() || 'unexpected' }));
+    const stopped = [];
+    env.document.addEventListener('fb:poll-stop', event => stopped.push(event.detail.result));
+
+    await env.settle(150);
+
+    assert.equal(env.api.callsTo('admin/order/get').length, 2);
+    assert.equal($('#status').textContent, 'active');
+    assert.deepEqual(stopped, [{ id: 1, status: 'active' }]);
+    assert.equal(env.API.polling.isPolling($('#status')), false);
+  });
+
+  test('polls elements added later and stops when they are removed', async () => {
+    env = await createEnvironment({ html: PAGE, scripts: SCRIPTS });
+    env.api.on('admin/order/get', { status: 'active' }).on('admin/massmailer/get', { sent: 5 });
+
+    $('#content').innerHTML = `<span id="sent" data-fb-api='{"endpoint": "admin/massmailer/get", "poll": {"interval": 20, "field": "sent"}}'></span>`;
+    await env.settle(50);
+    assert.equal($('#sent').textContent, '5');
+
+    const sent = $('#sent');
+    sent.remove();
+    const calls = env.api.callsTo('admin/massmailer/get').length;
+    await env.settle(80);
+    assert.ok(env.api.callsTo('admin/massmailer/get').length <= calls + 1);
+    assert.equal(env.API.polling.isPolling(sent), false);
+  });
+
+  test('does not poll elements that only mention polling in their endpoint', async () => {
+    env = await createEnvironment({ html: PAGE, scripts: SCRIPTS });
+    env.api.on('admin/order/get', { status: 'active' }).on('admin/extension/poll_status', { status: 'ok' });
+
+    $('#content').innerHTML = `<span id="poll-status" data-fb-api='{"endpoint": "admin/extension/poll_status"}'></span>`;
+    await env.settle(50);
+
+    assert.equal(env.API.polling.isPolling($('#poll-status')), false);
+    assert.equal(env.api.callsTo('admin/extension/poll_status').length, 0);
+  });
+
+  test('renders a fragment of the page on each tick', async () => {
+    env = await createEnvironment({ html: '<p id="cron" data-fb-api=\'{"poll": 20, "fragment": "cron_last_run"}\'>never</p>', scripts: SCRIPTS });
+    let runs = 0;
+    env.api.page('/', () => MockApi.response(`run ${++runs}`, { headers: { 'X-FB-Fragment': 'cron_last_run' } }));
+
+    await env.settle(100);
+
+    assert.ok(runs >= 2);
+    assert.match($('#cron').textContent, /^run \d+$/);
+  });
+
+  test('backs off while the tab is hidden and catches up once it is visible', async () => {
+    env = await createEnvironment({ html: PAGE, scripts: SCRIPTS });
+    let hidden = true;
+    // Calls fail while the tab is hidden, which must not back off twice as fast.
+    const hiddenCalls = [];
+    env.api.on('admin/order/get', () => {
+      if (!hidden) {
+        return { status: 'pending_setup' };
+      }
+      hiddenCalls.push(Date.now());
+      return MockApi.error('Service unavailable');
+    });
+    Object.defineProperty(env.document, 'hidden', { configurable: true, get: () => hidden });
+    // Calls made while the tab was still visible, e.g. on a slow machine, do not count.
+    const visibleCalls = env.api.callsTo('admin/order/get').length;
+
+    await env.settle(200);
+    // The 20ms call scheduled while visible, then 40 and 80ms: far fewer calls than the 10 of a visible tab.
+    const calls = env.api.callsTo('admin/order/get').length;
+    assert.ok(calls - visibleCalls <= 3, `${calls - visibleCalls} calls`);
+    // Each failed call doubles the delay once, rather than 40 then 160ms.
+    assert.ok(hiddenCalls.length >= 3, `${hiddenCalls.length} calls`);
+    const [first, second, third] = hiddenCalls;
+    assert.ok(third - second < 3 * (second - first), `${second - first}ms then ${third - second}ms`);
+
+    hidden = false;
+    env.document.dispatchEvent(new env.window.Event('visibilitychange'));
+    await env.settle(10);
+    assert.equal(env.api.callsTo('admin/order/get').length, calls + 1);
+  });
+});
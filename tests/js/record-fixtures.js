@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/**
+ * Records API responses of a FOSSBilling installation as fixtures for the mock API.
+ *
+ * @copyright FOSSBilling (https://www.fossbilling.org)
+ * @license   Apache-2.0
+ *
+ * This source file is subject to the Apache-2.0 License that is bundled
+ * with this source code in the file LICENSE
+ *
+ * Usage:
+ *   FOSSBILLING_URL=https://billing.example.com FOSSBILLING_API_KEY=... \
+ *     node tests/js/record-fixtures.js admin/client/get_pairs guest/system/company "admin/client/get?id=1"
+ *
+ * Each endpoint is called with GET, parameters are given as a query string, and the response is written
+ * to fixtures/{role}/{class}/{method}.json. Errors are recorded too, so error handling can be replayed.
+ * Admin and client calls authenticate with FOSSBILLING_API_KEY, so record the endpoints of each role in a
+ * separate run with the API key of that role. Record from a test installation:
+ * the fixtures end up in the repository, so they must not contain real customer data.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const API = require('../../src/library/Api/API.js');
+const { FIXTURES_DIR } = require('./helpers/mockApi');
+
+async function record (target, directory) {
+  const [endpoint, query = ''] = target.split('?');
+  const match = endpoint.match(/^(admin|client|guest)\/(\w+\/\w+)$/);
+  if (!match) {
+    throw new Error(`Invalid endpoint "${target}", expected {role}/{class}/{method}`);
+  }
+  const [, role, name] = match;
+
+  let body;
+  try {
+    const result = await API[role].get(name, Object.fromEntries(new URLSearchParams(query)), { loader: false, retry: false, cache: false });
+    body = { result, error: null };
+  } catch (error) {
+    if (!(error instanceof API.ApiError)) {
+      throw error;
+    }
+    body = { result: null, error: error.response && error.response.error ? error.response.error : { message: error.message, code: error.code } };
+  }
+
+  const file = path.join(directory, role, `${name}.json`);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(body, null, 4)}\n`);
+
+  return file;
+}
+
+async function main (args) {
+  let directory = FIXTURES_DIR;
+  const outIndex = args.indexOf('--out');
+  if (outIndex !== -1) {
+    directory = path.resolve(args[outIndex + 1]);
+    args.splice(outIndex, 2);
+  }
+
+  if (!process.env.FOSSBILLING_URL || args.length === 0) {
+    console.error('Usage: FOSSBILLING_URL=... [FOSSBILLING_API_KEY=...] node tests/js/record-fixtures.js [--out dir] role/class/method[?params] ...');
+    return 1;
+  }
+
+  API.configure({ baseURL: process.env.FOSSBILLING_URL, apiKey: process.env.FOSSBILLING_API_KEY || null });
+
+  let failed = 0;
+  for (const target of args) {
+    try {
+      console.log(`Recorded ${path.relative(process.cwd(), await record(target, directory))}`);
+    } catch (error) {
+      console.error(`Failed to record ${target}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  return failed ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(code => { process.exitCode = code; });
@@ -0,0 +1,48 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment } = require('./helpers/environment');
+
+// TomSelect throttles searches.
+const LOAD_THROTTLE = 400;
+
+describe('tomselect', () => {
+  let env;
+
+  beforeEach(async () => {
+    env = await createEnvironment({
+      html: `
+        <select class="autocomplete-selector" id="client_id" name="client_id" data-resturl="admin/client/get_pairs"></select>
+        <select class="autocomplete-selector" id="broken"></select>`,
+      scripts: ['tomselect']
+    });
+  });
+
+  afterEach(() => env.close());
+
+  test('searches the endpoint of autocomplete selectors', async () => {
+    const select = env.document.getElementById('client_id').tomselect;
+    select.load('jo');
+    await env.settle(LOAD_THROTTLE);
+
+    const [call] = env.api.callsTo('admin/client/get_pairs');
+    assert.equal(call.params.search, 'jo');
+    assert.equal(call.params.per_page, '5');
+    assert.deepEqual(Object.keys(select.options), ['1', '2']);
+    assert.equal(select.options['1'].label, 'John Doe');
+  });
+
+  test('shows no options when the search fails', async () => {
+    env.api.on('admin/client/get_pairs', () => { throw new Error('Access denied'); });
+    const select = env.document.getElementById('client_id').tomselect;
+    select.load('jo');
+    await env.settle(LOAD_THROTTLE);
+
+    assert.deepEqual(Object.keys(select.options), []);
+    assert.ok(env.logs.some(log => log.level === 'error' && log.message.includes('Autocomplete fetch error')));
+  });
+
+  test('skips selectors without an endpoint', () => {
+    assert.equal(env.document.getElementById('broken').tomselect, undefined);
+    assert.ok(env.logs.some(log => log.message.includes('missing required data-resturl')));
+  });
+});
@@ -0,0 +1,151 @@
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment, MockApi } = require('./helpers/environment');
+
+const PAGE = `
+  <div class="toast-container"></div>
+  <form method="post" action="api/guest/client/create" data-fb-api='{"message": "Account created"}'>
+    <input name="email" value="" data-fb-validate='{"required": true, "email": true}'>
+    <div class="input-group">
+      <span class="input-group-text">@</span>
+      <input name="username" value="jo" aria-describedby="username-hint" data-fb-validate='{"min": 3, "max": 12, "pattern": "[a-z]+"}'>
+    </div>
+    <small id="username-hint">Lower case letters only.</small>
+    <input type="number" name="age" value="17" data-fb-validate='{"min": 18, "messages": {"min": "You must be :min or older."}}'>
+    <input type="password" name="password" value="secret">
+    <input type="password" name="password_confirm" value="secrets" data-fb-validate='{"match": "password", "message": "Passwords do not match"}'>
+    <input name="coupon" value="" data-fb-validate='{"custom": "checkCoupon"}'>
+    <button type="submit">Sign up</button>
+  </form>
+`;
+
+describe('data-fb-validate', () => {
+  let env;
+
+  afterEach(() => env.close());
+
+  const load = () => createEnvironment({ html: PAGE, scripts: ['bootstrap', 'admin_default'] });
+  const field = name => env.document.querySelector(`[name="${name}"]`);
+  const feedback = name => {
+    const ids = (field(name).getAttribute('aria-describedby') || '').split(' ');
+    const element = env.document.getElementById(ids[ids.length - 1]);
+    return element && element.classList.contains('invalid-feedback') ? element.textContent : null;
+  };
+  const fill = (values) => Object.entries(values).forEach(([name, value]) => { field(name).value = value; });
+
+  test('shows the errors of invalid fields instead of calling the API', async () => {
+    env = await load();
+
+    env.document.querySelector('form').requestSubmit();
+    await env.settle();
+
+    assert.equal(env.api.calls.length, 0);
+    assert.equal(feedback('email'), 'This field is required.');
+    assert.equal(feedback('username'), 'This value must be at least 3 characters long.');
+    assert.equal(feedback('age'), 'You must be 18 or older.');
+    assert.equal(feedback('password_confirm'), 'Passwords do not match');
+    assert.equal(feedback('coupon'), null);
+    assert.ok(field('email').classList.contains('is-invalid'));
+    assert.equal(field('email').getAttribute('aria-invalid'), 'true');
+    assert.equal(env.document.activeElement, field('email'));
+    // Inside input groups the feedback goes to the end of the group, where Bootstrap shows it.
+    assert.ok(env.document.querySelector('.input-group > .invalid-feedback'));
+  });
+
+  test('checks email addresses, patterns and maximums', async () => {
+    env = await load();
+    const { validation } = env.API;
+
+    fill({ email: 'john@', username: 'john_doe' });
+    assert.equal(validation.check(field('email')), 'Please enter a valid email address.');
+    assert.equal(validation.check(field('username')), 'This value does not have the expected format.');
+
+    fill({ email: 'john@example.com', username: 'johndoejohndoe' });
+    assert.equal(validation.check(field('email')), null);
+    assert.equal(validation.check(field('username')), 'This value must be at most 12 characters long.');
+  });
+
+  test('skips invalid patterns with a warning', async () => {
+    env = await load();
+
+    field('username').dataset.fbValidate = '{"pattern": "[a-z+"}';
+    fill({ username: 'john_doe' });
+    assert.equal(env.API.validation.check(field('username')), null);
+    assert.ok(env.logs.some(log => log.level === 'warn' && log.message.includes('Invalid validation pattern: [a-z+')));
+  });
+
+  test('calls custom functions and registered rules', async () => {
+    env = await load();
+    env.window.checkCoupon = value => value === 'FREE' || 'This coupon has expired.';
+    env.API.validation.register('uppercase', value => value === value.toUpperCase(), 'Use upper case letters.');
+
+    fill({ coupon: 'OLD' });
+    assert.equal(env.API.validation.check(field('coupon')), 'This coupon has expired.');
+
+    field('coupon').dataset.fbValidate = '{"uppercase": true}';
+    fill({ coupon: 'free' });
+    assert.equal(env.API.validation.check(field('coupon')), 'Use upper case letters.');
+  });
+
+  test('submits valid forms and removes the errors shown before', async () => {
+    env = await load();
+    env.api.on('guest/client/create', 1);
+    const form = env.document.querySelector('form');
+
+    form.requestSubmit();
+    fill({ email: 'john@example.com', username: 'john', age: '18', password_confirm: 'secret' });
+    form.requestSubmit();
+    await env.settle();
+
+    assert.equal(env.api.callsTo('guest/client/create').length, 1);
+    assert.equal(form.querySelectorAll('.is-invalid, .invalid-feedback').length, 0);
+    assert.equal(field('username').getAttribute('aria-describedby'), 'username-hint');
+  });
+
+  test('shows field errors returned by the API next to the fields', async () => {
+    env = await load();
+    env.api.on('guest/client/create', MockApi.error('Email is already registered', 9999, { email: 'Email is already registered' }));
+
+    fill({ email: 'john@example.com', username: 'john', age: '18', password_confirm: 'secret' });
+    env.document.querySelector('form').requestSubmit();
+    await env.settle();
+
+    assert.equal(feedback('email'), 'Email is already registered');
+    assert.equal(env.document.querySelector('.toast-container').textContent.trim(), '');
+  });
+
+  test('scrolls to the first field the API rejected and clears its error once it is edited', async () => {
+    env = await load();
+    const scrolled = [];
+    env.window.HTMLElement.prototype.scrollIntoView = function () { scrolled.push(this); };
+    env.api.on('guest/client/create', MockApi.error('Passwords do not match.', 9999, {
+      age: 'You must be 18 or older.',
+      password_confirm: 'Passwords do not match.'
+    }));
+
+    fill({ email: 'john@example.com', username: 'john', age: '18', password_confirm: 'secret' });
+    env.document.querySelector('form').requestSubmit();
+    await env.settle();
+
+    assert.deepEqual(scrolled, [field('age')]);
+    assert.equal(env.document.activeElement, field('age'));
+
+    field('password_confirm').value = 'secret1';
+    field('password_confirm').dispatchEvent(new env.window.Event('input', { bubbles: true }));
+
+    assert.equal(feedback('password_confirm'), null);
+    assert.equal(field('password_confirm').getAttribute('aria-invalid'), null);
+    assert.equal(feedback('age'), 'You must be 18 or older.');
+  });
+
+  test('shows a message for field errors without a field', async () => {
+    env = await load();
+    env.api.on('guest/client/create', MockApi.error('Invalid currency', 9999, { currency: 'Invalid currency' }));
+
+    fill({ email: 'john@example.com', username: 'john', age: '18', password_confirm: 'secret' });
+    env.document.querySelector('form').requestSubmit();
+    await env.settle();
+
+    assert.match(env.document.querySelector('.toast-container').textContent, /Invalid currency \(9999\)/);
+  });
+});
@@ -0,0 +1,181 @@
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment, MockApi } = require('./helpers/environment');
+
+const SCRIPTS = ['bootstrap', 'admin_default'];
+
+const FORM = `
+  <form method="post" action="api/client/order/create" data-fb-api='{"message": "Order placed", "wizard": {"draft": "domain-order"}}'>
+    <ul class="steps" data-fb-wizard-progress></ul>
+    <fieldset data-fb-wizard-step='{"title": "Domain", "endpoint": "guest/servicedomain/pricing", "params": {"action": "register"}}'>
+      <input name="sld" data-fb-validate='{"required": true}'>
+      <input name="tld" value=".com">
+    </fieldset>
+    <fieldset data-fb-wizard-step='{"title": "Billing"}'>
+      <input type="hidden" name="price">
+      <select name="period"><option value="1Y">1 year</option><option value="2Y">2 years</option></select>
+      <input type="password" name="password">
+    </fieldset>
+    <fieldset data-fb-wizard-step>
+      <legend>Confirm</legend>
+      <input type="checkbox" name="terms" value="1" data-fb-validate='{"required": true}'>
+    </fieldset>
+    <button type="button" data-fb-wizard-nav="back">Back</button>
+    <button type="button" data-fb-wizard-nav="next">Next</button>
+    <button type="submit">Place order</button>
+  </form>
+`;
+
+const PAGE = `<div class="toast-container"></div>${FORM}`;
+
+describe('data-fb-api wizards', () => {
+  let env;
+
+  afterEach(() => env.close());
+
+  const load = (html = PAGE) => createEnvironment({ html, scripts: SCRIPTS });
+  const $ = selector => env.document.querySelector(selector);
+  const visibleStep = () => Array.from(env.document.querySelectorAll('[data-fb-wizard-step]')).findIndex(step => !step.hidden);
+  const progress = () => Array.from(env.document.querySelectorAll('[data-fb-wizard-progress] li')).map(item => item.textContent);
+  const draft = () => JSON.parse(env.window.sessionStorage.getItem('fb-wizard:domain-order'));
+  const next = async () => {
+    $('[data-fb-wizard-nav="next"]').click();
+    await env.settle();
+  };
+
+  test('shows one step at a time and only goes on once the step is valid', async () => {
+    env = await load();
+    env.api.on('guest/servicedomain/pricing', { price: '10.00' });
+    const steps = [];
+    $('form').addEventListener('fb:wizard-step', event => steps.push(event.detail.index));
+
+    assert.equal(visibleStep(), 0);
+    assert.deepEqual(progress(), ['Domain', 'Billing', 'Confirm']);
+    assert.equal($('[data-fb-wizard-nav="back"]').hidden, true);
+    assert.equal($('button[type="submit"]').hidden, true);
+
+    await next();
+    assert.equal(visibleStep(), 0);
+    assert.equal(env.api.calls.length, 0);
+    assert.ok($('[name="sld"]').classList.contains('is-invalid'));
+
+    $('[name="sld"]').value = 'example';
+    await next();
+    assert.equal(visibleStep(), 1);
+    assert.equal($('[aria-current="step"]').textContent, 'Billing');
+    assert.equal($('[data-fb-wizard-nav="back"]').hidden, false);
+
+    // The progress leads back to the steps done.
+    $('[data-fb-wizard-goto="0"]').click();
+    assert.equal(visibleStep(), 0);
+    assert.deepEqual(steps, [1, 0]);
+  });
+
+  test('calls the API of a step and puts the result into the next steps', async () => {
+    env = await load();
+    env.api.on('guest/servicedomain/pricing', { price: '10.00', period: '2Y' });
+    let result = null;
+    $('form').addEventListener('fb:wizard-step', (event) => { result = event.detail.result; });
+
+    $('[name="sld"]').value = 'example';
+    await next();
+
+    const [call] = env.api.callsTo('guest/servicedomain/pricing');
+    assert.equal(call.params.sld, 'example');
+    assert.equal(call.params.tld, '.com');
+    assert.equal(call.params.action, 'register');
+    assert.equal(call.params.password, undefined);
+    assert.equal($('[name="price"]').value, '10.00');
+    assert.equal($('[name="period"]').value, '2Y');
+    assert.deepEqual(result, { price: '10.00', period: '2Y' });
+    assert.deepEqual(JSON.parse(JSON.stringify(env.API.wizard.results($('form')))), [{ price: '10.00', period: '2Y' }]);
+  });
+
+  test('stays on a step the API rejects', async () => {
+    env = await load();
+    env.api.on('guest/servicedomain/pricing', MockApi.error('Domain is not available', 9999, { sld: 'Domain is not available' }));
+
+    $('[name="sld"]').value = 'taken';
+    await next();
+
+    assert.equal(visibleStep(), 0);
+    assert.equal($('#sld-feedback').textContent, 'Domain is not available');
+  });
+
+  test('stays on a step quietly when its API call is cancelled', async () => {
+    env = await load();
+    env.api.on('guest/servicedomain/pricing', () => new Promise(() => {}));
+
+    $('[name="sld"]').value = 'example';
+    const next = env.API.wizard.next($('form'));
+    await env.settle();
+    env.API.wizard.stop($('form'));
+
+    assert.equal(await next, false);
+    assert.equal(visibleStep(), 0);
+    assert.equal(env.document.querySelectorAll('.toast-container .toast').length, 0);
+  });
+
+  test('submits the form from the last step and shows the step of fields the API rejects', async () => {
+    env = await load();
+    env.api.on('guest/servicedomain/pricing', { price: '10.00' });
+    const orders = [];
+    env.api.on('client/order/create', (params) => {
+      orders.push(params);
+      return orders.length === 1 ? MockApi.error('Period is not available', 9999, { period: 'Period is not available' }) : 1;
+    });
+
+    $('[name="sld"]').value = 'example';
+    await next();
+    // Enter in a field goes to the next step instead of submitting the form.
+    $('[name="password"]').dispatchEvent(new env.window.KeyboardEvent('keydown', { key: 'Enter', bubbles: true, cancelable: true }));
+    await env.settle();
+    assert.equal(visibleStep(), 2);
+    assert.equal($('button[type="submit"]').hidden, false);
+    assert.equal($('[data-fb-wizard-nav="next"]').hidden, true);
+
+    $('[name="terms"]').checked = true;
+    $('form').requestSubmit();
+    await env.settle();
+
+    assert.equal(orders[0].sld, 'example');
+    assert.equal(orders[0].price, '10.00');
+    assert.equal(orders[0].terms, '1');
+    assert.equal(visibleStep(), 1);
+    assert.ok(draft());
+
+    $('[name="period"]').value = '1Y';
+    $('form').requestSubmit();
+    await env.settle();
+
+    assert.equal(orders.length, 2);
+    assert.match($('.toast-container').textContent, /Order placed/);
+    assert.equal(draft(), null);
+  });
+
+  test('keeps the fields in a draft and restores them', async () => {
+    env = await load('<div class="toast-container"></div><div id="content"></div>');
+    env.api.on('guest/servicedomain/pricing', { price: '10.00' });
+    env.window.sessionStorage.setItem('fb-wizard:domain-order', JSON.stringify({
+      index: 1,
+      results: [{ price: '12.00' }],
+      values: { sld: ['example'], tld: ['.net'], period: ['2Y'], terms: [] }
+    }));
+
+    $('#content').innerHTML = FORM;
+    await env.settle();
+
+    assert.equal(visibleStep(), 1);
+    assert.equal($('[name="sld"]').value, 'example');
+    assert.equal($('[name="tld"]').value, '.net');
+    assert.equal($('[name="period"]').value, '2Y');
+    assert.equal($('[name="price"]').value, '12.00');
+
+    $('[name="password"]').value = 'secret';
+    $('[name="period"]').value = '1Y';
+    $('[name="period"]').dispatchEvent(new env.window.Event('change', { bubbles: true }));
+
+    assert.deepEqual(draft().values, { sld: ['example'], tld: ['.net'], period: ['1Y'], terms: [] });
+    assert.equal(draft().index, 1);
+  });
+});